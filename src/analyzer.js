@@ -48,6 +48,7 @@ const recommendationRules = [
     skills: ['database-reviewer', 'test-writer', 'error-handling-patterns'],
     agents: ['test-runner', 'migrator'],
     hooks: ['quality-gate'],
+    commands: ['add-migration'],
     reason: 'Data integrity requires comprehensive testing and safe migrations',
   },
 
@@ -93,6 +94,7 @@ const recommendationRules = [
     skills: ['test-writer', 'code-reviewer'],
     agents: ['test-runner'],
     hooks: ['quality-gate'],
+    commands: ['write-tests'],
     reason: 'High test coverage requires systematic test writing',
   },
 
@@ -102,6 +104,7 @@ const recommendationRules = [
     skills: ['doc-generator', 'commit-msg-generator'],
     agents: ['doc-engineer', 'onboarder'],
     hooks: ['changelog-reminder'],
+    commands: ['release-notes', 'explain'],
     reason: 'Good documentation needs consistent generation and updates',
   },
 
@@ -123,6 +126,7 @@ const recommendationRules = [
     skills: ['accessibility-auditor', 'ux-reviewer', 'performance-analyzer', 'test-writer'],
     agents: ['test-runner'],
     hooks: ['post-edit-format'],
+    mcp: ['playwright'],
     reason: 'Frontend frameworks benefit from UX validation and formatting',
   },
 
@@ -160,9 +164,40 @@ const recommendationRules = [
     skills: ['database-reviewer'],
     agents: ['migrator'],
     hooks: [],
+    commands: ['add-migration'],
     reason: 'Database work needs migration safety and query optimization',
   },
 
+  // PostgreSQL
+  {
+    condition: (ctx) => ctx.databases?.includes('postgresql'),
+    skills: ['database-reviewer'],
+    agents: [],
+    hooks: [],
+    mcp: ['postgres'],
+    reason: 'PostgreSQL access lets Claude check queries against the real schema',
+  },
+
+  // MongoDB
+  {
+    condition: (ctx) => ctx.databases?.includes('mongodb'),
+    skills: ['database-reviewer'],
+    agents: [],
+    hooks: [],
+    mcp: ['mongodb'],
+    reason: 'MongoDB access lets Claude inspect collection shapes',
+  },
+
+  // Redis
+  {
+    condition: (ctx) => ctx.databases?.includes('redis'),
+    skills: [],
+    agents: [],
+    hooks: [],
+    mcp: ['redis'],
+    reason: 'Redis access helps debug cache and queue state',
+  },
+
   // Node.js
   {
     condition: (ctx) => ctx.techStack?.includes('nodejs'),
@@ -190,6 +225,93 @@ const recommendationRules = [
     reason: 'Python projects need PEP8 compliance and documentation',
   },
 
+  // Ruby
+  {
+    condition: (ctx) => ctx.techStack?.includes('ruby'),
+    skills: ['naming-conventions', 'test-writer', 'code-reviewer'],
+    agents: ['test-runner'],
+    hooks: ['pre-commit-lint', 'post-edit-format'],
+    reason: 'Ruby projects rely on RuboCop style and a fast spec suite',
+  },
+
+  // Rails, Laravel, Symfony and Phoenix ship with database migrations
+  {
+    condition: (ctx) =>
+      ctx.techStack?.includes('rails') ||
+      ctx.techStack?.includes('laravel') ||
+      ctx.techStack?.includes('symfony') ||
+      ctx.techStack?.includes('phoenix'),
+    skills: ['database-reviewer', 'api-design-reviewer', 'security-auditor'],
+    agents: ['migrator'],
+    hooks: [],
+    commands: ['add-migration'],
+    reason: 'Full-stack web frameworks need safe migrations and secure request handling',
+  },
+
+  // RSpec and PHPUnit suites
+  {
+    condition: (ctx) => ctx.techStack?.includes('rspec') || ctx.techStack?.includes('phpunit'),
+    skills: ['test-writer'],
+    agents: ['test-runner'],
+    hooks: ['quality-gate'],
+    commands: ['write-tests'],
+    reason: 'An existing RSpec or PHPUnit suite can gate each session and guide new tests',
+  },
+
+  // PHP
+  {
+    condition: (ctx) => ctx.techStack?.includes('php'),
+    skills: ['naming-conventions', 'test-writer', 'security-auditor'],
+    agents: ['test-runner'],
+    hooks: ['pre-commit-lint', 'post-edit-format'],
+    reason: 'PHP projects need PSR conventions, syntax checks and tests',
+  },
+
+  // Kotlin
+  {
+    condition: (ctx) => ctx.techStack?.includes('kotlin'),
+    skills: ['naming-conventions', 'code-reviewer', 'test-writer'],
+    agents: ['test-runner'],
+    hooks: ['pre-commit-lint', 'post-edit-format'],
+    reason: 'Kotlin projects benefit from ktlint style and Gradle-run tests',
+  },
+
+  // Swift
+  {
+    condition: (ctx) => ctx.techStack?.includes('swift'),
+    skills: ['naming-conventions', 'code-reviewer', 'test-writer'],
+    agents: ['test-runner'],
+    hooks: ['pre-commit-lint', 'post-edit-format'],
+    reason: 'Swift projects benefit from SwiftLint conventions and XCTest coverage',
+  },
+
+  // Elixir
+  {
+    condition: (ctx) => ctx.techStack?.includes('elixir'),
+    skills: ['error-handling-patterns', 'test-writer', 'code-reviewer'],
+    agents: ['test-runner'],
+    hooks: ['pre-commit-lint', 'post-edit-format'],
+    reason: 'Elixir projects need consistent formatting and ExUnit coverage',
+  },
+
+  // Dart
+  {
+    condition: (ctx) => ctx.techStack?.includes('dart'),
+    skills: ['naming-conventions', 'test-writer'],
+    agents: ['test-runner'],
+    hooks: ['pre-commit-lint', 'post-edit-format'],
+    reason: 'Dart projects need dart format style and analyzer-clean code',
+  },
+
+  // Mobile apps
+  {
+    condition: (ctx) => ctx.techStack?.includes('android') || ctx.techStack?.includes('flutter'),
+    skills: ['accessibility-auditor', 'ux-reviewer', 'performance-analyzer'],
+    agents: [],
+    hooks: [],
+    reason: 'Mobile apps need accessible, responsive interfaces on constrained devices',
+  },
+
   // Docker/Kubernetes
   {
     condition: (ctx) =>
@@ -224,6 +346,7 @@ const recommendationRules = [
     skills: ['naming-conventions', 'git-workflow'],
     agents: ['architect'],
     hooks: ['branch-protection'],
+    commands: ['explain'],
     reason: 'Monorepos need consistent conventions across packages',
   },
 
@@ -233,6 +356,8 @@ const recommendationRules = [
     skills: ['code-reviewer', 'commit-msg-generator', 'git-workflow'],
     agents: ['code-reviewer'],
     hooks: ['session-context-loader'],
+    mcp: ['git'],
+    commands: ['review-pr', 'fix-issue'],
     reason: 'Essential skills for any software project',
   },
 ];
@@ -249,31 +374,36 @@ export const defaults = {
   ],
   agents: ['code-reviewer', 'debugger'],
   hooks: ['session-context-loader'],
+  mcp: ['git'],
+  commands: ['review-pr', 'fix-issue'],
 };
 
 /**
  * Official Anthropic skills (document processing)
+ * plugin is the anthropics/skills marketplace plugin that ships each skill
  */
 export const officialSkills = [
-  { name: 'docx', description: 'Process Microsoft Word documents' },
-  { name: 'pdf', description: 'Process PDF documents' },
-  { name: 'pptx', description: 'Process PowerPoint presentations' },
-  { name: 'xlsx', description: 'Process Excel spreadsheets' },
-  { name: 'skill-creator', description: 'Help create new custom skills' },
-  { name: 'frontend-design', description: 'Design frontend interfaces' },
+  { name: 'docx', description: 'Process Microsoft Word documents', plugin: 'document-skills' },
+  { name: 'pdf', description: 'Process PDF documents', plugin: 'document-skills' },
+  { name: 'pptx', description: 'Process PowerPoint presentations', plugin: 'document-skills' },
+  { name: 'xlsx', description: 'Process Excel spreadsheets', plugin: 'document-skills' },
+  { name: 'skill-creator', description: 'Help create new custom skills', plugin: 'example-skills' },
+  { name: 'frontend-design', description: 'Design frontend interfaces', plugin: 'example-skills' },
 ];
 
 /**
  * Analyze project context and generate recommendations
  *
  * @param {Object} context - Project context from user input
- * @returns {Object} Recommended skills, agents, hooks, and reasons
+ * @returns {Object} Recommended skills, agents, hooks, MCP servers, commands, and reasons
  */
 export function analyzeProject(context) {
   const recommendations = {
     skills: new Set(),
     agents: new Set(),
     hooks: new Set(),
+    mcp: new Set(),
+    commands: new Set(),
     reasons: [],
   };
 
@@ -293,6 +423,14 @@ export function analyzeProject(context) {
         if (rule.hooks) {
           rule.hooks.forEach((h) => recommendations.hooks.add(h));
         }
+        // Add MCP servers
+        if (rule.mcp) {
+          rule.mcp.forEach((m) => recommendations.mcp.add(m));
+        }
+        // Add slash commands
+        if (rule.commands) {
+          rule.commands.forEach((c) => recommendations.commands.add(c));
+        }
         // Add reason (if not a generic always-true rule)
         if (rule.reason && rule.condition.toString() !== '() => true') {
           recommendations.reasons.push(rule.reason);
@@ -309,6 +447,8 @@ export function analyzeProject(context) {
     skills: [...recommendations.skills],
     agents: [...recommendations.agents],
     hooks: [...recommendations.hooks],
+    mcp: [...recommendations.mcp],
+    commands: [...recommendations.commands],
     reasons: [...new Set(recommendations.reasons)], // Dedupe reasons
   };
 }
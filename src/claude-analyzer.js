@@ -5,6 +5,12 @@ import os from 'os';
 import { skills as skillTemplates } from './templates/skills.js';
 import { agents as agentTemplates } from './templates/agents.js';
 import { hooks as hookTemplates } from './templates/hooks.js';
+import { countLegacyHookEntries, removeComponents } from './generator.js';
+import { verifyOfficialSkills } from './official-skills.js';
+import { checkReferences } from './references.js';
+import { lintHooksDir } from './hook-linter.js';
+import { checkHookConfig } from './hook-config.js';
+import { readFile, writeFile } from './writer.js';
 
 /**
  * Get the full path to the claude CLI
@@ -304,12 +310,11 @@ async function addComponent(rec, projectPath) {
 
   if (rec.type === 'skill') {
     const skillDir = path.join(claudeDir, 'skills', rec.name);
-    await fs.mkdir(skillDir, { recursive: true });
 
     // Check if we have a template for this skill
     const template = skillTemplates[rec.name];
     if (template) {
-      await fs.writeFile(path.join(skillDir, 'SKILL.md'), template);
+      await writeFile(path.join(skillDir, 'SKILL.md'), template);
     } else {
       // Generate a basic skill template
       const basicSkill = `# ${formatName(rec.name)} Skill
@@ -330,16 +335,15 @@ ${rec.details || 'Use this skill when working on related functionality.'}
 - [ ] Item 2
 - [ ] Item 3
 `;
-      await fs.writeFile(path.join(skillDir, 'SKILL.md'), basicSkill);
+      await writeFile(path.join(skillDir, 'SKILL.md'), basicSkill);
     }
     console.log(`  Added skill: ${rec.name}`);
   } else if (rec.type === 'agent') {
     const agentsDir = path.join(claudeDir, 'agents');
-    await fs.mkdir(agentsDir, { recursive: true });
 
     const template = agentTemplates[rec.name];
     if (template) {
-      await fs.writeFile(path.join(agentsDir, `${rec.name}.md`), template);
+      await writeFile(path.join(agentsDir, `${rec.name}.md`), template);
     } else {
       const basicAgent = `# ${formatName(rec.name)} Agent
 
@@ -359,18 +363,16 @@ ${rec.details || '- Capability 1\n- Capability 2'}
 
 Describe expected output format here.
 `;
-      await fs.writeFile(path.join(agentsDir, `${rec.name}.md`), basicAgent);
+      await writeFile(path.join(agentsDir, `${rec.name}.md`), basicAgent);
     }
     console.log(`  Added agent: ${rec.name}`);
   } else if (rec.type === 'hook') {
     const hooksDir = path.join(claudeDir, 'hooks');
-    await fs.mkdir(hooksDir, { recursive: true });
 
     const template = hookTemplates[rec.name];
     if (template) {
       const hookPath = path.join(hooksDir, `${rec.name}.sh`);
-      await fs.writeFile(hookPath, template);
-      await fs.chmod(hookPath, 0o755);
+      await writeFile(hookPath, template, { mode: 0o755 });
     } else {
       const basicHook = `#!/bin/bash
 # ${formatName(rec.name)} Hook
@@ -384,8 +386,7 @@ set -e
 exit 0
 `;
       const hookPath = path.join(hooksDir, `${rec.name}.sh`);
-      await fs.writeFile(hookPath, basicHook);
-      await fs.chmod(hookPath, 0o755);
+      await writeFile(hookPath, basicHook, { mode: 0o755 });
     }
     console.log(`  Added hook: ${rec.name}`);
   }
@@ -403,7 +404,7 @@ async function updateComponent(rec, projectPath) {
     // Read existing content
     let existingContent = '';
     try {
-      existingContent = await fs.readFile(skillPath, 'utf-8');
+      existingContent = await readFile(skillPath);
     } catch {
       // If file doesn't exist, create it
       await addComponent(rec, projectPath);
@@ -425,7 +426,7 @@ async function updateComponent(rec, projectPath) {
 `;
 
     if (!existingContent.includes('## Updates Needed')) {
-      await fs.writeFile(skillPath, existingContent + updateNote);
+      await writeFile(skillPath, existingContent + updateNote);
     }
     console.log(`  Marked skill for update: ${rec.name}`);
   } else if (rec.type === 'agent') {
@@ -433,7 +434,7 @@ async function updateComponent(rec, projectPath) {
 
     let existingContent = '';
     try {
-      existingContent = await fs.readFile(agentPath, 'utf-8');
+      existingContent = await readFile(agentPath);
     } catch {
       await addComponent(rec, projectPath);
       return;
@@ -451,7 +452,7 @@ async function updateComponent(rec, projectPath) {
 `;
 
     if (!existingContent.includes('## Updates Needed')) {
-      await fs.writeFile(agentPath, existingContent + updateNote);
+      await writeFile(agentPath, existingContent + updateNote);
     }
     console.log(`  Marked agent for update: ${rec.name}`);
   }
@@ -481,32 +482,12 @@ async function fixComponent(rec, projectPath) {
  * Remove a component
  */
 async function removeComponent(rec, projectPath) {
-  const claudeDir = path.join(projectPath, '.claude');
+  const { removed } = await removeComponents(rec.type, [rec.name], path.join(projectPath, '.claude'));
 
-  if (rec.type === 'skill') {
-    const skillDir = path.join(claudeDir, 'skills', rec.name);
-    try {
-      await fs.rm(skillDir, { recursive: true });
-      console.log(`  Removed skill: ${rec.name}`);
-    } catch {
-      console.log(`  Could not remove skill: ${rec.name} (may not exist)`);
-    }
-  } else if (rec.type === 'agent') {
-    const agentPath = path.join(claudeDir, 'agents', `${rec.name}.md`);
-    try {
-      await fs.unlink(agentPath);
-      console.log(`  Removed agent: ${rec.name}`);
-    } catch {
-      console.log(`  Could not remove agent: ${rec.name} (may not exist)`);
-    }
-  } else if (rec.type === 'hook') {
-    const hookPath = path.join(claudeDir, 'hooks', `${rec.name}.sh`);
-    try {
-      await fs.unlink(hookPath);
-      console.log(`  Removed hook: ${rec.name}`);
-    } catch {
-      console.log(`  Could not remove hook: ${rec.name} (may not exist)`);
-    }
+  if (removed.length > 0) {
+    console.log(`  Removed ${rec.type}: ${rec.name}`);
+  } else {
+    console.log(`  Could not remove ${rec.type}: ${rec.name} (may not exist)`);
   }
 }
 
@@ -522,10 +503,13 @@ function formatName(name) {
 
 /**
  * Quick audit of existing configuration (no Claude required)
+ *
+ * @returns {Object} { exists, issues: [{ type, ruleId, message, file }], summary }
  */
 export async function quickAudit(projectPath = process.cwd()) {
   const issues = [];
   const claudeDir = path.join(projectPath, '.claude');
+  const relative = (file) => path.relative(projectPath, file);
 
   // Check if .claude directory exists
   try {
@@ -533,7 +517,8 @@ export async function quickAudit(projectPath = process.cwd()) {
   } catch {
     return {
       exists: false,
-      issues: [{ type: 'error', message: 'No .claude/ directory found' }],
+      issues: [{ type: 'error', ruleId: 'claude-dir-missing', message: 'No .claude/ directory found', file: '.claude' }],
+      summary: { errors: 1, warnings: 0, info: 0 },
     };
   }
 
@@ -541,12 +526,25 @@ export async function quickAudit(projectPath = process.cwd()) {
   const settingsPath = path.join(claudeDir, 'settings.json');
   try {
     const content = await fs.readFile(settingsPath, 'utf-8');
-    JSON.parse(content); // Validate JSON
+    const legacy = countLegacyHookEntries(JSON.parse(content));
+    if (legacy > 0) {
+      issues.push({
+        type: 'error',
+        ruleId: 'settings-legacy-hooks',
+        message: `settings.json has ${legacy} legacy flat hook entr${legacy === 1 ? 'y' : 'ies'} that Claude Code will not run`,
+        file: relative(settingsPath),
+      });
+    }
   } catch (e) {
     if (e.code === 'ENOENT') {
-      issues.push({ type: 'warning', message: 'No settings.json found' });
+      issues.push({ type: 'warning', ruleId: 'settings-missing', message: 'No settings.json found', file: relative(settingsPath) });
     } else {
-      issues.push({ type: 'error', message: `Invalid settings.json: ${e.message}` });
+      issues.push({
+        type: 'error',
+        ruleId: 'settings-invalid-json',
+        message: `Invalid settings.json: ${e.message}`,
+        file: relative(settingsPath),
+      });
     }
   }
 
@@ -564,13 +562,26 @@ export async function quickAudit(projectPath = process.cwd()) {
         } catch {
           issues.push({
             type: 'warning',
+            ruleId: 'skill-missing-skill-md',
             message: `Skill '${skill}' missing SKILL.md`,
+            file: relative(skillMdPath),
           });
         }
       }
     }
   } catch {
-    issues.push({ type: 'info', message: 'No skills directory found' });
+    issues.push({ type: 'info', ruleId: 'skills-dir-missing', message: 'No skills directory found', file: relative(skillsDir) });
+  }
+
+  // Check official skills recorded in the manifest
+  const official = await verifyOfficialSkills(claudeDir);
+  for (const problem of official.problems) {
+    issues.push({
+      type: 'warning',
+      ruleId: 'official-skill-unavailable',
+      message: problem.message,
+      file: relative(problem.file),
+    });
   }
 
   // Check hooks are executable
@@ -585,13 +596,22 @@ export async function quickAudit(projectPath = process.cwd()) {
         if (!(stat.mode & 0o111)) {
           issues.push({
             type: 'warning',
+            ruleId: 'hook-not-executable',
             message: `Hook '${hook}' is not executable`,
+            file: relative(hookPath),
           });
         }
       }
     }
   } catch {
-    issues.push({ type: 'info', message: 'No hooks directory found' });
+    issues.push({ type: 'info', ruleId: 'hooks-dir-missing', message: 'No hooks directory found', file: relative(hooksDir) });
+  }
+
+  // Lint hook scripts
+  for (const { file, problems } of await lintHooksDir(hooksDir)) {
+    for (const { severity, ruleId, message, line } of problems) {
+      issues.push({ type: severity, ruleId, message, file: relative(file), line });
+    }
   }
 
   // Check CLAUDE.md exists
@@ -599,7 +619,22 @@ export async function quickAudit(projectPath = process.cwd()) {
   try {
     await fs.access(claudeMdPath);
   } catch {
-    issues.push({ type: 'warning', message: 'No CLAUDE.md found in project root' });
+    issues.push({
+      type: 'warning',
+      ruleId: 'claude-md-missing',
+      message: 'No CLAUDE.md found in project root',
+      file: relative(claudeMdPath),
+    });
+  }
+
+  // Check references between CLAUDE.md, settings and hook scripts
+  for (const { severity, ruleId, message, file, line } of await checkReferences(projectPath)) {
+    issues.push({ type: severity, ruleId, message, file: relative(file), ...(line ? { line } : {}) });
+  }
+
+  // Check hook settings in cc-scaffold.config.json
+  for (const { severity, ruleId, message, file, line } of await checkHookConfig(claudeDir)) {
+    issues.push({ type: severity, ruleId, message, file: relative(file), ...(line ? { line } : {}) });
   }
 
   return {
@@ -0,0 +1,237 @@
+/**
+ * Line-based diff and merge for CC Scaffold
+ * Small LCS implementation so previews and upgrades need no extra dependency
+ */
+
+// Above this many LCS cells (old lines x new lines) a change is shown as a full replace
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Split text into lines, ignoring the final newline
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Diff two line arrays
+ *
+ * @returns {Object[]} Operations: { type: ' ' | '-' | '+', line }
+ */
+export function diffLines(oldLines, newLines) {
+  // Common prefix and suffix are cheap to skip and keep the LCS table small
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let endOld = oldLines.length;
+  let endNew = newLines.length;
+  while (endOld > start && endNew > start && oldLines[endOld - 1] === newLines[endNew - 1]) {
+    endOld--;
+    endNew--;
+  }
+
+  return [
+    ...oldLines.slice(0, start).map((line) => ({ type: ' ', line })),
+    ...diffMiddle(oldLines.slice(start, endOld), newLines.slice(start, endNew)),
+    ...oldLines.slice(endOld).map((line) => ({ type: ' ', line })),
+  ];
+}
+
+/**
+ * LCS diff of the differing middle section
+ */
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  if (n === 0 || m === 0 || n * m > MAX_LCS_CELLS) {
+    return [...a.map((line) => ({ type: '-', line })), ...b.map((line) => ({ type: '+', line }))];
+  }
+
+  // lcs[i * width + j] = LCS length of a[i..] and b[j..]
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: '-', line: a[i++] });
+  while (j < m) ops.push({ type: '+', line: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Build a unified diff between two texts
+ *
+ * @param {string|null} oldText - Current content (null for a new file)
+ * @param {string|null} newText - New content (null for a deleted file)
+ * @param {Object} options - { fromFile, toFile, context }
+ * @returns {string} Unified diff, or '' when the texts are identical
+ */
+export function unifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  if (!ops.some((op) => op.type !== ' ')) {
+    return '';
+  }
+
+  // Line numbers each operation starts at, for hunk headers
+  let oldNo = 1;
+  let newNo = 1;
+  for (const op of ops) {
+    op.oldNo = oldNo;
+    op.newNo = newNo;
+    if (op.type !== '+') oldNo++;
+    if (op.type !== '-') newNo++;
+  }
+
+  const lines = [`--- ${oldText === null ? '/dev/null' : fromFile}`, `+++ ${newText === null ? '/dev/null' : toFile}`];
+
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].type === ' ') {
+      i++;
+      continue;
+    }
+
+    // Grow the hunk while the next change is within two context windows
+    const start = Math.max(0, i - context);
+    let end = i;
+    for (;;) {
+      while (end < ops.length && ops[end].type !== ' ') end++;
+      let next = end;
+      while (next < ops.length && ops[next].type === ' ') next++;
+      if (next < ops.length && next - end <= context * 2) {
+        end = next;
+      } else {
+        end = Math.min(ops.length, end + context);
+        break;
+      }
+    }
+
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter((op) => op.type !== '+').length;
+    const newCount = hunk.filter((op) => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? hunk[0].oldNo - 1 : hunk[0].oldNo;
+    const newStart = newCount === 0 ? hunk[0].newNo - 1 : hunk[0].newNo;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of hunk) {
+      lines.push(`${op.type}${op.line}`);
+    }
+
+    i = end;
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Map each line of the original to its index in the changed version (-1 if removed)
+ */
+function matchLines(ops, length) {
+  const map = new Array(length).fill(-1);
+  let from = 0;
+  let to = 0;
+  for (const op of ops) {
+    if (op.type === ' ') map[from++] = to++;
+    else if (op.type === '-') from++;
+    else to++;
+  }
+  return map;
+}
+
+/**
+ * Three-way merge of two texts derived from a common base (diff3).
+ * Changes made on only one side are applied; overlapping changes that differ
+ * are written as conflict blocks.
+ *
+ * @param {string} base - Common ancestor
+ * @param {string} ours - Locally edited version
+ * @param {string} theirs - Updated upstream version
+ * @param {Object} options - { oursLabel, theirsLabel } for conflict markers
+ * @returns {Object} { text, conflicts: number of conflict blocks }
+ */
+export function mergeThreeWay(base, ours, theirs, { oursLabel = 'current', theirsLabel = 'template' } = {}) {
+  const baseLines = splitLines(base);
+  const ourLines = splitLines(ours);
+  const theirLines = splitLines(theirs);
+  const toOurs = matchLines(diffLines(baseLines, ourLines), baseLines.length);
+  const toTheirs = matchLines(diffLines(baseLines, theirLines), baseLines.length);
+
+  const output = [];
+  let conflicts = 0;
+  let b = 0;
+  let o = 0;
+  let t = 0;
+
+  const same = (x, y) => x.length === y.length && x.every((line, i) => line === y[i]);
+
+  while (b < baseLines.length || o < ourLines.length || t < theirLines.length) {
+    // Base line unchanged on both sides
+    if (b < baseLines.length && toOurs[b] === o && toTheirs[b] === t) {
+      output.push(baseLines[b]);
+      b++;
+      o++;
+      t++;
+      continue;
+    }
+
+    // Find the next base line that both sides kept; everything before it is one chunk
+    let next = b;
+    while (next < baseLines.length && (toOurs[next] === -1 || toTheirs[next] === -1)) {
+      next++;
+    }
+    const oursEnd = next < baseLines.length ? toOurs[next] : ourLines.length;
+    const theirsEnd = next < baseLines.length ? toTheirs[next] : theirLines.length;
+
+    const baseChunk = baseLines.slice(b, next);
+    const ourChunk = ourLines.slice(o, oursEnd);
+    const theirChunk = theirLines.slice(t, theirsEnd);
+
+    if (same(ourChunk, baseChunk) || same(ourChunk, theirChunk)) {
+      output.push(...theirChunk);
+    } else if (same(theirChunk, baseChunk)) {
+      output.push(...ourChunk);
+    } else {
+      conflicts++;
+      output.push(`<<<<<<< ${oursLabel}`, ...ourChunk, '=======', ...theirChunk, `>>>>>>> ${theirsLabel}`);
+    }
+
+    b = next;
+    o = oursEnd;
+    t = theirsEnd;
+  }
+
+  return { text: output.length > 0 ? `${output.join('\n')}\n` : '', conflicts };
+}
+
+export default {
+  splitLines,
+  diffLines,
+  unifiedDiff,
+  mergeThreeWay,
+};
@@ -0,0 +1,294 @@
+/**
+ * Environment check for CC Scaffold
+ * Works out which external tools the installed hooks need, checks each one
+ * on PATH (with its version) and rates every hook: ready, partial (some
+ * checks skipped), no-op (exits before doing anything) or broken (runs a
+ * tool that is not installed).
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import { constants } from 'fs';
+import path from 'path';
+import { findToolsUsed } from './hook-linter.js';
+import { getHookParams, readHookConfig } from './hook-config.js';
+
+const execFileAsync = promisify(execFile);
+
+// How to get a version and how to install each tool; versionArgs null means
+// the tool has no version flag
+export const TOOL_DETAILS = {
+  jq: { install: 'brew install jq  |  sudo apt install jq' },
+  git: { install: 'https://git-scm.com/downloads' },
+  node: { install: 'https://nodejs.org (includes npm and npx)' },
+  npm: { install: 'https://nodejs.org (includes npm and npx)' },
+  npx: { install: 'https://nodejs.org (includes npm and npx)' },
+  pnpm: { install: 'npm install -g pnpm' },
+  yarn: { install: 'npm install -g yarn' },
+  bun: { install: 'https://bun.sh' },
+  python: { install: 'https://www.python.org/downloads' },
+  python3: { install: 'https://www.python.org/downloads' },
+  pip: { install: 'python3 -m ensurepip' },
+  pytest: { install: 'pip install pytest' },
+  ruff: { install: 'pip install ruff' },
+  black: { install: 'pip install black' },
+  flake8: { install: 'pip install flake8' },
+  mypy: { install: 'pip install mypy' },
+  go: { install: 'https://go.dev/dl (includes gofmt)', versionArgs: ['version'] },
+  gofmt: { install: 'https://go.dev/dl (includes gofmt)', versionArgs: null },
+  'golangci-lint': { install: 'https://golangci-lint.run/welcome/install/' },
+  cargo: { install: 'https://rustup.rs' },
+  rustfmt: { install: 'rustup component add rustfmt' },
+  dotnet: { install: 'https://dotnet.microsoft.com/download' },
+  ruby: { install: 'https://www.ruby-lang.org/en/downloads' },
+  rubocop: { install: 'gem install rubocop' },
+  php: { install: 'https://www.php.net/downloads' },
+  'php-cs-fixer': { install: 'composer global require friendsofphp/php-cs-fixer' },
+  pint: { install: 'composer global require laravel/pint' },
+  ktlint: { install: 'brew install ktlint  |  https://pinterest.github.io/ktlint/' },
+  swiftlint: { install: 'brew install swiftlint', versionArgs: ['version'] },
+  swiftformat: { install: 'brew install swiftformat' },
+  'swift-format': { install: 'brew install swift-format' },
+  elixir: { install: 'https://elixir-lang.org/install.html (includes mix)' },
+  mix: { install: 'https://elixir-lang.org/install.html (includes mix)' },
+  dart: { install: 'https://dart.dev/get-dart (included with Flutter)' },
+  prettier: { install: 'npm install -g prettier' },
+  eslint: { install: 'npm install -g eslint' },
+  shellcheck: { install: 'brew install shellcheck  |  sudo apt install shellcheck' },
+  curl: { install: 'brew install curl  |  sudo apt install curl' },
+  bash: { install: 'brew install bash  |  sudo apt install bash' },
+  claude: { install: 'npm install -g @anthropic-ai/claude-code' },
+};
+
+// Hook statuses, worst first
+export const HOOK_STATUSES = ['missing', 'broken', 'no-op', 'partial', 'ready'];
+
+const SETTINGS_FILES = ['settings.json', 'settings.local.json'];
+
+// Shell builtins and keywords a configured command may start a step with
+const SHELL_WORDS = ['cd', 'echo', 'printf', 'test', '[', 'true', 'false', 'export', 'set', 'source', '.', 'exec', 'command', 'eval', 'time'];
+
+/**
+ * Find an executable on PATH
+ *
+ * @returns {Promise<string|null>} Full path, or null when not found
+ */
+export async function findExecutable(name) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    const candidate = path.join(dir, name);
+    try {
+      await fs.access(candidate, constants.X_OK);
+      return candidate;
+    } catch {
+      // Not in this directory
+    }
+  }
+  return null;
+}
+
+/**
+ * Check one tool: where it is and which version
+ *
+ * @param {string} name - Tool name
+ * @param {string} projectDir - Project root, to spot tools only in node_modules/.bin
+ * @returns {Promise<Object>} { name, found, path, version, install, localOnly }
+ */
+export async function checkTool(name, projectDir = process.cwd()) {
+  const details = TOOL_DETAILS[name] || {};
+  const result = {
+    name,
+    found: false,
+    path: null,
+    version: null,
+    install: details.install || null,
+    localOnly: false,
+  };
+
+  result.path = await findExecutable(name);
+  if (!result.path) {
+    // Hooks only see PATH, so a project-local install does not help them
+    const local = path.join(projectDir, 'node_modules', '.bin', name);
+    result.localOnly = await fs.access(local, constants.X_OK).then(() => true, () => false);
+    return result;
+  }
+
+  result.found = true;
+  const versionArgs = details.versionArgs === undefined ? ['--version'] : details.versionArgs;
+  if (versionArgs) {
+    try {
+      const { stdout, stderr } = await execFileAsync(result.path, versionArgs, { timeout: 5000 });
+      const match = `${stdout}\n${stderr}`.match(/\d+\.\d+(?:\.\d+)?/);
+      result.version = match ? match[0] : null;
+    } catch {
+      // Found but the version could not be read
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Diagnose every hook: the scripts in .claude/hooks/ and the ones settings register.
+ * A hook needs the tools its script runs and the programs of its command settings.
+ *
+ * @param {string} projectDir - Project root
+ * @returns {Promise<Object>} { hooks, tools, claude } where hooks are { name, file, events,
+ *   status, tools: [{ tool, line, guarded, gate, setting }], missing: tool names, reason }
+ *   and tools maps each tool name to its checkTool result
+ */
+export async function diagnoseProject(projectDir = process.cwd()) {
+  const claudeDir = path.join(projectDir, '.claude');
+  const hooksDir = path.join(claudeDir, 'hooks');
+  const registrations = await readHookRegistrations(claudeDir);
+  const config = await readHookConfig(claudeDir).catch(() => null);
+
+  const scripts = new Set(
+    (await fs.readdir(hooksDir).catch(() => [])).filter((f) => f.endsWith('.sh')).map((f) => path.join(hooksDir, f))
+  );
+  for (const script of registrations.keys()) {
+    scripts.add(script);
+  }
+
+  const toolChecks = new Map();
+  const check = (name) => {
+    if (!toolChecks.has(name)) toolChecks.set(name, checkTool(name, projectDir));
+    return toolChecks.get(name);
+  };
+
+  const hooks = [];
+  for (const file of [...scripts].sort()) {
+    const hook = {
+      name: path.basename(file, '.sh'),
+      file: path.relative(projectDir, file),
+      events: registrations.get(file) || [],
+      status: 'ready',
+      tools: [],
+      missing: [],
+      reason: null,
+    };
+
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf-8');
+    } catch {
+      hook.status = 'missing';
+      hook.reason = 'script does not exist';
+      hooks.push(hook);
+      continue;
+    }
+
+    hook.tools = findToolsUsed(content);
+    for (const use of findCommandTools(hook.name, content, config)) {
+      if (!hook.tools.some((known) => known.tool === use.tool)) hook.tools.push(use);
+    }
+    // Every hook needs bash to run at all
+    const needed = [{ tool: 'bash', line: 0, guarded: false, gate: false }, ...hook.tools];
+    for (const use of needed) {
+      if (!(await check(use.tool)).found) hook.missing.push(use.tool);
+    }
+
+    Object.assign(hook, rateHook(needed, hook.missing));
+    hooks.push(hook);
+  }
+
+  const tools = {};
+  for (const [name, result] of toolChecks) {
+    tools[name] = await result;
+  }
+
+  return { hooks, tools, claude: await checkTool('claude', projectDir) };
+}
+
+/**
+ * Rate a hook from the tools it needs and the ones that are missing: a
+ * missing gate tool makes it exit 0 (no-op) unless an unguarded use fails
+ * first (broken); missing guarded tools only skip some steps (partial)
+ */
+function rateHook(uses, missing) {
+  const absent = uses.filter((use) => missing.includes(use.tool));
+  const gate = absent.find((use) => use.gate);
+  const unguarded = absent.find((use) => !use.guarded);
+
+  if (gate && (!unguarded || gate.line <= unguarded.line)) {
+    return { status: 'no-op', reason: `exits without doing anything when ${gate.tool} is missing` };
+  }
+  if (unguarded) {
+    return { status: 'broken', reason: `runs ${unguarded.tool}, which is not installed` };
+  }
+  if (absent.length > 0) {
+    return { status: 'partial', reason: `skips the steps that need ${absent.map((use) => use.tool).join(', ')}` };
+  }
+  return { status: 'ready', reason: null };
+}
+
+/**
+ * Programs run by a hook's command settings (testCommand, lintCommand, ...):
+ * the value in cc-scaffold.config.json, else the one written into the script.
+ * The quality gate skips a command whose leading program is missing, so that
+ * one counts as guarded; programs after && or | run regardless.
+ *
+ * @returns {Object[]} Uses like findToolsUsed's, plus the setting they come from
+ */
+function findCommandTools(name, content, config) {
+  const uses = [];
+  const params = getHookParams(name).filter((param) => param.type === 'string' && param.key.endsWith('Command'));
+
+  for (const param of params) {
+    const baked = content.match(new RegExp(`^${param.variable}='((?:[^']|'\\\\'')*)'$`, 'm'));
+    const configured = config?.hooks?.[name]?.[param.key];
+    const command = typeof configured === 'string' ? configured : baked ? baked[1].replace(/'\\''/g, "'") : '';
+    const line = baked ? content.slice(0, baked.index).split('\n').length : 0;
+
+    command.split(/&&|\|\||[;|]/).forEach((step, index) => {
+      const program = step.trim().replace(/^([A-Za-z_]\w*=\S*\s+)*/, '').split(/\s+/)[0];
+      if (!/^[\w./+-]+$/.test(program) || SHELL_WORDS.includes(program) || uses.some((use) => use.tool === program)) {
+        return;
+      }
+      uses.push({ tool: program, line, guarded: index === 0, gate: false, setting: param.key });
+    });
+  }
+
+  return uses;
+}
+
+/**
+ * Map each hook script registered in the settings files to its events
+ */
+async function readHookRegistrations(claudeDir) {
+  const projectDir = path.dirname(claudeDir);
+  const registrations = new Map();
+
+  for (const file of SETTINGS_FILES) {
+    let settings;
+    try {
+      settings = JSON.parse(await fs.readFile(path.join(claudeDir, file), 'utf-8'));
+    } catch {
+      continue;
+    }
+
+    for (const [event, groups] of Object.entries(settings.hooks || {})) {
+      for (const group of Array.isArray(groups) ? groups : []) {
+        for (const hook of Array.isArray(group?.hooks) ? group.hooks : [group]) {
+          // Commands may be relative or prefixed with "$CLAUDE_PROJECT_DIR"/
+          const match = typeof hook?.command === 'string' && hook.command.match(/\.claude\/hooks\/[\w.-]+\.sh/);
+          if (!match) continue;
+          const script = path.join(projectDir, match[0]);
+          const events = registrations.get(script) || [];
+          if (!events.includes(event)) events.push(event);
+          registrations.set(script, events);
+        }
+      }
+    }
+  }
+
+  return registrations;
+}
+
+export default {
+  TOOL_DETAILS,
+  HOOK_STATUSES,
+  findExecutable,
+  checkTool,
+  diagnoseProject,
+};
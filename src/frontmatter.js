@@ -0,0 +1,322 @@
+/**
+ * Frontmatter checks for CC Scaffold
+ * Parses the YAML frontmatter of skills and agents (the simple subset they
+ * use: scalars, inline lists and "- item" lists) and checks it against what
+ * Claude Code accepts. Problems carry line numbers and, where the right value
+ * is known, a fix.
+ */
+
+// Tools a subagent can be granted (MCP tools use mcp__<server>__<tool>)
+export const CLAUDE_CODE_TOOLS = [
+  'Bash',
+  'BashOutput',
+  'Edit',
+  'ExitPlanMode',
+  'Glob',
+  'Grep',
+  'KillShell',
+  'LS',
+  'MultiEdit',
+  'NotebookEdit',
+  'NotebookRead',
+  'Read',
+  'SlashCommand',
+  'Skill',
+  'Task',
+  'TodoWrite',
+  'WebFetch',
+  'WebSearch',
+  'Write',
+];
+
+export const MODEL_ALIASES = ['sonnet', 'opus', 'haiku', 'inherit'];
+
+// Full model ids (claude-sonnet-4-5-20250929, claude-3-5-haiku-latest) pin a
+// model and are accepted as they are
+const FULL_MODEL_ID = /^claude-(\d+(-\d+)*-)?(opus|sonnet|haiku)(-\d+)*(-\d{8}|-latest)?$/;
+
+// Claude Code truncates longer descriptions
+export const MAX_DESCRIPTION_LENGTH = 1024;
+
+const MCP_TOOL_PATTERN = /^mcp__[\w-]+(__[\w-]+)?$/;
+const SKILL_NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Parse frontmatter into fields with their line numbers
+ *
+ * @returns {Object} { found, closed, fields: { key: { value, line } } } where list
+ *   values are arrays of { value, line }
+ */
+export function parseFrontmatter(content) {
+  const lines = content.split('\n');
+  if (lines[0].trim() !== '---') {
+    return { found: false, closed: false, fields: {} };
+  }
+
+  const end = lines.findIndex((line, i) => i > 0 && line.trim() === '---');
+  const last = end === -1 ? lines.length : end;
+  const fields = {};
+  let current = null;
+
+  for (let i = 1; i < last; i++) {
+    const line = lines[i];
+    const lineNo = i + 1;
+    if (/^\s*(#.*)?$/.test(line)) continue;
+
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && current) {
+      if (!Array.isArray(current.value)) current.value = [];
+      current.value.push({ value: unquote(item[1]), line: lineNo });
+      continue;
+    }
+
+    const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (pair) {
+      current = { value: parseValue(pair[2], lineNo), line: lineNo };
+      fields[pair[1]] = current;
+      continue;
+    }
+
+    // Indented continuation of a multi-line scalar
+    if (current && typeof current.value === 'string') {
+      current.value = `${current.value} ${line.trim()}`.trim();
+    }
+  }
+
+  return { found: true, closed: end !== -1, fields };
+}
+
+/**
+ * Parse an inline value: [a, b] lists, quoted strings and block scalar markers
+ */
+function parseValue(raw, lineNo) {
+  const text = raw.trim();
+  if (text.startsWith('[') && text.endsWith(']')) {
+    return text
+      .slice(1, -1)
+      .split(',')
+      .map((v) => v.trim())
+      .filter(Boolean)
+      .map((v) => ({ value: unquote(v), line: lineNo }));
+  }
+  if (text === '|' || text === '>' || text === '|-' || text === '>-') {
+    return '';
+  }
+  return unquote(text);
+}
+
+/**
+ * Strip matching quotes
+ */
+function unquote(text) {
+  const trimmed = text.trim();
+  if (/^(['"]).*\1$/.test(trimmed) && trimmed.length >= 2) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+/**
+ * Check a skill's SKILL.md frontmatter
+ *
+ * @param {string} content - SKILL.md content
+ * @param {string} dirName - Skill directory name
+ * @returns {Object[]} Problems: { ruleId, severity, message, line, fix? }
+ */
+export function lintSkillFrontmatter(content, dirName) {
+  const parsed = parseFrontmatter(content);
+  const problems = checkCommonFields(parsed, dirName, 'skill');
+
+  const name = parsed.fields.name;
+  if (name && typeof name.value === 'string' && name.value) {
+    if (!SKILL_NAME_PATTERN.test(name.value) || name.value.length > MAX_NAME_LENGTH) {
+      problems.push({
+        ruleId: 'frontmatter-invalid-name',
+        severity: 'error',
+        message: `Skill name '${name.value}' must be lowercase letters, numbers and hyphens (max ${MAX_NAME_LENGTH} characters)`,
+        line: name.line,
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check an agent's frontmatter, including tools and model
+ *
+ * @param {string} content - Agent .md content
+ * @param {string} fileName - Agent name (file name without .md)
+ * @returns {Object[]} Problems: { ruleId, severity, message, line, fix? }
+ */
+export function lintAgentFrontmatter(content, fileName) {
+  const parsed = parseFrontmatter(content);
+  const problems = checkCommonFields(parsed, fileName, 'agent');
+
+  const tools = parsed.fields.tools;
+  if (tools) {
+    const entries = Array.isArray(tools.value)
+      ? tools.value
+      : tools.value
+          .split(',')
+          .map((v) => v.trim())
+          .filter(Boolean)
+          .map((value) => ({ value, line: tools.line }));
+
+    for (const entry of entries) {
+      // Bash(git:*) style entries are checked by their tool name
+      const toolName = entry.value.replace(/\(.*\)$/, '');
+      if (CLAUDE_CODE_TOOLS.includes(toolName) || MCP_TOOL_PATTERN.test(toolName)) continue;
+
+      const known = CLAUDE_CODE_TOOLS.find((t) => t.toLowerCase() === toolName.toLowerCase());
+      problems.push({
+        ruleId: 'frontmatter-unknown-tool',
+        severity: 'warning',
+        message: known
+          ? `Tool '${toolName}' should be written '${known}'`
+          : `Unknown tool '${toolName}' (expected one of ${CLAUDE_CODE_TOOLS.join(', ')}, or mcp__<server>__<tool>)`,
+        line: entry.line,
+        fix: known ? replaceOnLine(entry.line, toolName, known) : undefined,
+      });
+    }
+  }
+
+  const model = parsed.fields.model;
+  if (
+    model &&
+    typeof model.value === 'string' &&
+    !MODEL_ALIASES.includes(model.value) &&
+    !FULL_MODEL_ID.test(model.value)
+  ) {
+    // Capitalized or misspelled names map onto their alias
+    const alias = MODEL_ALIASES.find((a) => model.value.toLowerCase().includes(a));
+    problems.push({
+      ruleId: 'frontmatter-invalid-model',
+      severity: 'warning',
+      message: `Model '${model.value}' is not an accepted alias (${MODEL_ALIASES.join(', ')}) or full model id`,
+      line: model.line,
+      fix: alias ? replaceLine(model.line, `model: ${alias}`) : undefined,
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Checks shared by skills and agents: frontmatter present, name and description
+ */
+function checkCommonFields(parsed, expectedName, kind) {
+  const problems = [];
+
+  if (!parsed.found) {
+    problems.push({
+      ruleId: 'frontmatter-missing',
+      severity: 'error',
+      message: `Missing frontmatter (--- block with name and description) at the top of the ${kind} file`,
+      line: 1,
+    });
+    return problems;
+  }
+  if (!parsed.closed) {
+    problems.push({
+      ruleId: 'frontmatter-unterminated',
+      severity: 'error',
+      message: 'Frontmatter is not closed with ---',
+      line: 1,
+    });
+    return problems;
+  }
+
+  const { name, description } = parsed.fields;
+
+  if (!name || !name.value) {
+    problems.push({
+      ruleId: 'frontmatter-missing-name',
+      severity: 'error',
+      message: `Frontmatter is missing 'name' (expected '${expectedName}')`,
+      line: name ? name.line : 1,
+      fix: name ? replaceLine(name.line, `name: ${expectedName}`) : insertAfterLine(1, `name: ${expectedName}`),
+    });
+  } else if (name.value !== expectedName) {
+    problems.push({
+      ruleId: 'frontmatter-name-mismatch',
+      severity: 'warning',
+      message: `Frontmatter name '${name.value}' does not match the ${kind === 'skill' ? 'directory' : 'file'} name '${expectedName}'`,
+      line: name.line,
+      fix: replaceLine(name.line, `name: ${expectedName}`),
+    });
+  }
+
+  if (!description || !description.value) {
+    problems.push({
+      ruleId: 'frontmatter-missing-description',
+      severity: 'error',
+      message: `Frontmatter is missing 'description'; Claude uses it to decide when to use this ${kind}`,
+      line: description ? description.line : 1,
+    });
+  } else if (typeof description.value === 'string' && description.value.length > MAX_DESCRIPTION_LENGTH) {
+    problems.push({
+      ruleId: 'frontmatter-description-too-long',
+      severity: 'warning',
+      message: `Description is ${description.value.length} characters; Claude Code truncates it at ${MAX_DESCRIPTION_LENGTH}`,
+      line: description.line,
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Fix that replaces a whole line
+ */
+function replaceLine(line, text) {
+  return { line, apply: () => text };
+}
+
+/**
+ * Fix that replaces a word on a line
+ */
+function replaceOnLine(line, from, to) {
+  const pattern = new RegExp(`\\b${from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`);
+  return { line, apply: (text) => text.replace(pattern, to) };
+}
+
+/**
+ * Fix that inserts a new line after the given line
+ */
+function insertAfterLine(line, text) {
+  return { line, insert: true, apply: () => text };
+}
+
+/**
+ * Apply the fixes of a list of problems to file content
+ *
+ * @returns {string} Fixed content
+ */
+export function applyFrontmatterFixes(content, problems) {
+  const lines = content.split('\n');
+
+  // Bottom-up, so inserted lines do not shift the ones still to fix
+  const fixes = problems.filter((p) => p.fix).map((p) => p.fix).sort((a, b) => b.line - a.line);
+  for (const fix of fixes) {
+    const index = fix.line - 1;
+    if (fix.insert) {
+      lines.splice(index + 1, 0, fix.apply());
+    } else {
+      lines[index] = fix.apply(lines[index]);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export default {
+  CLAUDE_CODE_TOOLS,
+  MODEL_ALIASES,
+  MAX_DESCRIPTION_LENGTH,
+  parseFrontmatter,
+  lintSkillFrontmatter,
+  lintAgentFrontmatter,
+  applyFrontmatterFixes,
+};
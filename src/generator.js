@@ -7,7 +7,30 @@ import fs from 'fs/promises';
 import path from 'path';
 import { skills, getSkill } from './templates/skills.js';
 import { agents, getAgent } from './templates/agents.js';
-import { hooks, getHook, getHooksByEvent } from './templates/hooks.js';
+import { hooks, getHook, getHooksByEvent, renderHook, resolveHookEnforcement } from './templates/hooks.js';
+import { getMcpServer, getMcpEnvVars } from './templates/mcp.js';
+import { getCommand } from './templates/commands.js';
+import { baselineDeny, mergePermissions } from './permissions.js';
+import {
+  installOfficialSkills,
+  addOfficialSkillPlugins,
+  verifyOfficialSkills,
+  OFFICIAL_REPO,
+} from './official-skills.js';
+import {
+  readManifest,
+  updateManifest,
+  getTemplateVersion,
+  recordGeneratedFiles,
+  forgetGeneratedFiles,
+  checkGeneratedFiles,
+} from './manifest.js';
+import { backupExisting } from './merger.js';
+import { lintSkillFrontmatter, lintAgentFrontmatter, applyFrontmatterFixes } from './frontmatter.js';
+import { checkReferences } from './references.js';
+import { lintHooksDir } from './hook-linter.js';
+import { updateHookConfig, readHookConfig, removeHookConfig, checkHookConfig, getHookParams, HOOK_CONFIG_FILE } from './hook-config.js';
+import { readFile, writeFile, ensureDir, removePath } from './writer.js';
 
 /**
  * Generate complete project configuration
@@ -23,97 +46,262 @@ export async function generateProject(config) {
     projectType,
     techStack = [],
     architecture = [],
+    officialSkills: selectedOfficial = [],
     skills: selectedSkills = [],
     agents: selectedAgents = [],
     hooks: selectedHooks = [],
+    commands: selectedCommands = [],
+    mcp: selectedMcp = [],
     enforcementLevel = 'strict',
+    hookEnforcement = {},
+    hookSettings = {},
+    detectedHookSettings = {},
     customComponents = [],
+    permissions = {},
+    merge = null,
   } = config;
 
   const summary = {
     files: [],
+    officialSkills: [],
     skills: 0,
     agents: 0,
     hooks: 0,
+    commands: 0,
+    mcp: 0,
   };
 
+  // When merging, components come from mergeConfigurations: selected templates
+  // (new or updated) plus user-only components that are left untouched on disk
+  const skillPlan = merge ? merge.components.skills : selectedSkills.map((name) => ({ name, isNew: true }));
+  const agentPlan = merge ? merge.components.agents : selectedAgents.map((name) => ({ name, isNew: true }));
+  const hookPlan = merge ? merge.components.hooks : selectedHooks.map((name) => ({ name, isNew: true }));
+  const commandPlan = merge ? merge.components.commands : selectedCommands.map((name) => ({ name, isNew: true }));
+
+  // Per-hook overrides of the enforcement level; merging keeps earlier overrides
+  const enforcement = {
+    level: enforcementLevel,
+    hooks: { ...(merge ? (await readManifest(outputDir))?.enforcement?.hooks : {}), ...hookEnforcement },
+  };
+  // Available-only hooks are installed but not registered
+  const registeredHooks = selectedHooks.filter((name) => resolveHookEnforcement(name, enforcement) !== 'available');
+
   // Create directories
   await ensureDir(outputDir);
   await ensureDir(path.join(outputDir, 'skills'));
   await ensureDir(path.join(outputDir, 'agents'));
   await ensureDir(path.join(outputDir, 'hooks'));
+  if (commandPlan.length > 0) {
+    await ensureDir(path.join(outputDir, 'commands'));
+  }
+
+  // Official skills are copied from a local cache when possible, otherwise
+  // referenced through their marketplace plugin
+  const official = await installOfficialSkills(selectedOfficial, outputDir);
+  summary.officialSkills = official;
+  const officialNames = official.map((s) => s.name);
+
+  // MCP servers are merged into the project .mcp.json in every mode, since it
+  // lives outside .claude/ and may hold servers cc-scaffold did not create
+  const mcpPath = path.join(path.dirname(outputDir), '.mcp.json');
+  const mcpConfig = await readJsonFile(mcpPath);
+  let mcpChanged = false;
+  for (const name of selectedMcp) {
+    const server = getMcpServer(name);
+    if (server && mergeMcpServer(mcpConfig, server)) {
+      mcpChanged = true;
+    }
+  }
+  const mcpNames = Object.keys(mcpConfig.mcpServers || {});
 
   // Generate CLAUDE.md
   const claudeMdPath = path.join(path.dirname(outputDir), 'CLAUDE.md');
-  const claudeMdContent = generateClaudeMd({
+  let claudeMdContent = generateClaudeMd({
     projectName,
     description,
     projectType,
     techStack,
     architecture,
-    skills: selectedSkills,
-    agents: selectedAgents,
-    hooks: selectedHooks,
+    skills: skillPlan.map((c) => c.name).filter((name) => !officialNames.includes(name)),
+    officialSkills: official,
+    agents: agentPlan.map((c) => c.name),
+    hooks: hookPlan.map((c) => c.name),
+    commands: commandPlan.map((c) => c.name),
+    mcp: mcpNames,
     enforcementLevel,
+    hookEnforcement: enforcement.hooks,
   });
-  await fs.writeFile(claudeMdPath, claudeMdContent);
+  if (merge?.claudeMdCustomSections) {
+    claudeMdContent = appendCustomSections(claudeMdContent, merge.claudeMdCustomSections);
+  }
+  await writeFile(claudeMdPath, claudeMdContent);
   summary.files.push(claudeMdPath);
 
-  // Generate settings.json
+  // Generate settings.json (merging keeps existing hook entries; unrelated
+  // keys such as permissions, env and model are always kept)
   const settingsPath = path.join(outputDir, 'settings.json');
-  const settingsContent = generateSettingsJson({
-    hooks: selectedHooks,
+  let settingsContent;
+  if (merge) {
+    settingsContent = structuredClone(merge.existingSettings || {});
+    migrateSettingsHooks(settingsContent);
+    for (const hookName of registeredHooks) {
+      const hook = getHook(hookName);
+      if (hook) {
+        mergeHookIntoSettings(settingsContent, hook);
+      }
+    }
+  } else {
+    settingsContent = generateSettingsJson({
+      hooks: registeredHooks,
+      existing: await readJsonFile(settingsPath),
+    });
+  }
+
+  addOfficialSkillPlugins(settingsContent, official);
+
+  // Permission rules are added to existing lists; baseline deny rules always apply
+  mergePermissions(settingsContent, {
+    ...permissions,
+    deny: [...baselineDeny, ...(permissions.deny || [])],
   });
-  await fs.writeFile(settingsPath, JSON.stringify(settingsContent, null, 2));
+
+  await writeFile(settingsPath, JSON.stringify(settingsContent, null, 2));
   summary.files.push(settingsPath);
 
+  if (mcpChanged) {
+    await writeFile(mcpPath, JSON.stringify(mcpConfig, null, 2));
+    summary.files.push(mcpPath);
+  }
+  summary.mcp = mcpNames.length;
+
+  await updateManifest(outputDir, { enforcement });
+
+  // Record official skills so validate/audit can check them; merging keeps
+  // entries for skills that were not reselected
+  if (official.length > 0 || !merge) {
+    const previous = merge ? (await readManifest(outputDir))?.officialSkills || [] : [];
+    await updateManifest(outputDir, {
+      officialSkills: [
+        ...previous.filter((s) => !officialNames.includes(s.name)),
+        ...official.map(({ from, ...entry }) => entry),
+      ],
+    });
+  }
+
+  // Component files written in this run, for the manifest
+  const generated = [];
+
   // Generate skill files
-  for (const skillName of selectedSkills) {
-    const skill = getSkill(skillName);
-    if (skill) {
-      const skillDir = path.join(outputDir, 'skills', skillName);
+  for (const item of skillPlan) {
+    const skill = getSkill(item.name);
+    if (skill && !item.isExisting) {
+      const skillDir = path.join(outputDir, 'skills', item.name);
       await ensureDir(skillDir);
       const skillPath = path.join(skillDir, 'SKILL.md');
-      await fs.writeFile(skillPath, skill.content);
+      const content = appendCustomSections(skill.content, item.preserveCustomSections);
+      await writeFile(skillPath, content);
+      generated.push(templateFile(skillPath, 'skill', skill, content));
       summary.files.push(skillPath);
+    }
+    if (skill || item.isExisting) {
       summary.skills++;
     }
   }
 
   // Generate agent files
-  for (const agentName of selectedAgents) {
-    const agent = getAgent(agentName);
-    if (agent) {
-      const agentPath = path.join(outputDir, 'agents', `${agentName}.md`);
-      await fs.writeFile(agentPath, agent.content);
+  for (const item of agentPlan) {
+    const agent = getAgent(item.name);
+    if (agent && !item.isExisting) {
+      const agentPath = path.join(outputDir, 'agents', `${item.name}.md`);
+      const content = appendCustomSections(agent.content, item.preserveCustomSections);
+      await writeFile(agentPath, content);
+      generated.push(templateFile(agentPath, 'agent', agent, content));
       summary.files.push(agentPath);
+    }
+    if (agent || item.isExisting) {
       summary.agents++;
     }
   }
 
-  // Generate hook files
-  for (const hookName of selectedHooks) {
-    const hook = getHook(hookName);
-    if (hook) {
-      const hookPath = path.join(outputDir, 'hooks', `${hookName}.sh`);
-      await fs.writeFile(hookPath, hook.content, { mode: 0o755 });
+  // Generate slash command files
+  for (const item of commandPlan) {
+    const command = getCommand(item.name);
+    if (command && !item.isExisting) {
+      const commandPath = path.join(outputDir, 'commands', `${item.name}.md`);
+      const content = appendCustomSections(command.content, item.preserveCustomSections);
+      await writeFile(commandPath, content);
+      generated.push(templateFile(commandPath, 'command', command, content));
+      summary.files.push(commandPath);
+    }
+    if (command || item.isExisting) {
+      summary.commands++;
+    }
+  }
+
+  // Hook settings the scripts read at run time; values already in the file are kept
+  const hookConfigPath = await updateHookConfig(outputDir, selectedHooks, hookSettings, detectedHookSettings);
+  if (hookConfigPath) {
+    summary.files.push(hookConfigPath);
+  }
+  // Settings are also baked in as the script defaults, for when jq or the file is missing
+  const hookConfig = await readHookConfig(outputDir);
+
+  // Generate hook files (existing scripts are kept as-is when merging,
+  // since bash has no marker sections to carry customizations over)
+  for (const item of hookPlan) {
+    const hook = getHook(item.name);
+    if (hook && item.isNew) {
+      const hookPath = path.join(outputDir, 'hooks', `${item.name}.sh`);
+      const content = renderHook(hook, resolveHookEnforcement(item.name, enforcement), hookConfig?.hooks?.[item.name]);
+      await writeFile(hookPath, content, { mode: 0o755 });
+      generated.push(templateFile(hookPath, 'hook', hook, content));
       summary.files.push(hookPath);
+    }
+    if (hook || item.isExisting) {
       summary.hooks++;
     }
   }
 
   // Generate custom components
   for (const custom of customComponents) {
-    await generateCustomComponent(outputDir, custom);
+    const file = await generateCustomComponent(outputDir, custom);
+    if (file) {
+      generated.push({ ...file, type: custom.type, name: custom.name, templateVersion: 'custom' });
+    }
     summary.files.push(custom.name);
     if (custom.type === 'skill') summary.skills++;
     if (custom.type === 'agent') summary.agents++;
     if (custom.type === 'hook') summary.hooks++;
   }
 
+  await recordGeneratedFiles(outputDir, generated);
+
   return summary;
 }
 
+/**
+ * Manifest record for a file written from a template
+ */
+function templateFile(filePath, type, template, content) {
+  return {
+    path: filePath,
+    type,
+    name: template.name,
+    templateVersion: getTemplateVersion(template.content),
+    content,
+  };
+}
+
+/**
+ * Re-attach preserved custom sections to freshly generated content
+ */
+export function appendCustomSections(content, customSections) {
+  if (!customSections || content.includes(customSections)) {
+    return content;
+  }
+  return `${content.trimEnd()}\n\n${customSections}\n`;
+}
+
 /**
  * Generate CLAUDE.md content
  */
@@ -125,9 +313,13 @@ export function generateClaudeMd(config) {
     techStack,
     architecture,
     skills: selectedSkills,
+    officialSkills: selectedOfficial = [],
     agents: selectedAgents,
     hooks: selectedHooks,
+    commands: selectedCommands = [],
+    mcp: selectedMcp = [],
     enforcementLevel,
+    hookEnforcement = {},
   } = config;
 
   let content = `# ${projectName}
@@ -151,6 +343,28 @@ ${selectedSkills.map((s) => `- @.claude/skills/${s}/SKILL.md`).join('\n')}
 `;
   }
 
+  // Official skills
+  if (selectedOfficial.length > 0) {
+    const plugins = [...new Set(selectedOfficial.filter((s) => s.source === 'plugin').map((s) => s.plugin))];
+    content += `## Official Skills
+
+${selectedOfficial.map((s) => s.source === 'local'
+  ? `- @.claude/skills/${s.name}/SKILL.md`
+  : `- **${s.name}** (plugin \`${s.plugin}\`)`).join('\n')}
+
+`;
+    if (plugins.length > 0) {
+      content += `Plugin skills are enabled in \`.claude/settings.json\`. If Claude Code has not installed them yet, run:
+
+\`\`\`
+/plugin marketplace add ${OFFICIAL_REPO}
+${plugins.map((p) => `/plugin install ${p}`).join('\n')}
+\`\`\`
+
+`;
+    }
+  }
+
   // Required Agents
   if (selectedAgents.length > 0) {
     content += `## Required Agents
@@ -160,15 +374,49 @@ ${selectedAgents.map((a) => `- @.claude/agents/${a}.md`).join('\n')}
 `;
   }
 
-  // Hooks
+  // Hooks, marked where their enforcement differs from strict
   if (selectedHooks.length > 0) {
+    const levelNotes = {
+      suggested: ' (warns, never blocks)',
+      available: ' (installed only: not registered in settings.json, so it does not run)',
+    };
     content += `## Active Hooks
 
 The following hooks run automatically:
 
 ${selectedHooks.map((h) => {
   const hook = getHook(h);
-  return `- **${h}**: ${hook?.description || 'Custom hook'}`;
+  const level = resolveHookEnforcement(h, { level: enforcementLevel, hooks: hookEnforcement });
+  return `- **${h}**: ${hook?.description || 'Custom hook'}${levelNotes[level] || ''}`;
+}).join('\n')}
+${selectedHooks.some((h) => getHookParams(h).length > 0) ? `\nHook settings (thresholds, branches, commands) are in \`.claude/${HOOK_CONFIG_FILE}\`.\n` : ''}
+`;
+  }
+
+  // Slash commands
+  if (selectedCommands.length > 0) {
+    content += `## Slash Commands
+
+${selectedCommands.map((c) => {
+  const command = getCommand(c);
+  const hint = command?.argumentHint ? ` ${command.argumentHint}` : '';
+  return `- \`/${c}${hint}\`: ${command?.description || 'Custom command'}`;
+}).join('\n')}
+
+`;
+  }
+
+  // MCP servers
+  if (selectedMcp.length > 0) {
+    content += `## MCP Servers
+
+Configured in \`.mcp.json\`:
+
+${selectedMcp.map((m) => {
+  const server = getMcpServer(m);
+  const envVars = getMcpEnvVars(m);
+  const needs = envVars.length > 0 ? ` (requires ${envVars.map((v) => `\`${v}\``).join(', ')})` : '';
+  return `- **${m}**: ${server?.description || 'Custom server'}${needs}`;
 }).join('\n')}
 
 `;
@@ -205,6 +453,7 @@ This project uses **suggested** enforcement:
     content += `## Available Components
 
 Components are installed but enforcement is optional.
+Hooks are in \`.claude/hooks/\` but not registered in settings.json; register one to run it.
 Use skills and agents as needed for your workflow.
 
 `;
@@ -224,14 +473,29 @@ Use skills and agents as needed for your workflow.
   return content;
 }
 
+/**
+ * Default timeout (seconds) for generated hook commands
+ */
+const DEFAULT_HOOK_TIMEOUT = 60;
+
+/**
+ * Events whose hooks are filtered by a tool-name matcher
+ */
+const TOOL_EVENTS = ['PreToolUse', 'PostToolUse'];
+
 /**
  * Generate settings.json content
+ *
+ * Hooks are emitted in the Claude Code schema:
+ * { EventName: [{ matcher, hooks: [{ type: 'command', command, timeout }] }] }
+ *
+ * @param {Object} config - { hooks: hook names, existing: current settings to keep non-hook keys from }
  */
 export function generateSettingsJson(config) {
-  const { hooks: selectedHooks = [] } = config;
+  const { hooks: selectedHooks = [], existing = {} } = config;
 
-  const hooksByEvent = getHooksByEvent();
   const settings = {
+    ...existing,
     hooks: {},
   };
 
@@ -239,22 +503,98 @@ export function generateSettingsJson(config) {
   for (const hookName of selectedHooks) {
     const hook = getHook(hookName);
     if (hook) {
-      const event = hook.event;
-      if (!settings.hooks[event]) {
-        settings.hooks[event] = [];
-      }
-      settings.hooks[event].push({
-        matcher: hook.matcher,
-        command: `.claude/hooks/${hookName}.sh`,
-      });
+      mergeHookIntoSettings(settings, hook);
     }
   }
 
   return settings;
 }
 
+/**
+ * Build the settings.json command entry for a hook
+ */
+function buildHookCommand(hook) {
+  return {
+    type: 'command',
+    command: `.claude/hooks/${hook.name}.sh`,
+    timeout: hook.timeout || DEFAULT_HOOK_TIMEOUT,
+  };
+}
+
+/**
+ * Convert legacy flat { matcher, command } entries into matcher groups
+ *
+ * @param {Object} settings - Parsed settings.json (modified in place)
+ * @returns {number} Number of entries migrated
+ */
+export function migrateSettingsHooks(settings) {
+  let migrated = 0;
+
+  for (const [event, entries] of Object.entries(settings.hooks || {})) {
+    if (!Array.isArray(entries)) continue;
+
+    const groups = [];
+    for (const entry of entries) {
+      if (entry && typeof entry.command === 'string' && !Array.isArray(entry.hooks)) {
+        const command = { type: 'command', command: entry.command };
+        if (entry.timeout) command.timeout = entry.timeout;
+
+        const matcher = normalizeMatcher(event, entry.matcher);
+        const group = groups.find((g) => g.matcher === matcher);
+        if (group) {
+          group.hooks.push(command);
+        } else {
+          groups.push(matcher === undefined ? { hooks: [command] } : { matcher, hooks: [command] });
+        }
+        migrated++;
+      } else {
+        groups.push(entry);
+      }
+    }
+
+    settings.hooks[event] = groups;
+  }
+
+  return migrated;
+}
+
+/**
+ * Count legacy flat hook entries without modifying settings
+ */
+export function countLegacyHookEntries(settings) {
+  return Object.values(settings?.hooks || {})
+    .filter(Array.isArray)
+    .flat()
+    .filter((entry) => entry && typeof entry.command === 'string' && !Array.isArray(entry.hooks))
+    .length;
+}
+
+/**
+ * Matchers only apply to tool events; '*' on other events is dropped
+ */
+function normalizeMatcher(event, matcher) {
+  if (TOOL_EVENTS.includes(event)) {
+    return matcher || '*';
+  }
+  return matcher && matcher !== '*' ? matcher : undefined;
+}
+
+/**
+ * Read a JSON config file, returning an empty object if missing or invalid
+ */
+async function readJsonFile(settingsPath) {
+  try {
+    const content = await readFile(settingsPath);
+    return JSON.parse(content);
+  } catch {
+    return {};
+  }
+}
+
 /**
  * Generate a custom component
+ *
+ * @returns {Object|null} The written file: { path, content }
  */
 async function generateCustomComponent(outputDir, component) {
   const { type, name, description } = component;
@@ -299,8 +639,9 @@ Provide feedback in this format:
 2. Recommendation 2
 \`\`\`
 `;
-      await fs.writeFile(path.join(skillDir, 'SKILL.md'), content);
-      break;
+      const skillPath = path.join(skillDir, 'SKILL.md');
+      await writeFile(skillPath, content);
+      return { path: skillPath, content };
     }
 
     case 'agent': {
@@ -357,8 +698,9 @@ Confirm the changes are correct.
 - [ ] Verified item 2
 \`\`\`
 `;
-      await fs.writeFile(path.join(outputDir, 'agents', `${name}.md`), content);
-      break;
+      const agentPath = path.join(outputDir, 'agents', `${name}.md`);
+      await writeFile(agentPath, content);
+      return { path: agentPath, content };
     }
 
     case 'hook': {
@@ -369,34 +711,46 @@ Confirm the changes are correct.
 
 set -e
 
-# Get input from Claude
+# Get input from Claude (JSON: session_id, cwd, hook_event_name, tool_name, tool_input, ...)
 INPUT=$(cat)
 
 # Your hook logic here
 echo "Running ${name} hook..."
 
-# Example: Extract file path
-# FILE_PATH=$(echo "$INPUT" | jq -r '.file_path // .path // empty')
+# Example: Extract file path (Write/Edit/MultiEdit)
+# FILE_PATH=$(echo "$INPUT" | jq -r '.tool_input.file_path // empty')
 
 # Success
 exit 0
 `;
       const hookPath = path.join(outputDir, 'hooks', `${name}.sh`);
-      await fs.writeFile(hookPath, content, { mode: 0o755 });
-      break;
+      await writeFile(hookPath, content, { mode: 0o755 });
+      return { path: hookPath, content };
     }
+
+    default:
+      return null;
   }
 }
 
 /**
  * Add components to an existing project
  *
- * @param {string} type - Component type (skill, agent, hook)
+ * @param {string} type - Component type (skill, agent, hook, command, mcp)
  * @param {string[]} names - Component names to add
  * @param {string} outputDir - Output directory
+ * @param {Object} options - { enforcement: level for added hooks, overriding the project level,
+ *   detectedHookSettings: { hook: { key: value } } found by scanning the project }
  */
-export async function addComponents(type, names, outputDir = './.claude') {
+export async function addComponents(
+  type,
+  names,
+  outputDir = './.claude',
+  { enforcement: hookLevel, detectedHookSettings = {} } = {}
+) {
   const added = [];
+  const generated = [];
+  const enforcement = (await readManifest(outputDir))?.enforcement || {};
 
   for (const name of names) {
     switch (type) {
@@ -405,7 +759,9 @@ export async function addComponents(type, names, outputDir = './.claude') {
         if (skill) {
           const skillDir = path.join(outputDir, 'skills', name);
           await ensureDir(skillDir);
-          await fs.writeFile(path.join(skillDir, 'SKILL.md'), skill.content);
+          const skillPath = path.join(skillDir, 'SKILL.md');
+          await writeFile(skillPath, skill.content);
+          generated.push(templateFile(skillPath, 'skill', skill, skill.content));
           added.push(name);
         }
         break;
@@ -415,10 +771,30 @@ export async function addComponents(type, names, outputDir = './.claude') {
         const agent = getAgent(name);
         if (agent) {
           await ensureDir(path.join(outputDir, 'agents'));
-          await fs.writeFile(
-            path.join(outputDir, 'agents', `${name}.md`),
-            agent.content
-          );
+          const agentPath = path.join(outputDir, 'agents', `${name}.md`);
+          await writeFile(agentPath, agent.content);
+          generated.push(templateFile(agentPath, 'agent', agent, agent.content));
+          added.push(name);
+        }
+        break;
+      }
+
+      case 'command': {
+        const command = getCommand(name);
+        if (command) {
+          await ensureDir(path.join(outputDir, 'commands'));
+          const commandPath = path.join(outputDir, 'commands', `${name}.md`);
+          await writeFile(commandPath, command.content);
+          generated.push(templateFile(commandPath, 'command', command, command.content));
+          added.push(name);
+        }
+        break;
+      }
+
+      case 'mcp': {
+        const server = getMcpServer(name);
+        if (server) {
+          await updateMcpConfig(outputDir, server);
           added.push(name);
         }
         break;
@@ -427,60 +803,421 @@ export async function addComponents(type, names, outputDir = './.claude') {
       case 'hook': {
         const hook = getHook(name);
         if (hook) {
+          // An explicit level is kept as an override unless it matches the project level
+          if (hookLevel) {
+            enforcement.hooks = { ...enforcement.hooks, [name]: hookLevel };
+            if (hookLevel === (enforcement.level || 'strict')) delete enforcement.hooks[name];
+            await updateManifest(outputDir, { enforcement });
+          }
+          const level = resolveHookEnforcement(name, enforcement);
+
+          await updateHookConfig(outputDir, [name], {}, detectedHookSettings);
+          const settings = (await readHookConfig(outputDir))?.hooks?.[name];
+
           await ensureDir(path.join(outputDir, 'hooks'));
           const hookPath = path.join(outputDir, 'hooks', `${name}.sh`);
-          await fs.writeFile(hookPath, hook.content, { mode: 0o755 });
+          const content = renderHook(hook, level, settings);
+          await writeFile(hookPath, content, { mode: 0o755 });
+          generated.push(templateFile(hookPath, 'hook', hook, content));
           added.push(name);
 
-          // Update settings.json
-          await updateSettingsWithHook(outputDir, hook);
+          // Update settings.json; available-only hooks are not registered
+          await updateSettingsWithHook(outputDir, hook, level !== 'available');
         }
         break;
       }
     }
   }
 
+  if (generated.length > 0) {
+    await recordGeneratedFiles(outputDir, generated);
+  }
+
   return added;
 }
 
 /**
- * Update settings.json with a new hook
+ * Register a hook in settings.json, or unregister it when register is false
+ */
+async function updateSettingsWithHook(outputDir, hook, register = true) {
+  const settingsPath = path.join(outputDir, 'settings.json');
+  const settings = await readJsonFile(settingsPath);
+
+  const migrated = migrateSettingsHooks(settings);
+  let changed = false;
+  if (register) {
+    changed = mergeHookIntoSettings(settings, hook);
+  } else if (countHookReferences(settings, hook.name) > 0) {
+    removeHookFromSettings(settings, hook.name);
+    changed = true;
+  }
+
+  if (migrated > 0 || changed) {
+    await writeFile(settingsPath, JSON.stringify(settings, null, 2));
+  }
+}
+
+/**
+ * Remove installed components from a project: deletes their files, strips
+ * matching settings.json hook entries and .mcp.json servers, and drops their
+ * lines from CLAUDE.md. The .claude/ directory is backed up first.
+ *
+ * @param {string} type - Component type (skill, agent, hook, command, mcp)
+ * @param {string[]} names - Component names to remove
+ * @param {string} outputDir - Output directory
+ * @param {Object} options - { backup: whether to back up .claude/ first }
+ * @returns {Object} { backupDir, removed: [{ name, files, settingsEntries, claudeMd }], notFound: names }
  */
-async function updateSettingsWithHook(outputDir, hook) {
+export async function removeComponents(type, names, outputDir = './.claude', { backup = true } = {}) {
+  const projectDir = path.dirname(outputDir);
+  const claudeMdPath = path.join(projectDir, 'CLAUDE.md');
   const settingsPath = path.join(outputDir, 'settings.json');
-  let settings = { hooks: {} };
+  const mcpPath = path.join(projectDir, '.mcp.json');
 
-  // Read existing settings
+  const settings = await readJsonFile(settingsPath);
+  const mcpConfig = await readJsonFile(mcpPath);
+  let claudeMd = null;
   try {
-    const content = await fs.readFile(settingsPath, 'utf-8');
-    settings = JSON.parse(content);
-    if (!settings.hooks) {
-      settings.hooks = {};
+    claudeMd = await readFile(claudeMdPath);
+  } catch {
+    // No CLAUDE.md to update
+  }
+
+  // Work out what each name maps to before touching anything
+  const plans = [];
+  const notFound = [];
+  for (const name of names) {
+    const plan = { name, files: [], settingsEntries: 0, claudeMd: false, mcp: false };
+
+    const componentPath = getComponentPath(outputDir, type, name);
+    if (componentPath && (await pathExists(componentPath))) {
+      plan.files.push(componentPath);
+    }
+    if (type === 'hook') {
+      plan.settingsEntries = countHookReferences(settings, name);
+    }
+    if (type === 'mcp') {
+      plan.mcp = Boolean(mcpConfig.mcpServers?.[name]);
+    }
+    if (claudeMd !== null) {
+      plan.claudeMd = removeFromClaudeMd(claudeMd, type, name) !== claudeMd;
+    }
+
+    if (plan.files.length > 0 || plan.settingsEntries > 0 || plan.mcp || plan.claudeMd) {
+      plans.push(plan);
+    } else {
+      notFound.push(name);
+    }
+  }
+
+  if (plans.length === 0) {
+    return { backupDir: null, removed: [], notFound };
+  }
+
+  const backupDir = backup ? await backupExisting(projectDir) : null;
+
+  for (const plan of plans) {
+    for (const file of plan.files) {
+      await removePath(file);
+    }
+    if (plan.settingsEntries > 0) {
+      migrateSettingsHooks(settings);
+      removeHookFromSettings(settings, plan.name);
+    }
+    if (plan.mcp) {
+      delete mcpConfig.mcpServers[plan.name];
     }
+    if (plan.claudeMd) {
+      claudeMd = removeFromClaudeMd(claudeMd, type, plan.name);
+    }
+  }
+
+  if (plans.some((p) => p.settingsEntries > 0)) {
+    await writeFile(settingsPath, JSON.stringify(settings, null, 2));
+  }
+  if (plans.some((p) => p.mcp)) {
+    await writeFile(mcpPath, JSON.stringify(mcpConfig, null, 2));
+  }
+  if (plans.some((p) => p.claudeMd)) {
+    await writeFile(claudeMdPath, claudeMd);
+  }
+
+  await forgetGeneratedFiles(outputDir, plans.flatMap((p) => p.files));
+
+  // Forget the settings and enforcement overrides of removed hooks
+  if (type === 'hook') {
+    await removeHookConfig(outputDir, plans.map((p) => p.name));
+    const manifest = await readManifest(outputDir);
+    const overrides = { ...manifest?.enforcement?.hooks };
+    const removedNames = plans.map((p) => p.name).filter((name) => name in overrides);
+    if (removedNames.length > 0) {
+      removedNames.forEach((name) => delete overrides[name]);
+      await updateManifest(outputDir, { enforcement: { ...manifest.enforcement, hooks: overrides } });
+    }
+  }
+
+  // Forget removed official skills
+  if (type === 'skill') {
+    const manifest = await readManifest(outputDir);
+    const removedNames = plans.map((p) => p.name);
+    if (manifest?.officialSkills?.some((s) => removedNames.includes(s.name))) {
+      await updateManifest(outputDir, {
+        officialSkills: manifest.officialSkills.filter((s) => !removedNames.includes(s.name)),
+      });
+    }
+  }
+
+  return { backupDir, removed: plans, notFound };
+}
+
+/**
+ * File or directory that holds a component
+ */
+function getComponentPath(outputDir, type, name) {
+  switch (type) {
+    case 'skill':
+      return path.join(outputDir, 'skills', name);
+    case 'agent':
+      return path.join(outputDir, 'agents', `${name}.md`);
+    case 'hook':
+      return path.join(outputDir, 'hooks', `${name}.sh`);
+    case 'command':
+      return path.join(outputDir, 'commands', `${name}.md`);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a hook command runs .claude/hooks/<name>.sh, however it is written
+ * (relative, "$CLAUDE_PROJECT_DIR"/..., with arguments)
+ */
+function runsHookScript(command, name) {
+  const match = typeof command === 'string' && command.match(/\.claude\/hooks\/[\w.-]+\.sh/);
+  return Boolean(match) && match[0] === `.claude/hooks/${name}.sh`;
+}
+
+/**
+ * Count settings.json hook entries (new or legacy format) that run a hook script
+ */
+function countHookReferences(settings, name) {
+  return Object.values(settings.hooks || {})
+    .filter(Array.isArray)
+    .flat()
+    .flatMap((entry) => (Array.isArray(entry?.hooks) ? entry.hooks : [entry]))
+    .filter((h) => runsHookScript(h?.command, name))
+    .length;
+}
+
+/**
+ * Strip a hook script's commands from matcher groups, dropping groups and events left empty
+ */
+function removeHookFromSettings(settings, name) {
+  for (const [event, groups] of Object.entries(settings.hooks || {})) {
+    if (!Array.isArray(groups)) continue;
+
+    const remaining = groups
+      .map((g) => (Array.isArray(g.hooks) ? { ...g, hooks: g.hooks.filter((h) => !runsHookScript(h.command, name)) } : g))
+      .filter((g) => !Array.isArray(g.hooks) || g.hooks.length > 0);
+
+    if (remaining.length > 0) {
+      settings.hooks[event] = remaining;
+    } else {
+      delete settings.hooks[event];
+    }
+  }
+}
+
+/**
+ * CLAUDE.md sections and the list-line pattern that references each component type
+ */
+const CLAUDE_MD_REFERENCES = {
+  skill: {
+    sections: ['Required Skills', 'Official Skills'],
+    pattern: (n) => new RegExp(`^- (@\\.claude/skills/${n}/SKILL\\.md\\s*$|\\*\\*${n}\\*\\* )`),
+  },
+  agent: { sections: ['Required Agents'], pattern: (n) => new RegExp(`^- @\\.claude/agents/${n}\\.md\\s*$`) },
+  hook: { sections: ['Active Hooks'], pattern: (n) => new RegExp(`^- \\*\\*${n}\\*\\*:`) },
+  command: { sections: ['Slash Commands'], pattern: (n) => new RegExp(`^- \`/${n}[ \`]`) },
+  mcp: { sections: ['MCP Servers'], pattern: (n) => new RegExp(`^- \\*\\*${n}\\*\\*:`) },
+};
+
+/**
+ * Drop a component's list line from its CLAUDE.md sections, removing a
+ * section entirely once it has no list items left
+ */
+function removeFromClaudeMd(content, type, name) {
+  const ref = CLAUDE_MD_REFERENCES[type];
+  if (!ref) return content;
+
+  const pattern = ref.pattern(name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  // Split into chunks that each start at a ## heading
+  const chunks = content.split(/(?=^## )/m);
+
+  return chunks
+    .map((chunk) => {
+      const heading = chunk.match(/^## (.+)$/m)?.[1]?.trim();
+      if (!ref.sections.includes(heading)) return chunk;
+
+      const lines = chunk.split('\n');
+      const kept = lines.filter((line) => !pattern.test(line));
+      if (kept.length === lines.length) return chunk;
+
+      return kept.some((line) => line.startsWith('- ')) ? kept.join('\n') : '';
+    })
+    .join('');
+}
+
+/**
+ * Check whether a path exists
+ */
+async function pathExists(p) {
+  try {
+    await fs.access(p);
+    return true;
   } catch {
-    // File doesn't exist or is invalid, use defaults
+    return false;
+  }
+}
+
+// Flags whose value is a credential
+const SECRET_FLAG = /^--?(api[-_]?key|(access|auth|api)[-_]?token|token|(client[-_])?secret|password|passwd|pwd)$/i;
+
+// Values that look like credentials whatever flag they follow: provider key
+// prefixes, JWTs and URLs with a password in them
+const SECRET_VALUES = [
+  /^sk-[\w-]{16,}/,
+  /^sk_(live|test)_\w{16,}/,
+  /^(gh[pousr]_|github_pat_)\w{20,}/,
+  /^xox[abprs]-[\w-]{10,}/,
+  /^AKIA[0-9A-Z]{16}$/,
+  /^AIza[\w-]{35}$/,
+  /^eyJ[\w-]+\.[\w-]+\.[\w-]+$/,
+  /:\/\/[^/\s:@]+:[^/\s@]+@/,
+];
+
+/**
+ * Find MCP server args that pass a literal secret: a value after a secret
+ * flag (--token abc or --token=abc) or a value that looks like a credential
+ *
+ * @returns {string[]} The offending flags, or a masked value when there is no flag
+ */
+function findSecretArgs(args) {
+  if (!Array.isArray(args)) return [];
+  const found = [];
+  const literal = (value) => typeof value === 'string' && value !== '' && !value.includes('${');
+
+  let consumed = -1;
+  args.forEach((arg, i) => {
+    if (typeof arg !== 'string' || i === consumed) return;
+    const [flag, ...rest] = arg.split('=');
+    const value = rest.length > 0 ? rest.join('=') : null;
+
+    if (SECRET_FLAG.test(flag)) {
+      const next = value ?? args[i + 1];
+      if (value === null && literal(next) && next.startsWith('-')) return;
+      if (value === null) consumed = i + 1;
+      if (literal(next)) found.push(flag);
+      return;
+    }
+    const candidate = value ?? arg;
+    if (literal(candidate) && SECRET_VALUES.some((pattern) => pattern.test(candidate))) {
+      found.push(value !== null ? flag : `${candidate.slice(0, 6)}…`);
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Add an MCP server to the project .mcp.json
+ */
+async function updateMcpConfig(outputDir, server) {
+  const mcpPath = path.join(path.dirname(outputDir), '.mcp.json');
+  const mcpConfig = await readJsonFile(mcpPath);
+
+  if (mergeMcpServer(mcpConfig, server)) {
+    await writeFile(mcpPath, JSON.stringify(mcpConfig, null, 2));
+  }
+}
+
+/**
+ * Add an MCP server definition, keeping any existing one with the same name
+ *
+ * @returns {boolean} Whether the config was changed
+ */
+function mergeMcpServer(mcpConfig, server) {
+  if (!mcpConfig.mcpServers) {
+    mcpConfig.mcpServers = {};
+  }
+
+  if (mcpConfig.mcpServers[server.name]) {
+    return false;
+  }
+
+  mcpConfig.mcpServers[server.name] = structuredClone(server.config);
+  return true;
+}
+
+/**
+ * Add permission rules to an existing settings.json
+ *
+ * @param {Object} permissions - { allow, ask, deny } rule lists
+ * @param {string} outputDir - Output directory
+ * @returns {Object} Rules that were added, by list
+ */
+export async function updateSettingsPermissions(permissions, outputDir = './.claude') {
+  const settingsPath = path.join(outputDir, 'settings.json');
+  const settings = await readJsonFile(settingsPath);
+
+  const added = mergePermissions(settings, permissions);
+
+  if (Object.values(added).some((rules) => rules.length > 0)) {
+    await ensureDir(outputDir);
+    await writeFile(settingsPath, JSON.stringify(settings, null, 2));
+  }
+
+  return added;
+}
+
+/**
+ * Register a hook in a settings object, skipping it if its script is already registered.
+ * Expects hooks already migrated to the matcher-group schema.
+ *
+ * @returns {boolean} Whether settings were changed
+ */
+function mergeHookIntoSettings(settings, hook) {
+  if (!settings.hooks) {
+    settings.hooks = {};
   }
 
-  // Add hook
   const event = hook.event;
   if (!settings.hooks[event]) {
     settings.hooks[event] = [];
   }
 
-  // Check if hook already exists
-  const hookEntry = {
-    matcher: hook.matcher,
-    command: `.claude/hooks/${hook.name}.sh`,
-  };
+  const entry = buildHookCommand(hook);
+  const groups = settings.hooks[event];
 
-  const exists = settings.hooks[event].some(
-    (h) => h.command === hookEntry.command
+  // Check if the hook script is already registered, however its command is written
+  const exists = groups.some((g) =>
+    (g.hooks || []).some((h) => runsHookScript(h.command, hook.name))
   );
 
-  if (!exists) {
-    settings.hooks[event].push(hookEntry);
-    await fs.writeFile(settingsPath, JSON.stringify(settings, null, 2));
+  if (exists) {
+    return false;
   }
+
+  const matcher = normalizeMatcher(event, hook.matcher);
+  const group = groups.find((g) => g.matcher === matcher && Array.isArray(g.hooks));
+  if (group) {
+    group.hooks.push(entry);
+  } else {
+    groups.push(matcher === undefined ? { hooks: [entry] } : { matcher, hooks: [entry] });
+  }
+
+  return true;
 }
 
 /**
@@ -494,19 +1231,40 @@ export async function validateConfiguration(outputDir = './.claude') {
     valid: true,
     errors: [],
     warnings: [],
+    issues: [],
     summary: {
       skills: 0,
       agents: 0,
       hooks: 0,
+      commands: 0,
+      mcp: 0,
+      officialSkills: 0,
+      generatedFiles: 0,
+      editedFiles: [],
     },
   };
 
+  // Each problem is kept as a message (errors/warnings) and as a structured
+  // issue with a rule id and the file it concerns, relative to the project root
+  const projectDir = path.dirname(outputDir);
+  const report = (severity, ruleId, message, file, line) => {
+    const issue = { ruleId, severity, message, file: path.relative(projectDir, file) || '.' };
+    if (line) issue.line = line;
+    results.issues.push(issue);
+    const text = line ? `${issue.file}:${line}: ${message}` : message;
+    if (severity === 'error') {
+      results.errors.push(text);
+      results.valid = false;
+    } else {
+      results.warnings.push(text);
+    }
+  };
+
   // Check if directory exists
   try {
     await fs.access(outputDir);
   } catch {
-    results.valid = false;
-    results.errors.push(`Directory not found: ${outputDir}`);
+    report('error', 'claude-dir-missing', `Directory not found: ${outputDir}`, outputDir);
     return results;
   }
 
@@ -514,13 +1272,20 @@ export async function validateConfiguration(outputDir = './.claude') {
   const settingsPath = path.join(outputDir, 'settings.json');
   try {
     const content = await fs.readFile(settingsPath, 'utf-8');
-    JSON.parse(content);
+    const legacy = countLegacyHookEntries(JSON.parse(content));
+    if (legacy > 0) {
+      report(
+        'error',
+        'settings-legacy-hooks',
+        `settings.json has ${legacy} hook entr${legacy === 1 ? 'y' : 'ies'} in the legacy flat format that Claude Code ignores (re-run \`cc-scaffold add hook\` or an init merge to migrate)`,
+        settingsPath
+      );
+    }
   } catch (error) {
     if (error.code === 'ENOENT') {
-      results.warnings.push('settings.json not found');
+      report('warning', 'settings-missing', 'settings.json not found', settingsPath);
     } else {
-      results.errors.push(`Invalid settings.json: ${error.message}`);
-      results.valid = false;
+      report('error', 'settings-invalid-json', `Invalid settings.json: ${error.message}`, settingsPath);
     }
   }
 
@@ -529,7 +1294,39 @@ export async function validateConfiguration(outputDir = './.claude') {
   try {
     await fs.access(claudeMdPath);
   } catch {
-    results.warnings.push('CLAUDE.md not found in project root');
+    report('warning', 'claude-md-missing', 'CLAUDE.md not found in project root', claudeMdPath);
+  }
+
+  // Check .mcp.json (optional; secrets should be ${VAR} placeholders)
+  const mcpPath = path.join(path.dirname(outputDir), '.mcp.json');
+  try {
+    const mcpConfig = JSON.parse(await fs.readFile(mcpPath, 'utf-8'));
+    const servers = Object.entries(mcpConfig.mcpServers || {});
+    results.summary.mcp = servers.length;
+    for (const [name, server] of servers) {
+      for (const [key, value] of Object.entries(server?.env || {})) {
+        if (typeof value === 'string' && value && !value.includes('${')) {
+          report(
+            'warning',
+            'mcp-literal-secret',
+            `.mcp.json server '${name}' has a literal value for ${key}; use a \${${key}} placeholder instead`,
+            mcpPath
+          );
+        }
+      }
+      for (const arg of findSecretArgs(server?.args)) {
+        report(
+          'warning',
+          'mcp-literal-secret',
+          `.mcp.json server '${name}' passes a literal secret in args (${arg}); use a \${VAR} placeholder instead`,
+          mcpPath
+        );
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      report('error', 'mcp-invalid-json', `Invalid .mcp.json: ${error.message}`, mcpPath);
+    }
   }
 
   // Count skills
@@ -542,7 +1339,7 @@ export async function validateConfiguration(outputDir = './.claude') {
         await fs.access(skillFile);
         results.summary.skills++;
       } catch {
-        results.warnings.push(`Skill directory missing SKILL.md: ${dir}`);
+        report('warning', 'skill-missing-skill-md', `Skill directory missing SKILL.md: ${dir}`, skillFile);
       }
     }
   } catch {
@@ -558,6 +1355,54 @@ export async function validateConfiguration(outputDir = './.claude') {
     // Agents directory doesn't exist
   }
 
+  // Check skill and agent frontmatter
+  for (const { file, problems } of await lintComponentFrontmatter(outputDir)) {
+    for (const problem of problems) {
+      const fixable = problem.fix ? ' (fixable with --fix)' : '';
+      report(problem.severity, problem.ruleId, `${problem.message}${fixable}`, file, problem.line);
+    }
+  }
+
+  // Check official skills recorded in the manifest
+  const official = await verifyOfficialSkills(outputDir);
+  results.summary.officialSkills = official.present.length;
+  for (const problem of official.problems) {
+    report('warning', 'official-skill-unavailable', problem.message, problem.file);
+  }
+
+  // Compare generated files with the hashes recorded when they were written
+  const generatedFiles = await checkGeneratedFiles(outputDir);
+  results.summary.generatedFiles = generatedFiles.unchanged.length + generatedFiles.edited.length;
+  results.summary.editedFiles = generatedFiles.edited.map((f) => f.path);
+  for (const file of generatedFiles.missing) {
+    report(
+      'warning',
+      'generated-file-missing',
+      `Generated ${file.type} '${file.name}' is missing: .claude/${file.path}`,
+      path.join(outputDir, file.path)
+    );
+  }
+
+  // Count slash commands and check their frontmatter
+  try {
+    const commandsDir = path.join(outputDir, 'commands');
+    const commandFiles = (await fs.readdir(commandsDir)).filter((f) => f.endsWith('.md'));
+    results.summary.commands = commandFiles.length;
+    for (const file of commandFiles) {
+      const content = await fs.readFile(path.join(commandsDir, file), 'utf-8');
+      if (!/^---\n(?:.*\n)*?description:.+\n(?:.*\n)*?---/.test(content)) {
+        report(
+          'warning',
+          'command-missing-description',
+          `Command missing description frontmatter: ${file}`,
+          path.join(commandsDir, file)
+        );
+      }
+    }
+  } catch {
+    // Commands directory doesn't exist
+  }
+
   // Count and validate hooks
   try {
     const hooksDir = path.join(outputDir, 'hooks');
@@ -571,7 +1416,7 @@ export async function validateConfiguration(outputDir = './.claude') {
         try {
           const stats = await fs.stat(hookPath);
           if (!(stats.mode & 0o111)) {
-            results.warnings.push(`Hook not executable: ${hookFile}`);
+            report('warning', 'hook-not-executable', `Hook not executable: ${hookFile}`, hookPath);
           }
         } catch {
           // Ignore stat errors
@@ -582,26 +1427,93 @@ export async function validateConfiguration(outputDir = './.claude') {
     // Hooks directory doesn't exist
   }
 
+  // Lint hook scripts
+  for (const { file, problems } of await lintHooksDir(path.join(outputDir, 'hooks'))) {
+    for (const problem of problems) {
+      report(problem.severity, problem.ruleId, problem.message, file, problem.line);
+    }
+  }
+
+  // Check references between CLAUDE.md, settings and hook scripts
+  for (const issue of await checkReferences(projectDir)) {
+    report(issue.severity, issue.ruleId, issue.message, issue.file, issue.line);
+  }
+
+  // Check hook settings in cc-scaffold.config.json
+  for (const issue of await checkHookConfig(outputDir)) {
+    report(issue.severity, issue.ruleId, issue.message, issue.file, issue.line);
+  }
+
   return results;
 }
 
 /**
- * Ensure directory exists
+ * Check the frontmatter of every skill (SKILL.md) and agent
+ *
+ * @param {string} outputDir - .claude directory
+ * @returns {Object[]} { file, content, problems } for each file with problems
  */
-async function ensureDir(dir) {
-  try {
-    await fs.mkdir(dir, { recursive: true });
-  } catch (error) {
-    if (error.code !== 'EEXIST') {
-      throw error;
+async function lintComponentFrontmatter(outputDir) {
+  const files = [];
+
+  const skillsDir = path.join(outputDir, 'skills');
+  for (const dir of await fs.readdir(skillsDir).catch(() => [])) {
+    files.push({ file: path.join(skillsDir, dir, 'SKILL.md'), name: dir, lint: lintSkillFrontmatter });
+  }
+
+  const agentsDir = path.join(outputDir, 'agents');
+  for (const file of await fs.readdir(agentsDir).catch(() => [])) {
+    if (file.endsWith('.md')) {
+      files.push({ file: path.join(agentsDir, file), name: file.slice(0, -3), lint: lintAgentFrontmatter });
+    }
+  }
+
+  const results = [];
+  for (const { file, name, lint } of files) {
+    const content = await readFile(file).catch(() => null);
+    if (content === null) continue;
+    const problems = lint(content, name);
+    if (problems.length > 0) {
+      results.push({ file, content, problems });
     }
   }
+
+  return results;
+}
+
+/**
+ * Apply the automatic fixes for skill and agent frontmatter problems
+ * (names, tool name casing, model aliases)
+ *
+ * @param {string} outputDir - .claude directory
+ * @returns {Object[]} { file, fixed: problems fixed, remaining: problems left } per changed file
+ */
+export async function fixFrontmatter(outputDir = './.claude') {
+  const changed = [];
+
+  for (const { file, content, problems } of await lintComponentFrontmatter(outputDir)) {
+    const fixed = problems.filter((p) => p.fix);
+    if (fixed.length === 0) continue;
+
+    await writeFile(file, applyFrontmatterFixes(content, fixed));
+    changed.push({
+      file: path.relative(outputDir, file),
+      fixed,
+      remaining: problems.filter((p) => !p.fix),
+    });
+  }
+
+  return changed;
 }
 
 export default {
   generateProject,
   generateClaudeMd,
   generateSettingsJson,
+  migrateSettingsHooks,
   addComponents,
+  removeComponents,
+  updateSettingsPermissions,
   validateConfiguration,
+  fixFrontmatter,
 };
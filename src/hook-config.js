@@ -0,0 +1,225 @@
+/**
+ * Hook settings for CC Scaffold
+ * Hook templates declare typed parameters with defaults. Their values live in
+ * .claude/cc-scaffold.config.json under hooks.<hook>.<key>, where the
+ * generated scripts read them each time they run, so a team can change a
+ * threshold without editing bash or regenerating the hook.
+ */
+
+import path from 'path';
+import { getHook } from './templates/hooks.js';
+import { readFile, writeFile } from './writer.js';
+
+export const HOOK_CONFIG_FILE = 'cc-scaffold.config.json';
+
+export const PARAM_TYPES = ['number', 'string', 'boolean', 'list'];
+
+/**
+ * Parameters a hook template declares
+ *
+ * @returns {Object[]} { key, variable, type, default, description }
+ */
+export function getHookParams(name) {
+  return getHook(name)?.params || [];
+}
+
+/**
+ * Default settings of a hook, keyed by parameter
+ */
+export function getHookDefaults(name) {
+  return Object.fromEntries(getHookParams(name).map((param) => [param.key, param.default]));
+}
+
+/**
+ * Show a value the way parseParamValue reads it back
+ */
+export function formatParamValue(param, value) {
+  return param.type === 'list' ? value.join(', ') : String(value);
+}
+
+/**
+ * Parse text typed into the wizard
+ *
+ * @returns {Object} { value } or { error }
+ */
+export function parseParamValue(param, text) {
+  const trimmed = (text ?? '').trim();
+  if (param.type === 'list') {
+    return { value: trimmed.split(',').map((item) => item.trim()).filter(Boolean) };
+  }
+  if (param.type === 'number') {
+    const value = Number(trimmed);
+    return Number.isInteger(value) && value >= 0 && trimmed !== ''
+      ? { value }
+      : { error: `${param.key} must be a whole number` };
+  }
+  if (param.type === 'boolean') {
+    const value = { true: true, yes: true, false: false, no: false }[trimmed.toLowerCase()];
+    return value === undefined ? { error: `${param.key} must be true or false` } : { value };
+  }
+  return { value: trimmed };
+}
+
+/**
+ * Check a configured value against its parameter type
+ *
+ * @returns {string|null} Problem, or null when the value fits
+ */
+export function checkParamValue(param, value) {
+  switch (param.type) {
+    case 'number':
+      return Number.isInteger(value) && value >= 0 ? null : 'must be a whole number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'list':
+      return Array.isArray(value) && value.every((item) => typeof item === 'string')
+        ? null
+        : 'must be an array of strings';
+    default:
+      return typeof value === 'string' ? null : 'must be a string';
+  }
+}
+
+/**
+ * Read .claude/cc-scaffold.config.json
+ *
+ * @returns {Object|null} Parsed config, or null when there is none
+ * @throws {Error} When the file is not valid JSON
+ */
+export async function readHookConfig(outputDir = './.claude') {
+  const configPath = path.join(outputDir, HOOK_CONFIG_FILE);
+  let content;
+  try {
+    content = await readFile(configPath);
+  } catch {
+    return null;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write settings for hooks into the config file. Each hook gets its defaults,
+ * then the values detected in the project, then the values already in the
+ * file, then the given values, so existing choices survive regeneration:
+ * detected values only fill keys the file does not have.
+ *
+ * @param {string} outputDir - .claude directory
+ * @param {string[]} names - Hooks to write settings for; ones without parameters are skipped
+ * @param {Object} values - { hook: { key: value } } chosen in the wizard or answers file
+ * @param {Object} detected - { hook: { key: value } } found by scanning the project
+ * @returns {string|null} The config path if it was written
+ */
+export async function updateHookConfig(outputDir, names, values = {}, detected = {}) {
+  const configured = names.filter((name) => getHookParams(name).length > 0);
+  if (configured.length === 0) return null;
+
+  const config = (await readHookConfig(outputDir)) || {};
+  const before = JSON.stringify(config);
+  config.hooks = config.hooks || {};
+  for (const name of configured) {
+    config.hooks[name] = { ...getHookDefaults(name), ...detected[name], ...config.hooks[name], ...values[name] };
+  }
+
+  if (JSON.stringify(config) === before) return null;
+
+  const configPath = path.join(outputDir, HOOK_CONFIG_FILE);
+  await writeFile(configPath, `${JSON.stringify(config, null, 2)}\n`);
+  return configPath;
+}
+
+/**
+ * Drop the settings of removed hooks from the config file
+ */
+export async function removeHookConfig(outputDir, names) {
+  const config = await readHookConfig(outputDir).catch(() => null);
+  const removed = names.filter((name) => config?.hooks?.[name]);
+  if (removed.length === 0) return;
+
+  removed.forEach((name) => delete config.hooks[name]);
+  await writeFile(path.join(outputDir, HOOK_CONFIG_FILE), `${JSON.stringify(config, null, 2)}\n`);
+}
+
+/**
+ * Check the config file: valid JSON, known settings of the right type
+ *
+ * @param {string} outputDir - .claude directory
+ * @returns {Object[]} Issues: { ruleId, severity, message, file, line? }
+ */
+export async function checkHookConfig(outputDir = './.claude') {
+  const configPath = path.join(outputDir, HOOK_CONFIG_FILE);
+  let text;
+  try {
+    text = await readFile(configPath);
+  } catch {
+    return [];
+  }
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    return [{ ruleId: 'hook-config-invalid-json', severity: 'error', message: `Invalid ${HOOK_CONFIG_FILE}: ${error.message}`, file: configPath }];
+  }
+
+  const issues = [];
+  for (const [name, settings] of Object.entries(config?.hooks || {})) {
+    const params = getHookParams(name);
+    // Custom hooks may read their own settings; only template hooks are checked
+    if (params.length === 0 || !settings || typeof settings !== 'object') continue;
+
+    const hookIndex = text.indexOf(JSON.stringify(name));
+    for (const [key, value] of Object.entries(settings)) {
+      const line = lineAfter(text, JSON.stringify(key), hookIndex);
+      const param = params.find((p) => p.key === key);
+      if (!param) {
+        issues.push({
+          ruleId: 'hook-config-unknown-setting',
+          severity: 'warning',
+          message: `${name} has no setting '${key}' (expected ${params.map((p) => p.key).join(', ')})`,
+          file: configPath,
+          line,
+        });
+        continue;
+      }
+      const problem = checkParamValue(param, value);
+      if (problem) {
+        issues.push({
+          ruleId: 'hook-config-invalid-value',
+          severity: 'error',
+          message: `${name}.${key} ${problem}`,
+          file: configPath,
+          line,
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Line number of the first occurrence of a string after an index, or undefined
+ */
+function lineAfter(text, needle, from) {
+  const index = text.indexOf(needle, Math.max(from, 0));
+  return index === -1 ? undefined : text.slice(0, index).split('\n').length;
+}
+
+export default {
+  HOOK_CONFIG_FILE,
+  PARAM_TYPES,
+  getHookParams,
+  getHookDefaults,
+  formatParamValue,
+  parseParamValue,
+  checkParamValue,
+  readHookConfig,
+  updateHookConfig,
+  removeHookConfig,
+  checkHookConfig,
+};
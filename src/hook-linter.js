@@ -0,0 +1,585 @@
+/**
+ * Hook script linter for CC Scaffold
+ * Static checks for the mistakes that make a hook silently stop working:
+ * missing shebang, pipelines that hide failures under `set -e`, stdin read
+ * twice, exit codes that do not block, unquoted file paths and tools used
+ * without checking they are installed. Uses shellcheck as well when it is
+ * on PATH.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+// External tools hooks commonly depend on; used without a guard they fail on
+// machines that do not have them
+export const HOOK_TOOLS = [
+  'jq',
+  'git',
+  'node',
+  'npm',
+  'npx',
+  'pnpm',
+  'yarn',
+  'bun',
+  'python',
+  'python3',
+  'pip',
+  'pytest',
+  'ruff',
+  'black',
+  'flake8',
+  'mypy',
+  'go',
+  'gofmt',
+  'golangci-lint',
+  'cargo',
+  'rustfmt',
+  'dotnet',
+  'ruby',
+  'rubocop',
+  'php',
+  'php-cs-fixer',
+  'pint',
+  'ktlint',
+  'swiftlint',
+  'swiftformat',
+  'swift-format',
+  'elixir',
+  'mix',
+  'dart',
+  'prettier',
+  'eslint',
+  'shellcheck',
+  'curl',
+];
+
+// Commands that cannot fail on their input, anywhere in a pipeline
+const SAFE_PRODUCERS = ['echo', 'printf', 'true', 'yes'];
+
+// Filters that only fail on a file operand or a bad script, so they are safe
+// after the first command, where they read the pipe (grep is not: no match fails)
+const SAFE_FILTERS = ['wc', 'tr', 'sort', 'uniq', 'cut', 'tee', 'head', 'tail', 'sed', 'awk'];
+
+// Words that can precede a command without being one
+const COMMAND_PREFIXES = ['if', 'then', 'else', 'elif', 'do', 'while', 'until', '!', 'time', 'exec', '{', '(', 'command'];
+
+const SHELLCHECK_SEVERITIES = { error: 'error', warning: 'warning', info: 'info', style: 'info' };
+
+/**
+ * Lint a hook script with the built-in checks
+ *
+ * @param {string} content - Script content
+ * @returns {Object[]} Problems: { ruleId, severity, message, line }
+ */
+export function lintHookScript(content) {
+  const lines = parseScript(content);
+  const problems = [];
+
+  if (!content.startsWith('#!')) {
+    problems.push({
+      ruleId: 'hook-missing-shebang',
+      severity: 'warning',
+      message: 'Missing shebang (#!/bin/bash); the script runs under /bin/sh when executed directly',
+      line: 1,
+    });
+  }
+
+  problems.push(...checkPipelines(lines, content));
+  problems.push(...checkStdinReads(lines));
+  problems.push(...checkExitCodes(lines));
+  problems.push(...checkFilePathQuoting(lines));
+
+  for (const use of findToolsUsed(content).filter((u) => !u.guarded)) {
+    problems.push({
+      ruleId: 'hook-unchecked-dependency',
+      severity: 'warning',
+      message: `'${use.tool}' is used without checking it is installed (command -v ${use.tool})`,
+      line: use.line,
+    });
+  }
+
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Lint a hook script file, adding shellcheck findings when it is installed
+ *
+ * @param {string} file - Script path
+ * @param {string} content - Script content
+ * @returns {Promise<Object[]>} Problems: { ruleId, severity, message, line }
+ */
+export async function lintHookFile(file, content) {
+  const problems = lintHookScript(content);
+  if (await isShellcheckAvailable()) {
+    problems.push(...(await runShellcheck(file)));
+    problems.sort((a, b) => a.line - b.line);
+  }
+  return problems;
+}
+
+/**
+ * Lint every .sh script in a hooks directory
+ *
+ * @param {string} hooksDir - .claude/hooks directory
+ * @param {string[]} names - Only these hooks (file names without .sh); all when empty
+ * @returns {Promise<Object[]>} { file, problems } per script, in name order
+ */
+export async function lintHooksDir(hooksDir, names = []) {
+  let files;
+  try {
+    files = (await fs.readdir(hooksDir)).filter((f) => f.endsWith('.sh')).sort();
+  } catch {
+    return [];
+  }
+  if (names.length > 0) {
+    files = files.filter((f) => names.includes(path.basename(f, '.sh')));
+  }
+
+  const results = [];
+  for (const name of files) {
+    const file = path.join(hooksDir, name);
+    const content = await fs.readFile(file, 'utf-8');
+    results.push({ file, problems: await lintHookFile(file, content) });
+  }
+  return results;
+}
+
+/**
+ * Find the external tools a script runs
+ *
+ * @param {string} content - Script content
+ * @returns {Object[]} { tool, line, guarded, gate } for the first use of each tool; guarded
+ *   means the script checks for it (command -v, which, type, hash or a helper around them),
+ *   gate means the script exits 0 when it is missing (line is then the check's line)
+ */
+export function findToolsUsed(content) {
+  const lines = parseScript(content);
+  const guards = findGuards(content);
+  const gates = findGates(lines);
+  const uses = new Map();
+
+  for (const [tool, line] of gates) {
+    uses.set(tool, { tool, line, guarded: true, gate: true });
+  }
+
+  for (const { code, lineNo } of lines) {
+    for (const command of commandsOnLine(code)) {
+      const [name, ...args] = command;
+      if (HOOK_TOOLS.includes(name) && !uses.has(name)) {
+        uses.set(name, { tool: name, line: lineNo, guarded: guards.tools.has(name), gate: false });
+      }
+      // The tools passed to a guard helper count as used by it
+      if (guards.helpers.has(name) && args[0] && HOOK_TOOLS.includes(args[0]) && !uses.has(args[0])) {
+        uses.set(args[0], { tool: args[0], line: lineNo, guarded: true, gate: false });
+      }
+    }
+  }
+
+  return [...uses.values()].sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Tools whose absence makes the script exit 0 before doing anything:
+ * `if ! command -v jq ...; then ... exit 0; fi` or `command -v jq ... || exit 0`
+ *
+ * @returns {Map} tool -> line of the check
+ */
+function findGates(lines) {
+  const gates = new Map();
+  const check = /^\s*(?:if\s+!\s+)?command\s+-v\s+([\w.-]+)/;
+
+  for (const [index, { code, raw, lineNo }] of lines.entries()) {
+    const match = raw.match(check);
+    if (!match || gates.has(match[1])) continue;
+
+    if (/\|\|\s*exit\s+0\b/.test(code)) {
+      gates.set(match[1], lineNo);
+    } else if (/^\s*if\s+!/.test(code)) {
+      // Look for exit 0 before the block's fi
+      for (const next of lines.slice(index + 1)) {
+        if (/^\s*(fi|else|elif)\b/.test(next.code)) break;
+        if (/^\s*exit\s+0\b/.test(next.code)) {
+          gates.set(match[1], lineNo);
+          break;
+        }
+      }
+    }
+  }
+
+  return gates;
+}
+
+/**
+ * Whether shellcheck is on PATH (checked once)
+ */
+let shellcheckAvailable;
+export async function isShellcheckAvailable() {
+  if (shellcheckAvailable === undefined) {
+    shellcheckAvailable = await execFileAsync('shellcheck', ['--version'], { timeout: 5000 }).then(
+      () => true,
+      () => false
+    );
+  }
+  return shellcheckAvailable;
+}
+
+/**
+ * Run shellcheck on a file and convert its findings
+ */
+async function runShellcheck(file) {
+  let output;
+  try {
+    ({ stdout: output } = await execFileAsync('shellcheck', ['--format=json', '--shell=bash', file], { timeout: 30000 }));
+  } catch (error) {
+    // shellcheck exits 1 when it has findings
+    output = error.stdout;
+  }
+
+  let comments;
+  try {
+    comments = JSON.parse(output || '[]');
+  } catch {
+    return [];
+  }
+
+  return comments.map((c) => ({
+    ruleId: `shellcheck/SC${c.code}`,
+    severity: SHELLCHECK_SEVERITIES[c.level] || 'info',
+    message: `SC${c.code}: ${c.message}`,
+    line: c.line,
+  }));
+}
+
+/**
+ * Flag pipelines whose earlier commands can fail unnoticed: without pipefail,
+ * `set -e` only sees the status of the last command. Pipelines used as a
+ * condition, followed by ||, or whose failing command discards stderr are
+ * taken as deliberate.
+ */
+function checkPipelines(lines, content) {
+  const errexit = /^\s*set\s+(-\w*e\w*|-o\s+errexit)\b/m.test(content);
+  const pipefail = /^\s*set\s+.*-o\s+pipefail\b|^\s*set\s+-\w*o\s+pipefail\b/m.test(content);
+  if (!errexit) return [];
+
+  const problems = [];
+  for (const [index, { code, lineNo }] of lines.entries()) {
+    if (!/[^|]\|[^|]/.test(` ${code} `)) continue;
+    if (/^\s*(if|elif|while|until|!)\s/.test(code) || /\|\|/.test(code)) continue;
+
+    // PIPESTATUS checked right after the pipeline guards it
+    const next = lines[index + 1]?.raw || '';
+    if (/PIPESTATUS/.test(code) || /PIPESTATUS/.test(next)) continue;
+
+    // A line after one ending in | continues that pipeline
+    const continued = index > 0 && /\|\s*$/.test(lines[index - 1].code);
+
+    for (const [number, pipeline] of pipelinesOnLine(code).entries()) {
+      // Discarding stderr marks a failure as expected, unless pipefail turns it into an exit
+      const risky = pipeline
+        .slice(0, -1)
+        .find(
+          (cmd, position) =>
+            cmd[0] &&
+            !SAFE_PRODUCERS.includes(cmd[0]) &&
+            !((position > 0 || (continued && number === 0)) && SAFE_FILTERS.includes(cmd[0])) &&
+            (pipefail || !cmd.some((w) => /^2>(\/dev\/null|&-)$/.test(w)))
+        );
+      if (risky) {
+        problems.push({
+          ruleId: 'hook-unguarded-pipeline',
+          severity: 'warning',
+          message: pipefail
+            ? `A failing '${risky[0]}' in this pipeline (a missing file, no match) stops the hook with exit 1 under set -e and pipefail (add || true or test it in an if)`
+            : `A failing '${risky[0]}' in this pipeline goes unnoticed: set -e only sees the last command (add set -o pipefail or check PIPESTATUS)`,
+          line: lineNo,
+        });
+        break;
+      }
+    }
+  }
+  return problems;
+}
+
+// jq options that take arguments, with how many
+const JQ_OPTION_ARGS = { '--arg': 2, '--argjson': 2, '--slurpfile': 2, '--rawfile': 2, '--indent': 1, '-L': 1 };
+
+/**
+ * Flag reading stdin after it was already read; the second read gets nothing
+ */
+function checkStdinReads(lines) {
+  const reads = [];
+  for (const { code, raw, lineNo } of lines) {
+    const devStdin = (raw.match(/\/dev\/stdin/g) || []).length;
+    const readBuiltin = commandsOnLine(code).filter(
+      (cmd) => cmd[0] === 'read' && !/<|\|/.test(code) && !/^\s*(while|until)\b/.test(code)
+    ).length;
+    const toolReads = pipelineCommands(code).filter(({ text, piped }) => readsStdin(text, piped)).length;
+    for (let i = 0; i < toolReads + devStdin + readBuiltin; i++) {
+      reads.push(lineNo);
+    }
+  }
+
+  return reads.slice(1).map((line) => ({
+    ruleId: 'hook-stdin-read-twice',
+    severity: 'error',
+    message: `stdin is read again here (first read on line ${reads[0]}); the payload is gone after the first read, so save it in a variable once`,
+    line,
+  }));
+}
+
+/**
+ * Whether a command is cat or jq reading stdin: no file operand, and no pipe
+ * or input redirection feeding it
+ */
+function readsStdin(text, piped) {
+  if (piped || /<(?!\()/.test(text)) return false;
+
+  const tokens = (text.match(/'[^']*'|"[^"]*"|\S+/g) || []).filter((token, i, all) => {
+    // Output redirections and their targets are not operands
+    if (/^\d*(>>?|&>)/.test(token)) return false;
+    return !(i > 0 && /^\d*(>>?|&>)$/.test(all[i - 1]));
+  });
+  while (tokens.length > 0 && (COMMAND_PREFIXES.includes(tokens[0]) || /^\w+=/.test(tokens[0]))) {
+    tokens.shift();
+  }
+
+  const [name, ...args] = tokens;
+  if (name === 'cat') {
+    return args.every((arg) => arg === '-' || (arg.startsWith('-') && arg.length > 1));
+  }
+  if (name !== 'jq') return false;
+
+  let filterFromFile = false;
+  let positional = 0;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--args' || arg === '--jsonargs') break;
+    if (arg === '-n' || arg === '--null-input' || /^-[a-zA-Z]*n[a-zA-Z]*$/.test(arg)) return false;
+    if (arg === '-f' || arg === '--from-file') {
+      filterFromFile = true;
+      i++;
+    } else if (JQ_OPTION_ARGS[arg]) {
+      i += JQ_OPTION_ARGS[arg];
+    } else if (!arg.startsWith('-') || arg === '-') {
+      positional++;
+    }
+  }
+  // The first operand is the filter unless it comes from a file; the rest are files
+  return positional - (filterFromFile ? 0 : 1) <= 0;
+}
+
+/**
+ * Commands on a masked line with whether a pipe feeds them
+ *
+ * @returns {Object[]} { text, piped }
+ */
+function pipelineCommands(code) {
+  return code
+    .split(/\$\(|[()`;]|&&|\|\|/)
+    .flatMap((pipeline) => pipeline.split('|').map((text, i) => ({ text, piped: i > 0 })))
+    .filter(({ text }) => text.trim());
+}
+
+/**
+ * Flag exit codes other than 0 and 2: Claude Code only blocks on 2
+ */
+function checkExitCodes(lines) {
+  const problems = [];
+  for (const { code, lineNo } of lines) {
+    for (const [name, status] of commandsOnLine(code)) {
+      if (name === 'exit' && /^\d+$/.test(status || '') && status !== '0' && status !== '2') {
+        problems.push({
+          ruleId: 'hook-nonblocking-exit-code',
+          severity: 'warning',
+          message: `exit ${status} does not block; Claude Code only blocks on exit 2 (other codes just show stderr to the user)`,
+          line: lineNo,
+        });
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Flag $FILE_PATH outside double quotes, which breaks on paths with spaces
+ */
+function checkFilePathQuoting(lines) {
+  const problems = [];
+  for (const { code, lineNo } of lines) {
+    // Quoted text is masked out of code, so any match here is unquoted
+    for (const match of code.matchAll(/\$\{?FILE_PATH\b/g)) {
+      const before = code.slice(0, match.index);
+      const safe =
+        /(^|\s)\w+=$/.test(before) || // assignment
+        /\[\[[^\]]*$/.test(before) || // inside [[ ]]
+        /\bcase\s+$/.test(before);
+      if (!safe) {
+        problems.push({
+          ruleId: 'hook-unquoted-file-path',
+          severity: 'warning',
+          message: 'Unquoted $FILE_PATH breaks on paths with spaces or glob characters; use "$FILE_PATH"',
+          line: lineNo,
+        });
+        break;
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Tools the script checks for, and helper functions that wrap such checks
+ */
+function findGuards(content) {
+  const tools = new Set();
+  const helpers = new Set();
+
+  for (const match of content.matchAll(/\b(?:command\s+-v|which|type|hash)\s+["']?([\w.-]+)/g)) {
+    tools.add(match[1]);
+  }
+  // has() { command -v "$1" >/dev/null 2>&1; }
+  for (const match of content.matchAll(/(?:^|\n)\s*(?:function\s+)?([\w-]+)\s*\(\)\s*\{([^}]*)\}/g)) {
+    if (/\b(?:command\s+-v|which|type|hash)\s+["']?\$\{?1\}?/.test(match[2])) {
+      helpers.add(match[1]);
+    }
+  }
+
+  return { tools, helpers };
+}
+
+/**
+ * Split a script into lines with quoted text masked out, skipping comments,
+ * heredoc bodies and case patterns
+ *
+ * @returns {Object[]} { raw, code, lineNo } for lines with code on them
+ */
+function parseScript(content) {
+  const rawLines = content.split('\n');
+  const codeLines = maskQuotes(content).split('\n');
+  const result = [];
+  let heredoc = null;
+  let caseDepth = 0;
+
+  for (const [index, raw] of rawLines.entries()) {
+    if (heredoc) {
+      if (raw.replace(/^\t+/, '') === heredoc) heredoc = null;
+      continue;
+    }
+    if (index === 0 && raw.startsWith('#!')) continue;
+
+    let code = codeLines[index];
+    const start = raw.match(/(?<!<)<<-?\s*['"]?(\w+)['"]?/);
+    if (start && code.includes('<<')) heredoc = start[1];
+
+    // Patterns such as "*.js|*.ts)" are not commands or pipelines
+    if (/\bcase\b.*\bin\b/.test(code)) caseDepth++;
+    if (/^\s*esac\b/.test(code)) caseDepth--;
+    if (caseDepth > 0) {
+      code = code.replace(/^\s*\(?[^()]*\)(?!\))/, (pattern) => ' '.repeat(pattern.length));
+    }
+
+    if (code.trim()) result.push({ raw, code, lineNo: index + 1 });
+  }
+
+  return result;
+}
+
+/**
+ * Replace quoted literal text with spaces (keeping the quotes, newlines and
+ * any $(...) inside double quotes) and drop comments, so what is left is
+ * shell syntax. Quotes may span lines.
+ */
+function maskQuotes(content) {
+  const stack = ['code'];
+  let out = '';
+
+  for (let i = 0; i < content.length; i++) {
+    const c = content[i];
+    const state = stack[stack.length - 1];
+
+    if (c === '\n') {
+      out += c;
+    } else if (state === 'single') {
+      if (c === "'") stack.pop();
+      out += c === "'" ? c : ' ';
+    } else if (state === 'double') {
+      if (c === '\\') {
+        out += content[i + 1] === '\n' ? ' \n' : '  ';
+        i++;
+      } else if (c === '"') {
+        stack.pop();
+        out += c;
+      } else if (c === '$' && content[i + 1] === '(') {
+        stack.push('subst');
+        out += '$(';
+        i++;
+      } else {
+        out += ' ';
+      }
+    } else if (c === '\\') {
+      out += content.slice(i, i + 2);
+      i++;
+    } else if (c === "'") {
+      stack.push('single');
+      out += c;
+    } else if (c === '"') {
+      stack.push('double');
+      out += c;
+    } else if (c === '(') {
+      stack.push('subst');
+      out += c;
+    } else if (c === ')' && state === 'subst') {
+      stack.pop();
+      out += c;
+    } else if (c === '#' && (i === 0 || /[\s;]/.test(content[i - 1]))) {
+      // Comment: skip to the end of the line
+      while (i + 1 < content.length && content[i + 1] !== '\n') i++;
+    } else {
+      out += c;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Pipelines on a masked line, each a list of commands (arrays of words)
+ */
+function pipelinesOnLine(code) {
+  return code
+    .split(/\$\(|[()`;]|&&|\|\|/)
+    .map((part) => part.split(/(?<!\|)\|(?!\|)/).map(words))
+    .filter((pipeline) => pipeline.length > 1);
+}
+
+/**
+ * Every simple command on a masked line, as arrays of words with prefixes
+ * (if, !, VAR=value, ...) removed
+ */
+function commandsOnLine(code) {
+  return code.split(/\$\(|[()`;|]|&&/).map(words).filter((cmd) => cmd.length > 0);
+}
+
+/**
+ * Words of a command, without leading keywords and assignments
+ */
+function words(text) {
+  const list = text.trim().split(/\s+/).filter(Boolean);
+  while (list.length > 0 && (COMMAND_PREFIXES.includes(list[0]) || /^\w+=/.test(list[0]))) {
+    list.shift();
+  }
+  return list.map((w) => w.replace(/^["']|["']$/g, ''));
+}
+
+export default {
+  HOOK_TOOLS,
+  lintHookScript,
+  lintHookFile,
+  lintHooksDir,
+  findToolsUsed,
+  isShellcheckAvailable,
+};
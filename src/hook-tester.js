@@ -0,0 +1,290 @@
+/**
+ * Hook test harness for CC Scaffold
+ * Runs a hook script from .claude/hooks/ against a simulated Claude Code
+ * event: builds the JSON payload Claude Code would send on stdin, runs the
+ * script with a timeout and captures exit code, output and timing. Payloads
+ * can be saved as fixtures and replayed as regression cases.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import { constants } from 'fs';
+import path from 'path';
+import { getHook } from './templates/hooks.js';
+import { writeFile } from './writer.js';
+
+// Fixtures for a hook live in .claude/hooks/fixtures/<hook>/*.json
+export const FIXTURES_DIR = 'fixtures';
+
+export const DEFAULT_HOOK_TEST_TIMEOUT = 60;
+
+const TOOL_EVENTS = ['PreToolUse', 'PostToolUse', 'PermissionRequest'];
+
+/**
+ * Find a hook script and how it is registered
+ *
+ * @param {string} projectDir - Project root
+ * @param {string} name - Hook name (file name without .sh)
+ * @returns {Object|null} { script, event, matcher, timeout } or null if the script is missing.
+ *   event/matcher/timeout come from settings.json, falling back to the template.
+ */
+export async function findHook(projectDir, name) {
+  const script = path.join(projectDir, '.claude', 'hooks', `${name.replace(/\.sh$/, '')}.sh`);
+  try {
+    await fs.access(script);
+  } catch {
+    return null;
+  }
+
+  const template = getHook(name.replace(/\.sh$/, ''));
+  const hook = {
+    script,
+    event: template?.event,
+    matcher: template?.matcher,
+    timeout: template?.timeout,
+  };
+
+  try {
+    const settings = JSON.parse(await fs.readFile(path.join(projectDir, '.claude', 'settings.json'), 'utf-8'));
+    for (const [event, groups] of Object.entries(settings.hooks || {})) {
+      for (const group of Array.isArray(groups) ? groups : []) {
+        const command = (group.hooks || []).find((h) => typeof h.command === 'string' && h.command.includes(path.basename(script)));
+        if (command) {
+          return { script, event, matcher: group.matcher, timeout: command.timeout ?? hook.timeout };
+        }
+      }
+    }
+  } catch {
+    // No settings; use the template registration
+  }
+
+  return hook;
+}
+
+/**
+ * Build the stdin payload Claude Code sends for an event
+ *
+ * @param {Object} options
+ * @param {string} options.event - Hook event (PreToolUse, PostToolUse, Stop, ...)
+ * @param {string} options.tool - Tool name for tool events (Write, Edit, MultiEdit, Bash, Read)
+ * @param {string} options.file - File path the tool acts on (made absolute)
+ * @param {string} options.content - Write content, Edit/MultiEdit new text, or prompt text
+ * @param {string} options.oldString - Edit/MultiEdit text being replaced
+ * @param {string} options.command - Bash command
+ * @param {string} options.projectDir - Project root, sent as cwd
+ * @returns {Object} Hook payload
+ */
+export async function buildHookPayload({ event, tool, file, content, oldString = '', command, projectDir }) {
+  const payload = {
+    session_id: 'cc-scaffold-hook-test',
+    transcript_path: path.join(projectDir, '.claude', 'hook-test-transcript.jsonl'),
+    cwd: projectDir,
+    permission_mode: 'default',
+    hook_event_name: event,
+  };
+
+  if (TOOL_EVENTS.includes(event)) {
+    const filePath = file ? path.resolve(projectDir, file) : undefined;
+    // Without --content, a Write rewrites the file with what is on disk now
+    if (content === undefined && filePath && tool === 'Write') {
+      content = await fs.readFile(filePath, 'utf-8').catch(() => '');
+    }
+
+    payload.tool_name = tool;
+    switch (tool) {
+      case 'Write':
+        payload.tool_input = { file_path: filePath, content: content ?? '' };
+        break;
+      case 'Edit':
+        payload.tool_input = { file_path: filePath, old_string: oldString, new_string: content ?? '', replace_all: false };
+        break;
+      case 'MultiEdit':
+        payload.tool_input = { file_path: filePath, edits: [{ old_string: oldString, new_string: content ?? '' }] };
+        break;
+      case 'Bash':
+        payload.tool_input = { command: command ?? content ?? '', description: 'Run command' };
+        break;
+      default:
+        payload.tool_input = filePath ? { file_path: filePath } : {};
+    }
+
+    if (event === 'PostToolUse') {
+      payload.tool_response = filePath ? { filePath, success: true } : { stdout: '', stderr: '', interrupted: false };
+    }
+  } else if (event === 'UserPromptSubmit') {
+    payload.prompt = content ?? '';
+  } else if (event === 'SessionStart') {
+    payload.source = 'startup';
+  } else if (event === 'Stop' || event === 'SubagentStop') {
+    payload.stop_hook_active = false;
+  } else if (event === 'Notification') {
+    payload.message = content ?? 'Claude needs your permission to use Bash';
+  } else if (event === 'PreCompact') {
+    payload.trigger = 'manual';
+    payload.custom_instructions = '';
+  }
+
+  return payload;
+}
+
+/**
+ * Run a hook script with a payload on stdin
+ *
+ * @param {string} script - Script path
+ * @param {Object} payload - Hook payload
+ * @param {Object} options - { projectDir, timeout: seconds }
+ * @returns {Promise<Object>} { exitCode, signal, timedOut, stdout, stderr, elapsedMs }
+ */
+export async function runHook(script, payload, { projectDir, timeout = DEFAULT_HOOK_TEST_TIMEOUT }) {
+  // Executable scripts run through their shebang, as Claude Code runs them
+  const executable = await fs.access(script, constants.X_OK).then(() => true, () => false);
+  const [file, args] = executable ? [script, []] : ['bash', [script]];
+
+  return new Promise((resolve, reject) => {
+    const started = process.hrtime.bigint();
+    const child = spawn(file, args, {
+      cwd: projectDir,
+      env: { ...process.env, CLAUDE_PROJECT_DIR: projectDir },
+      stdio: ['pipe', 'pipe', 'pipe'],
+      // Own process group, so a timeout also stops the commands the hook started
+      detached: true,
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    child.stdout.on('data', (data) => (stdout += data));
+    child.stderr.on('data', (data) => (stderr += data));
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        child.kill('SIGKILL');
+      }
+    }, timeout * 1000);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      resolve({
+        exitCode,
+        signal,
+        timedOut,
+        stdout,
+        stderr,
+        elapsedMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      });
+    });
+
+    // Scripts that never read stdin close the pipe early
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+/**
+ * Describe a result: 0 passes, 2 blocks, anything else is a non-blocking error
+ */
+export function describeOutcome(result) {
+  if (result.timedOut) return 'timed out';
+  if (result.exitCode === 0) return 'pass';
+  if (result.exitCode === 2) return 'block';
+  return `error (exit ${result.exitCode ?? result.signal})`;
+}
+
+/**
+ * Load fixtures from a file or directory of .json files.
+ * A fixture is either a recorded payload (has hook_event_name) or
+ * { name, payload, expect: { exitCode, stdout, stderr } } where stdout and
+ * stderr are substrings the output must contain. Paths under the recorded
+ * cwd are moved to the current project, so fixtures work in any checkout.
+ *
+ * @returns {Object[]} { name, file, payload, expect }
+ */
+export async function loadFixtures(fixturePath, projectDir) {
+  const stats = await fs.stat(fixturePath);
+  const files = stats.isDirectory()
+    ? (await fs.readdir(fixturePath))
+        .filter((f) => f.endsWith('.json'))
+        .sort()
+        .map((f) => path.join(fixturePath, f))
+    : [fixturePath];
+
+  const fixtures = [];
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid fixture ${file}: ${error.message}`);
+    }
+    const recorded = typeof data.hook_event_name === 'string';
+    if (!recorded && typeof data.payload?.hook_event_name !== 'string') {
+      throw new Error(`Invalid fixture ${file}: expected a hook payload or { payload, expect }`);
+    }
+    fixtures.push({
+      name: data.name || path.basename(file, '.json'),
+      file,
+      payload: rebasePayload(recorded ? data : data.payload, projectDir),
+      expect: recorded ? {} : data.expect || {},
+    });
+  }
+
+  return fixtures;
+}
+
+/**
+ * Replace the recorded cwd with the project directory throughout a payload
+ */
+function rebasePayload(payload, projectDir) {
+  if (!payload.cwd || payload.cwd === projectDir) return payload;
+  const escape = (text) => JSON.stringify(text).slice(1, -1);
+  return JSON.parse(JSON.stringify(payload).split(escape(payload.cwd)).join(escape(projectDir)));
+}
+
+/**
+ * Compare a result with a fixture's expectations
+ *
+ * @returns {string[]} Failed expectations (empty when the fixture passes)
+ */
+export function checkExpectations(result, expect) {
+  const failures = [];
+  if (result.timedOut) {
+    failures.push('hook timed out');
+  }
+  if (expect.exitCode !== undefined && result.exitCode !== expect.exitCode) {
+    failures.push(`expected exit code ${expect.exitCode}, got ${result.exitCode}`);
+  }
+  for (const stream of ['stdout', 'stderr']) {
+    if (expect[stream] !== undefined && !result[stream].includes(expect[stream])) {
+      failures.push(`expected ${stream} to contain '${expect[stream]}'`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Save a payload and the exit code it produced as a fixture
+ */
+export async function recordFixture(fixtureFile, { name, payload, result }) {
+  const fixture = { name, payload, expect: { exitCode: result.exitCode } };
+  await writeFile(fixtureFile, `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+export default {
+  FIXTURES_DIR,
+  DEFAULT_HOOK_TEST_TIMEOUT,
+  findHook,
+  buildHookPayload,
+  runHook,
+  describeOutcome,
+  loadFixtures,
+  checkExpectations,
+  recordFixture,
+};
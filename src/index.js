@@ -5,18 +5,23 @@
  * Interactive CLI for scaffolding skills, agents, and hooks
  */
 
+import fs from 'fs/promises';
+import path from 'path';
 import { Command } from 'commander';
 import * as p from '@clack/prompts';
-import ora from 'ora';
 import boxen from 'boxen';
 import {
   showBanner,
+  setCiMode,
+  createSpinner,
   sectionHeader,
   successBox,
   infoBox,
   warningBox,
+  errorBox,
   recommendationsBox,
   generationSummary,
+  dryRunReport,
   componentList,
   cancelled,
   colors,
@@ -25,12 +30,18 @@ import {
 import { getSkillList, getSkillNames } from './templates/skills.js';
 import { getAgentList, getAgentNames } from './templates/agents.js';
 import { getHookList, getHookNames } from './templates/hooks.js';
+import { getMcpServerList, getMcpServerNames } from './templates/mcp.js';
+import { getCommandList, getCommandNames } from './templates/commands.js';
 import { analyzeProject, officialSkills, defaults } from './analyzer.js';
 import {
   generateProject,
   addComponents,
+  removeComponents,
+  updateSettingsPermissions,
   validateConfiguration,
+  fixFrontmatter,
 } from './generator.js';
+import { recommendPermissions, isValidPermissionRule } from './permissions.js';
 import { scanProject, formatScanResults } from './scanner.js';
 import { analyzeWithClaude, applyRecommendations, quickAudit } from './claude-analyzer.js';
 import {
@@ -40,7 +51,28 @@ import {
   getDiffSummary,
   formatDiffSummary,
   listBackups,
+  restoreFromBackup,
+  cleanupBackups,
+  compareConfigs,
+  formatComparison,
 } from './merger.js';
+import { planUpgrade, applyUpgrade } from './upgrader.js';
+import { formatReport, REPORT_FORMATS } from './report.js';
+import {
+  FIXTURES_DIR,
+  DEFAULT_HOOK_TEST_TIMEOUT,
+  findHook,
+  buildHookPayload,
+  runHook,
+  describeOutcome,
+  loadFixtures,
+  checkExpectations,
+  recordFixture,
+} from './hook-tester.js';
+import { lintHooksDir, isShellcheckAvailable } from './hook-linter.js';
+import { diagnoseProject, checkTool } from './doctor.js';
+import { getHookParams, formatParamValue, parseParamValue, checkParamValue } from './hook-config.js';
+import { writeFile, setDryRun, isDryRun, getDryRunChanges } from './writer.js';
 
 const program = new Command();
 
@@ -65,6 +97,20 @@ const techStackOptions = [
   { value: 'typescript', label: 'TypeScript' },
   { value: 'python', label: 'Python' },
   { value: 'nodejs', label: 'Node.js' },
+  { value: 'ruby', label: 'Ruby' },
+  { value: 'rails', label: 'Ruby on Rails' },
+  { value: 'rspec', label: 'RSpec' },
+  { value: 'php', label: 'PHP' },
+  { value: 'laravel', label: 'Laravel' },
+  { value: 'symfony', label: 'Symfony' },
+  { value: 'phpunit', label: 'PHPUnit' },
+  { value: 'kotlin', label: 'Kotlin' },
+  { value: 'android', label: 'Android' },
+  { value: 'swift', label: 'Swift' },
+  { value: 'elixir', label: 'Elixir' },
+  { value: 'phoenix', label: 'Phoenix' },
+  { value: 'dart', label: 'Dart' },
+  { value: 'flutter', label: 'Flutter' },
   { value: 'sql', label: 'SQL Database' },
   { value: 'nosql', label: 'NoSQL Database' },
   { value: 'docker', label: 'Docker' },
@@ -105,24 +151,45 @@ const enforcementLevels = [
   {
     value: 'strict',
     label: `${icons.lock} Strict (recommended)`,
-    hint: 'Hooks block if requirements not met',
+    hint: 'Hooks block when a check fails',
   },
   {
     value: 'suggested',
     label: `${icons.info} Suggested`,
-    hint: 'CLAUDE.md recommends but doesn\'t enforce',
+    hint: 'Hooks warn but never block',
   },
   {
     value: 'available',
     label: `${icons.gear} Available Only`,
-    hint: 'Components installed but not enforced',
+    hint: 'Hooks installed but not registered in settings.json',
   },
 ];
 
+// Backups kept after a backup-replace and by `backups prune` by default
+const DEFAULT_BACKUP_KEEP = 5;
+
+// Exit codes for checks (validate, audit, hook lint, hook test, doctor). A
+// command that fails to run exits 1, so CI can tell it apart from findings
+const EXIT_ERRORS = 2;
+const EXIT_WARNINGS = 3;
+
+const EXIT_CODES_HELP = `
+Exit codes:
+  0  No problems found (warnings are allowed unless --strict is set)
+  1  The command failed and the checks did not run
+  ${EXIT_ERRORS}  Errors were found
+  ${EXIT_WARNINGS}  Only warnings were found and --strict is set`;
+
 /**
  * Main init command - Interactive project setup
  */
 async function initCommand(options) {
+  // Scripted runs never prompt
+  if (options.config || options.yes) {
+    await initNonInteractive(options);
+    return;
+  }
+
   showBanner();
 
   // Check for cancellation
@@ -141,10 +208,7 @@ async function initCommand(options) {
 
   // ===== AUTO-SCAN (if --scan flag is provided) =====
   if (options.scan) {
-    const spinner = ora({
-      text: colors.secondary('Scanning project...'),
-      spinner: 'dots',
-    }).start();
+    const spinner = createSpinner(colors.secondary('Scanning project...')).start();
 
     try {
       prefilled = await scanProject(process.cwd());
@@ -303,10 +367,7 @@ async function initCommand(options) {
   }
 
   // ===== SECTION 4: Analyze & Recommend =====
-  const spinner = ora({
-    text: colors.secondary('Analyzing project requirements...'),
-    spinner: 'dots',
-  }).start();
+  const spinner = createSpinner(colors.secondary('Analyzing project requirements...')).start();
 
   await sleep(1500); // Simulate analysis
 
@@ -317,6 +378,7 @@ async function initCommand(options) {
     concerns,
     targetUsers,
     hasApi,
+    databases: prefilled.databases || [],
   };
 
   const recommendations = analyzeProject(context);
@@ -402,6 +464,44 @@ async function initCommand(options) {
     onCancel();
   }
 
+  // Slash Commands
+  console.log(colors.primary.bold('\nSlash Commands'));
+  const commandOptions = getCommandList().map((c) => ({
+    value: c.name,
+    label: `/${c.name}`,
+    hint: c.description,
+  }));
+
+  const selectedCommands = await p.multiselect({
+    message: 'Select slash commands',
+    options: commandOptions,
+    initialValues: recommendations.commands,
+    required: false,
+  });
+
+  if (p.isCancel(selectedCommands)) {
+    onCancel();
+  }
+
+  // MCP Servers
+  console.log(colors.primary.bold('\nMCP Servers'));
+  const mcpOptions = getMcpServerList().map((m) => ({
+    value: m.name,
+    label: m.name,
+    hint: m.envVars.length > 0 ? `${m.description} (env: ${m.envVars.join(', ')})` : m.description,
+  }));
+
+  const selectedMcp = await p.multiselect({
+    message: 'Select MCP servers for .mcp.json',
+    options: mcpOptions,
+    initialValues: recommendations.mcp,
+    required: false,
+  });
+
+  if (p.isCancel(selectedMcp)) {
+    onCancel();
+  }
+
   // ===== SECTION 6: Enforcement Level =====
   sectionHeader('Enforcement', icons.lock);
 
@@ -415,7 +515,75 @@ async function initCommand(options) {
     onCancel();
   }
 
-  // ===== SECTION 7: Custom Components =====
+  // Per-hook overrides, e.g. a strict branch-protection in a suggested project
+  const hookEnforcement = {};
+  if (selectedHooks.length > 0) {
+    const override = await p.confirm({
+      message: 'Set a different enforcement level for individual hooks?',
+      initialValue: false,
+    });
+
+    if (p.isCancel(override)) {
+      onCancel();
+    }
+
+    for (const hookName of override ? selectedHooks : []) {
+      const level = await p.select({
+        message: `Enforcement for ${hookName}`,
+        options: enforcementLevels,
+        initialValue: enforcementLevel,
+      });
+
+      if (p.isCancel(level)) {
+        onCancel();
+      }
+      if (level !== enforcementLevel) {
+        hookEnforcement[hookName] = level;
+      }
+    }
+  }
+
+  // Hook settings, written to .claude/cc-scaffold.config.json; the scan also
+  // backs the permission recommendations below
+  const projectScan = options.scan ? prefilled : await scanProject(process.cwd()).catch(() => ({}));
+  const detectedHookSettings = detectHookSettings(projectScan);
+  const hookSettings = {};
+  const configurable = selectedHooks.filter((name) => getHookParams(name).length > 0);
+  if (configurable.length > 0) {
+    const customize = await p.confirm({
+      message: `Customize hook settings (${configurable.join(', ')})?`,
+      initialValue: false,
+    });
+
+    if (p.isCancel(customize)) {
+      onCancel();
+    }
+
+    for (const hookName of customize ? configurable : []) {
+      for (const param of getHookParams(hookName)) {
+        const text = await p.text({
+          message: `${hookName}: ${param.description}${param.type === 'list' ? ' (comma-separated)' : ''}`,
+          initialValue: formatParamValue(param, detectedHookSettings[hookName]?.[param.key] ?? param.default),
+          validate: (value) => parseParamValue(param, value).error,
+        });
+
+        if (p.isCancel(text)) {
+          onCancel();
+        }
+        hookSettings[hookName] = { ...hookSettings[hookName], [param.key]: parseParamValue(param, text).value };
+      }
+    }
+  }
+
+  // ===== SECTION 7: Permissions =====
+  sectionHeader('Permissions', icons.shield);
+
+  const permissions = await selectPermissions(
+    recommendPermissions({ ...projectScan, techStack }),
+    onCancel
+  );
+
+  // ===== SECTION 8: Custom Components =====
   sectionHeader('Custom Components', icons.magic);
 
   const customComponents = [];
@@ -484,56 +652,399 @@ async function initCommand(options) {
     }
   }
 
-  // ===== SECTION 8: Generate Output =====
+  // ===== SECTION 9: Generate Output =====
+  sectionHeader('Generation', icons.rocket);
+
+  await runGeneration({
+    name: projectDetails.name,
+    description: projectDetails.description,
+    outputDir: projectDetails.outputDir,
+    projectType,
+    techStack,
+    architecture,
+    concerns,
+    targetUsers,
+    hasApi,
+    officialSkills: officialSelected,
+    skills: selectedSkills,
+    agents: selectedAgents,
+    hooks: selectedHooks,
+    commands: selectedCommands,
+    mcp: selectedMcp,
+    enforcementLevel,
+    hookEnforcement,
+    hookSettings,
+    detectedHookSettings,
+    permissions,
+    customComponents,
+    mergeStrategy: prefilled.mergeStrategy,
+  }, { interactive: true });
+}
+
+/**
+ * Non-interactive init - Drive generation from an answers file and/or scan defaults
+ */
+async function initNonInteractive(options) {
+  showBanner();
+
+  let answers;
+  try {
+    answers = await resolveAnswers(options);
+  } catch (error) {
+    console.error(colors.error(`${icons.cross} ${error.message}`));
+    process.exit(1);
+  }
+
+  // Never overwrite an existing configuration without being told to
+  if (answers.mergeStrategy === undefined) {
+    const existing = await fs.stat(answers.outputDir).then((stat) => stat.isDirectory(), () => false);
+    if (existing) {
+      answers.mergeStrategy = 'merge';
+      console.log(
+        colors.muted(`${icons.info} ${answers.outputDir} already exists; merging (set mergeStrategy to "backup-replace" to replace it)`)
+      );
+    }
+  }
+
   sectionHeader('Generation', icons.rocket);
+  await runGeneration(answers);
+}
+
+/**
+ * Build init answers from --config and --yes without prompting
+ */
+async function resolveAnswers(options) {
+  const fileAnswers = options.config ? await loadAnswersFile(options.config) : {};
+
+  let answers = {
+    name: '',
+    description: '',
+    outputDir: './.claude',
+    projectType: 'general',
+    techStack: [],
+    architecture: [],
+    concerns: [],
+    targetUsers: 'developers',
+    hasApi: false,
+    officialSkills: [],
+    skills: [],
+    agents: [],
+    hooks: [],
+    commands: [],
+    mcp: [],
+    enforcementLevel: 'strict',
+    hookEnforcement: {},
+    hookSettings: {},
+    customComponents: [],
+  };
+
+  // --yes: accept scan-derived defaults for anything the answers file omits
+  let scan = null;
+  if (options.yes) {
+    scan = await scanProject(process.cwd());
+    answers = {
+      ...answers,
+      name: toProjectName(scan.name),
+      projectType: scan.projectType,
+      techStack: scan.techStack,
+      architecture: scan.architecture,
+      hasApi: scan.hasApi,
+    };
+  }
+
+  answers = { ...answers, ...fileAnswers };
+
+  // --yes: accept analyzeProject recommendations for unspecified components
+  if (options.yes) {
+    const recommendations = analyzeProject({ ...answers, databases: scan.databases });
+    for (const key of ['skills', 'agents', 'hooks', 'commands', 'mcp']) {
+      if (fileAnswers[key] === undefined) {
+        answers[key] = recommendations[key];
+      }
+    }
+
+    if (fileAnswers.permissions === undefined) {
+      answers.permissions = recommendPermissions({ ...scan, techStack: answers.techStack });
+    }
+  }
+
+  validateAnswers(answers);
+
+  // The quality gate runs the test and lint commands found in the project
+  if (answers.hooks.includes('quality-gate')) {
+    answers.detectedHookSettings = detectHookSettings(scan || (await scanProject(process.cwd()).catch(() => ({}))));
+  }
+  return answers;
+}
+
+/**
+ * Hook settings derived from a project scan: the commands the quality gate runs
+ *
+ * @returns {Object} { hook: { key: value } } with only the values that were found
+ */
+function detectHookSettings(scan) {
+  const { test, testChanged, lint } = scan?.commands || {};
+  const qualityGate = Object.fromEntries(
+    Object.entries({ testCommand: test, changedTestCommand: testChanged, lintCommand: lint }).filter(([, value]) => value)
+  );
+  return Object.keys(qualityGate).length > 0 ? { 'quality-gate': qualityGate } : {};
+}
+
+/**
+ * Read and parse an answers JSON file
+ */
+async function loadAnswersFile(filePath) {
+  const fs = await import('fs/promises');
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Answers file not found: ${filePath}`);
+    }
+    throw new Error(`Could not read answers file ${filePath}: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in answers file ${filePath}: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Answers file ${filePath} must contain a JSON object`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Validate non-interactive answers, collecting every problem into one error
+ */
+function validateAnswers(answers) {
+  const problems = [];
+
+  if (!answers.name) {
+    problems.push('name is required (or pass --yes to derive it from the project)');
+  } else if (typeof answers.name !== 'string' || !/^[a-z0-9-_]+$/i.test(answers.name)) {
+    problems.push('name: use only letters, numbers, hyphens, and underscores');
+  }
+
+  if (!projectTypes.some((t) => t.value === answers.projectType)) {
+    problems.push(
+      `projectType: unknown value '${answers.projectType}' (expected one of ${projectTypes.map((t) => t.value).join(', ')})`
+    );
+  }
+
+  if (!targetUserOptions.some((t) => t.value === answers.targetUsers)) {
+    problems.push(
+      `targetUsers: unknown value '${answers.targetUsers}' (expected one of ${targetUserOptions.map((t) => t.value).join(', ')})`
+    );
+  }
+
+  if (!enforcementLevels.some((l) => l.value === answers.enforcementLevel)) {
+    problems.push(
+      `enforcementLevel: unknown value '${answers.enforcementLevel}' (expected one of ${enforcementLevels.map((l) => l.value).join(', ')})`
+    );
+  }
+
+  if (!answers.hookEnforcement || typeof answers.hookEnforcement !== 'object' || Array.isArray(answers.hookEnforcement)) {
+    problems.push('hookEnforcement: must be an object mapping hook names to enforcement levels');
+  } else {
+    for (const [name, level] of Object.entries(answers.hookEnforcement)) {
+      if (!getHookNames().includes(name)) {
+        problems.push(`hookEnforcement: unknown hook '${name}'`);
+      } else if (!enforcementLevels.some((l) => l.value === level)) {
+        problems.push(`hookEnforcement.${name}: unknown value '${level}' (expected one of ${enforcementLevels.map((l) => l.value).join(', ')})`);
+      }
+    }
+  }
+
+  if (!answers.hookSettings || typeof answers.hookSettings !== 'object' || Array.isArray(answers.hookSettings)) {
+    problems.push('hookSettings: must be an object mapping hook names to their settings');
+  } else {
+    for (const [name, settings] of Object.entries(answers.hookSettings)) {
+      const params = getHookParams(name);
+      if (params.length === 0) {
+        problems.push(`hookSettings: hook '${name}' has no settings`);
+        continue;
+      }
+      for (const [key, value] of Object.entries(settings || {})) {
+        const param = params.find((entry) => entry.key === key);
+        const problem = param ? checkParamValue(param, value) : `unknown setting (expected ${params.map((entry) => entry.key).join(', ')})`;
+        if (problem) {
+          problems.push(`hookSettings.${name}.${key}: ${problem}`);
+        }
+      }
+    }
+  }
+
+  if (typeof answers.hasApi !== 'boolean') {
+    problems.push('hasApi: must be true or false');
+  }
+
+  const known = {
+    officialSkills: officialSkills.map((s) => s.name),
+    skills: getSkillNames(),
+    agents: getAgentNames(),
+    hooks: getHookNames(),
+    commands: getCommandNames(),
+    mcp: getMcpServerNames(),
+  };
+
+  for (const key of ['techStack', 'architecture', 'concerns', ...Object.keys(known)]) {
+    if (!Array.isArray(answers[key])) {
+      problems.push(`${key}: must be an array`);
+      continue;
+    }
+    if (known[key]) {
+      for (const name of answers[key]) {
+        if (!known[key].includes(name)) {
+          problems.push(`${key}: unknown component '${name}'`);
+        }
+      }
+    }
+  }
+
+  if (!Array.isArray(answers.customComponents)) {
+    problems.push('customComponents: must be an array');
+  } else {
+    answers.customComponents.forEach((c, i) => {
+      if (!['skill', 'agent', 'hook'].includes(c?.type)) {
+        problems.push(`customComponents[${i}].type: must be skill, agent, or hook`);
+      }
+      if (!c?.name || !/^[a-z0-9-]+$/.test(c.name)) {
+        problems.push(`customComponents[${i}].name: use lowercase letters, numbers, and hyphens only`);
+      }
+    });
+  }
+
+  if (answers.permissions !== undefined) {
+    if (!answers.permissions || typeof answers.permissions !== 'object' || Array.isArray(answers.permissions)) {
+      problems.push('permissions: must be an object with allow, ask, and/or deny arrays');
+    } else {
+      for (const list of ['allow', 'ask', 'deny']) {
+        const rules = answers.permissions[list];
+        if (rules === undefined) continue;
+        if (!Array.isArray(rules)) {
+          problems.push(`permissions.${list}: must be an array`);
+          continue;
+        }
+        for (const rule of rules) {
+          if (!isValidPermissionRule(rule)) {
+            problems.push(`permissions.${list}: invalid rule '${rule}' (expected Tool or Tool(specifier))`);
+          }
+        }
+      }
+    }
+  }
+
+  if (
+    answers.mergeStrategy !== undefined &&
+    !['merge', 'backup-replace'].includes(answers.mergeStrategy)
+  ) {
+    problems.push('mergeStrategy: must be merge or backup-replace');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid init answers:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Turn a scanned package/directory name into a valid project name
+ */
+function toProjectName(name) {
+  return (name || '')
+    .replace(/^@[^/]+\//, '')
+    .replace(/[^a-z0-9-_]+/gi, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Write the configuration described by init answers
+ */
+async function runGeneration(answers, { interactive = false } = {}) {
+  let merge = null;
 
   // Handle merge strategy if existing config
-  if (prefilled.mergeStrategy === 'backup-replace') {
-    const backupSpinner = ora({
-      text: colors.secondary('Backing up existing configuration...'),
-      spinner: 'dots',
-    }).start();
+  if (answers.mergeStrategy === 'merge') {
+    merge = await prepareMerge(answers);
+
+    if (interactive) {
+      const proceed = await p.confirm({
+        message: 'Apply this merge?',
+        initialValue: true,
+      });
+
+      if (p.isCancel(proceed) || !proceed) {
+        cancelled();
+        process.exit(0);
+      }
+    }
+  } else if (answers.mergeStrategy === 'backup-replace') {
+    const backupSpinner = createSpinner(colors.secondary('Backing up existing configuration...')).start();
 
     try {
       await backupExisting(process.cwd());
-      backupSpinner.succeed(colors.success('Backup created'));
+      const { removed } = await cleanupBackups(process.cwd(), DEFAULT_BACKUP_KEEP);
+      backupSpinner.succeed(
+        colors.success(removed > 0 ? `Backup created (pruned ${removed} old backup(s))` : 'Backup created')
+      );
     } catch (error) {
       backupSpinner.warn('Could not create backup: ' + error.message);
     }
   }
 
-  const generateSpinner = ora({
-    text: colors.secondary('Generating Claude Code configuration...'),
-    spinner: 'dots',
-  }).start();
+  const generateSpinner = createSpinner(colors.secondary('Generating Claude Code configuration...')).start();
 
   try {
     const config = {
-      projectName: projectDetails.name,
-      description: projectDetails.description,
-      outputDir: projectDetails.outputDir,
-      projectType,
-      techStack,
-      architecture,
-      skills: selectedSkills,
-      agents: selectedAgents,
-      hooks: selectedHooks,
-      enforcementLevel,
-      customComponents,
+      projectName: answers.name,
+      description: answers.description,
+      outputDir: answers.outputDir,
+      projectType: answers.projectType,
+      techStack: answers.techStack,
+      architecture: answers.architecture,
+      officialSkills: answers.officialSkills,
+      skills: answers.skills,
+      agents: answers.agents,
+      hooks: answers.hooks,
+      commands: answers.commands,
+      mcp: answers.mcp,
+      enforcementLevel: answers.enforcementLevel,
+      hookEnforcement: answers.hookEnforcement,
+      hookSettings: answers.hookSettings,
+      detectedHookSettings: answers.detectedHookSettings,
+      permissions: answers.permissions,
+      customComponents: answers.customComponents,
+      merge,
     };
 
-    await generateProject(config);
+    const result = await generateProject(config);
 
     generateSpinner.succeed(colors.success('Configuration generated!'));
 
     // Show summary
     generationSummary({
-      outputDir: projectDetails.outputDir,
-      skills: selectedSkills,
-      agents: selectedAgents,
-      hooks: selectedHooks,
+      outputDir: answers.outputDir,
+      skills: merge ? merge.components.skills.map((c) => c.name) : answers.skills,
+      agents: merge ? merge.components.agents.map((c) => c.name) : answers.agents,
+      hooks: merge ? merge.components.hooks.map((c) => c.name) : answers.hooks,
+      commands: merge ? merge.components.commands.map((c) => c.name) : answers.commands,
+      mcp: answers.mcp,
     });
 
+    const pluginSkills = result.officialSkills.filter((s) => s.source === 'plugin');
+    if (pluginSkills.length > 0) {
+      console.log(
+        colors.warning(
+          `\n${icons.info} No local copy of ${pluginSkills.map((s) => s.name).join(', ')}; enabled via plugin in settings.json (see CLAUDE.md)`
+        )
+      );
+    }
+
     // Next steps
     console.log(colors.muted('\nNext steps:'));
     console.log(colors.muted(`  1. Review the generated CLAUDE.md`));
@@ -547,6 +1058,136 @@ async function initCommand(options) {
   }
 }
 
+/**
+ * Merge init answers with the existing .claude/ and preview the result
+ */
+async function prepareMerge(answers) {
+  const existing = await loadExistingConfig(process.cwd());
+
+  const merged = await mergeConfigurations(
+    existing,
+    {
+      components: {
+        skills: answers.skills,
+        agents: answers.agents,
+        hooks: answers.hooks,
+        commands: answers.commands,
+        custom: answers.customComponents,
+      },
+    },
+    'merge'
+  );
+
+  const diff = getDiffSummary(existing, {
+    components: {
+      skills: merged.components.skills.map((c) => c.name),
+      agents: merged.components.agents.map((c) => c.name),
+      hooks: merged.components.hooks.map((c) => c.name),
+      commands: merged.components.commands.map((c) => c.name),
+    },
+  });
+
+  let preview = formatDiffSummary(diff) || 'No component changes';
+
+  const preserved = ['skills', 'agents', 'hooks', 'commands'].flatMap((type) =>
+    merged.components[type].filter((c) => c.isExisting && !c.isEdited).map((c) => `${type}/${c.name}`)
+  );
+  if (preserved.length > 0) {
+    preview += `\n\nPreserved (not in template selection):\n  ${preserved.join('\n  ')}`;
+  }
+
+  const edited = ['skills', 'agents', 'hooks', 'commands'].flatMap((type) =>
+    merged.components[type].filter((c) => c.isEdited).map((c) => `${type}/${c.name}`)
+  );
+  if (edited.length > 0) {
+    preview += `\n\nEdited since generation (kept as-is):\n  ${edited.join('\n  ')}`;
+  }
+
+  const customized = ['skills', 'agents', 'commands'].flatMap((type) =>
+    merged.components[type].filter((c) => c.preserveCustomSections).map((c) => `${type}/${c.name}`)
+  );
+  if (customized.length > 0) {
+    preview += `\n\nCustom sections kept:\n  ${customized.join('\n  ')}`;
+  }
+
+  infoBox('Merge Preview', preview);
+
+  return merged;
+}
+
+/**
+ * Let the user pick which recommended permission rules to apply.
+ * Deny rules are always kept.
+ */
+async function selectPermissions(recommended, onCancel) {
+  const pick = async (message, rules) => {
+    if (rules.length === 0) return [];
+    const selected = await p.multiselect({
+      message,
+      options: rules.map((r) => ({ value: r, label: r })),
+      initialValues: rules,
+      required: false,
+    });
+    if (p.isCancel(selected)) {
+      onCancel();
+    }
+    return selected;
+  };
+
+  const allow = await pick('Allow without asking', recommended.allow);
+  const ask = await pick('Always ask before running', recommended.ask);
+
+  console.log(colors.muted(`  ${icons.lock} Always denied: ${recommended.deny.join(', ')}`));
+
+  return { allow, ask, deny: recommended.deny };
+}
+
+/**
+ * Permissions command - Add scan-derived permission rules to settings.json
+ */
+async function permissionsCommand(options) {
+  showBanner();
+
+  const onCancel = () => {
+    cancelled();
+    process.exit(0);
+  };
+
+  const spinner = createSpinner(colors.secondary('Scanning project...')).start();
+
+  let permissions;
+  try {
+    const scan = await scanProject(process.cwd());
+    permissions = recommendPermissions(scan);
+    spinner.succeed(colors.success('Scan complete'));
+  } catch (error) {
+    spinner.fail(colors.error('Scan failed'));
+    console.error(colors.error(error.message));
+    process.exit(1);
+  }
+
+  if (!options.yes) {
+    sectionHeader('Permissions', icons.shield);
+    permissions = await selectPermissions(permissions, onCancel);
+  }
+
+  try {
+    const added = await updateSettingsPermissions(permissions);
+    const lines = ['allow', 'ask', 'deny']
+      .filter((list) => added[list].length > 0)
+      .map((list) => `${list}:\n${added[list].map((r) => `  ${icons.check} ${r}`).join('\n')}`);
+
+    if (lines.length === 0) {
+      infoBox('Permissions', 'All rules are already present in .claude/settings.json');
+    } else {
+      successBox('Permissions Updated', lines.join('\n\n'));
+    }
+  } catch (error) {
+    console.error(colors.error(`Failed to update permissions: ${error.message}`));
+    process.exit(1);
+  }
+}
+
 /**
  * Analyze command - Deep Claude-powered analysis
  */
@@ -607,10 +1248,7 @@ Claude will:
       }
 
       if (action === 'apply-all') {
-        const applySpinner = ora({
-          text: colors.secondary('Applying recommendations...'),
-          spinner: 'dots',
-        }).start();
+        const applySpinner = createSpinner(colors.secondary('Applying recommendations...')).start();
 
         const results = await applyRecommendations(analysis.recommendations);
         applySpinner.succeed(colors.success('Recommendations applied!'));
@@ -630,10 +1268,7 @@ Claude will:
           return;
         }
 
-        const applySpinner = ora({
-          text: colors.secondary(`Applying ${highPriority.length} high priority recommendations...`),
-          spinner: 'dots',
-        }).start();
+        const applySpinner = createSpinner(colors.secondary(`Applying ${highPriority.length} high priority recommendations...`)).start();
 
         const results = await applyRecommendations(highPriority);
         applySpinner.succeed(colors.success('High priority recommendations applied!'));
@@ -656,10 +1291,7 @@ Claude will:
         if (!p.isCancel(selected) && selected.length > 0) {
           const toApply = selected.map((i) => analysis.recommendations[i]);
 
-          const applySpinner = ora({
-            text: colors.secondary(`Applying ${toApply.length} recommendations...`),
-            spinner: 'dots',
-          }).start();
+          const applySpinner = createSpinner(colors.secondary(`Applying ${toApply.length} recommendations...`)).start();
 
           const results = await applyRecommendations(toApply);
           applySpinner.succeed(colors.success('Selected recommendations applied!'));
@@ -668,9 +1300,8 @@ Claude will:
           console.log(colors.success(`\n  ${icons.check} Applied: ${applied}`));
         }
       } else if (action === 'export') {
-        const fs = await import('fs/promises');
         const reportPath = './claude-analysis-report.json';
-        await fs.writeFile(reportPath, JSON.stringify(analysis, null, 2));
+        await writeFile(reportPath, JSON.stringify(analysis, null, 2));
         console.log(colors.success(`\n${icons.check} Report exported to ${reportPath}`));
       }
     }
@@ -685,10 +1316,7 @@ Claude will:
     });
 
     if (fallback && !p.isCancel(fallback)) {
-      const scanSpinner = ora({
-        text: colors.secondary('Scanning project files...'),
-        spinner: 'dots',
-      }).start();
+      const scanSpinner = createSpinner(colors.secondary('Scanning project files...')).start();
 
       const scan = await scanProject(process.cwd());
       scanSpinner.succeed(colors.success('Scan complete!'));
@@ -708,17 +1336,31 @@ Claude will:
 /**
  * Audit command - Quick validation of existing config
  */
-async function auditCommand() {
-  showBanner();
+async function auditCommand(options = {}) {
+  if (options.format) {
+    const results = await printReport('audit', options.format, async () => {
+      const audit = await quickAudit(process.cwd());
+      return audit.issues.map(({ type, ...issue }) => ({ ...issue, severity: type }));
+    });
+    const count = (severity) => results.filter((i) => i.severity === severity).length;
+    setCheckExitCode(count('error'), count('warning'), options.strict);
+    return;
+  }
 
-  const spinner = ora({
-    text: colors.secondary('Auditing configuration...'),
-    spinner: 'dots',
-  }).start();
+  if (options.json) {
+    const results = await printJson(() => quickAudit(process.cwd()));
+    setCheckExitCode(results.summary.errors, results.summary.warnings, options.strict);
+    return;
+  }
+
+  showBanner();
+
+  const spinner = createSpinner(colors.secondary('Auditing configuration...')).start();
 
   try {
     const results = await quickAudit(process.cwd());
     spinner.stop();
+    setCheckExitCode(results.summary.errors, results.summary.warnings, options.strict);
 
     if (!results.exists) {
       warningBox('No Configuration Found', 'No .claude/ directory found in this project.\n\nRun `cc-scaffold init` to create one.');
@@ -737,20 +1379,22 @@ async function auditCommand() {
     const errors = results.issues.filter((i) => i.type === 'error');
     const warnings = results.issues.filter((i) => i.type === 'warning');
     const info = results.issues.filter((i) => i.type === 'info');
+    // Issues tied to a line are shown with their location
+    const describe = (issue) => (issue.line ? `${issue.file}:${issue.line}: ${issue.message}` : issue.message);
 
     let output = '';
 
     if (errors.length > 0) {
       output += colors.error.bold('\nErrors:\n');
       errors.forEach((e) => {
-        output += colors.error(`  ${icons.cross} ${e.message}\n`);
+        output += colors.error(`  ${icons.cross} ${describe(e)}\n`);
       });
     }
 
     if (warnings.length > 0) {
       output += colors.warning.bold('\nWarnings:\n');
       warnings.forEach((w) => {
-        output += colors.warning(`  ${icons.warning} ${w.message}\n`);
+        output += colors.warning(`  ${icons.warning} ${describe(w)}\n`);
       });
     }
 
@@ -929,16 +1573,22 @@ function displayAnalysis(analysis) {
 /**
  * Add command - Add components to existing project
  */
-async function addCommand(type) {
+async function addCommand(type, cmdOptions = {}) {
   showBanner();
 
-  const validTypes = ['skill', 'agent', 'hook'];
+  const validTypes = ['skill', 'agent', 'hook', 'command', 'mcp'];
   if (!validTypes.includes(type)) {
     console.log(colors.error(`Invalid type: ${type}`));
     console.log(colors.muted(`Valid types: ${validTypes.join(', ')}`));
     process.exit(1);
   }
 
+  if (cmdOptions.enforcement && !enforcementLevels.some((l) => l.value === cmdOptions.enforcement)) {
+    console.log(colors.error(`Invalid enforcement level: ${cmdOptions.enforcement}`));
+    console.log(colors.muted(`Valid levels: ${enforcementLevels.map((l) => l.value).join(', ')}`));
+    process.exit(1);
+  }
+
   let options;
   let message;
 
@@ -967,6 +1617,22 @@ async function addCommand(type) {
       }));
       message = 'Select hooks to add';
       break;
+    case 'command':
+      options = getCommandList().map((c) => ({
+        value: c.name,
+        label: `/${c.name}`,
+        hint: c.description,
+      }));
+      message = 'Select slash commands to add';
+      break;
+    case 'mcp':
+      options = getMcpServerList().map((m) => ({
+        value: m.name,
+        label: m.name,
+        hint: m.description,
+      }));
+      message = 'Select MCP servers to add to .mcp.json';
+      break;
   }
 
   const selected = await p.multiselect({
@@ -980,19 +1646,31 @@ async function addCommand(type) {
     process.exit(0);
   }
 
-  const spinner = ora({
-    text: colors.secondary(`Adding ${type}s...`),
-    spinner: 'dots',
-  }).start();
+  const spinner = createSpinner(colors.secondary(`Adding ${type}s...`)).start();
 
   try {
-    const added = await addComponents(type, selected);
+    // Hooks with settings start from the commands found in the project
+    const detectedHookSettings = type === 'hook' ? detectHookSettings(await scanProject(process.cwd()).catch(() => ({}))) : {};
+    const added = await addComponents(type, selected, './.claude', {
+      enforcement: cmdOptions.enforcement,
+      detectedHookSettings,
+    });
     spinner.succeed(colors.success(`Added ${added.length} ${type}(s)`));
 
     console.log();
     for (const name of added) {
       console.log(colors.success(`  ${icons.check} ${name}`));
     }
+
+    // Placeholders in .mcp.json are expanded from the environment
+    if (type === 'mcp') {
+      const envVars = getMcpServerList()
+        .filter((m) => added.includes(m.name))
+        .flatMap((m) => m.envVars);
+      if (envVars.length > 0) {
+        console.log(colors.muted(`\n  Set before starting Claude Code: ${[...new Set(envVars)].join(', ')}`));
+      }
+    }
     console.log();
   } catch (error) {
     spinner.fail(colors.error('Failed to add components'));
@@ -1001,54 +1679,396 @@ async function addCommand(type) {
   }
 }
 
+/**
+ * Remove command - Uninstall components and clean up their references
+ */
+async function removeCommand(type, names, options) {
+  showBanner();
+
+  const validTypes = ['skill', 'agent', 'hook', 'command', 'mcp'];
+  if (!validTypes.includes(type)) {
+    console.log(colors.error(`Invalid type: ${type}`));
+    console.log(colors.muted(`Valid types: ${validTypes.join(', ')}`));
+    process.exit(1);
+  }
+
+  if (!options.yes) {
+    const confirmed = await p.confirm({
+      message: `Remove ${type} ${names.join(', ')}? (.claude/ is backed up first)`,
+      initialValue: true,
+    });
+
+    if (p.isCancel(confirmed) || !confirmed) {
+      cancelled();
+      process.exit(0);
+    }
+  }
+
+  const spinner = createSpinner(colors.secondary(`Removing ${type}s...`)).start();
+
+  try {
+    const result = await removeComponents(type, names);
+
+    if (result.removed.length === 0) {
+      spinner.fail(colors.error(`Nothing to remove: ${names.join(', ')} not installed`));
+      process.exit(1);
+    }
+
+    spinner.succeed(colors.success(`Removed ${result.removed.length} ${type}(s)`));
+
+    console.log();
+    for (const item of result.removed) {
+      const details = [];
+      if (item.files.length > 0) details.push('files deleted');
+      if (item.settingsEntries > 0) details.push(`${item.settingsEntries} settings.json entr${item.settingsEntries === 1 ? 'y' : 'ies'}`);
+      if (item.mcp) details.push('.mcp.json entry');
+      if (item.claudeMd) details.push('CLAUDE.md updated');
+      console.log(colors.success(`  ${icons.check} ${item.name}`) + colors.muted(` (${details.join(', ')})`));
+    }
+    for (const name of result.notFound) {
+      console.log(colors.warning(`  ${icons.warning} ${name} not found`));
+    }
+    if (result.backupDir) {
+      console.log(colors.muted(`\n  Backup: ${result.backupDir}`));
+    }
+    console.log();
+  } catch (error) {
+    spinner.fail(colors.error('Failed to remove components'));
+    console.error(colors.error(error.message));
+    process.exit(1);
+  }
+}
+
+/**
+ * Upgrade command - Bring installed components up to the current templates
+ */
+async function upgradeCommand(options) {
+  showBanner();
+
+  const outputDir = './.claude';
+  const spinner = createSpinner(colors.secondary('Comparing installed components with current templates...')).start();
+
+  let plan;
+  try {
+    plan = await planUpgrade(outputDir, { force: options.force });
+    spinner.stop();
+  } catch (error) {
+    spinner.fail(colors.error('Failed to plan upgrade'));
+    console.error(colors.error(error.message));
+    process.exit(1);
+  }
+
+  if (plan.length === 0) {
+    infoBox('Upgrade', 'No installed components come from cc-scaffold templates.');
+    return;
+  }
+
+  const statusLabels = {
+    updated: { icon: icons.check, color: colors.success, text: 'updated (unchanged since generation)' },
+    merged: { icon: icons.check, color: colors.success, text: 'merged with local edits' },
+    replaced: { icon: icons.warning, color: colors.warning, text: 'replaced (--force, custom sections kept)' },
+    conflict: { icon: icons.warning, color: colors.warning, text: 'merged with conflicts' },
+    skipped: { icon: icons.cross, color: colors.muted, text: 'skipped' },
+  };
+
+  sectionHeader('Upgrade Plan', icons.package);
+  for (const item of plan.filter((i) => i.status !== 'up-to-date')) {
+    const label = statusLabels[item.status];
+    let details = label.text;
+    if (item.content !== undefined) details += `, +${item.added} -${item.removed} lines`;
+    if (item.conflicts > 0) details += `, ${item.conflicts} conflict(s)`;
+    if (item.mergeFile) details += `, written to .claude/${item.mergeFile}`;
+    if (item.reason) details += `: ${item.reason}`;
+    console.log(label.color(`  ${label.icon} ${item.type} ${item.name}`) + colors.muted(` - ${details}`));
+  }
+  const upToDate = plan.filter((i) => i.status === 'up-to-date').length;
+  console.log(colors.muted(`  ${icons.bullet} ${upToDate} component(s) already up to date`));
+
+  const changes = plan.filter((i) => i.content !== undefined);
+  const skipped = plan.filter((i) => i.status === 'skipped');
+  if (changes.length === 0 && !plan.some((i) => i.generated !== undefined)) {
+    console.log();
+    if (skipped.length > 0) {
+      console.log(colors.muted(`  Use --force to replace skipped files with the current template (custom sections are kept).`));
+      console.log();
+    }
+    return;
+  }
+
+  if (!options.yes && changes.length > 0) {
+    const confirmed = await p.confirm({
+      message: `Upgrade ${changes.length} file(s)? (.claude/ is backed up first)`,
+      initialValue: true,
+    });
+
+    if (p.isCancel(confirmed) || !confirmed) {
+      cancelled();
+      process.exit(0);
+    }
+  }
+
+  try {
+    const result = await applyUpgrade(outputDir, plan);
+
+    console.log();
+    console.log(colors.success(`  ${icons.check} Upgraded ${result.written} file(s)`));
+    const conflicts = plan.filter((i) => i.status === 'conflict');
+    if (conflicts.length > 0) {
+      console.log(colors.warning(`  ${icons.warning} Resolve the <<<<<<< / >>>>>>> blocks in:`));
+      conflicts.forEach((i) => console.log(colors.warning(`     .claude/${i.mergeFile || i.file}`)));
+      if (conflicts.some((i) => i.mergeFile)) {
+        console.log(colors.muted('  Hook scripts are left unchanged; move a resolved .merge file over its script, then run upgrade again.'));
+      }
+    }
+    if (skipped.length > 0) {
+      console.log(colors.muted(`  Use --force to replace skipped files with the current template (custom sections are kept).`));
+    }
+    if (result.backupDir) {
+      console.log(colors.muted(`\n  Backup: ${result.backupDir}`));
+    }
+    console.log();
+  } catch (error) {
+    console.error(colors.error('Upgrade failed'));
+    console.error(colors.error(error.message));
+    process.exit(1);
+  }
+}
+
+/**
+ * Backups command - List, restore, or prune .claude/ backups
+ */
+async function backupsCommand(action = 'list', name, options) {
+  showBanner();
+
+  const projectPath = process.cwd();
+  const backups = await listBackups(projectPath);
+
+  switch (action) {
+    case 'list': {
+      if (backups.length === 0) {
+        infoBox('Backups', 'No .claude.backup.* directories found.');
+        return;
+      }
+
+      const current = await loadExistingConfig(projectPath);
+      sectionHeader(`Backups (${backups.length})`, icons.package);
+
+      for (const backup of backups) {
+        const config = await loadExistingConfig(projectPath, backup.path);
+        console.log(colors.secondary(`  ${icons.bullet} ${backup.name}`));
+        console.log(colors.muted(`    Created: ${backup.created.toLocaleString()}`));
+        console.log(colors.white(`    ${describeComponents(config)}`));
+        const comparison = formatComparison(compareConfigs(config, current));
+        console.log(colors.muted(comparison.split('\n').map((l) => `    ${l}`).join('\n')));
+        console.log();
+      }
+      return;
+    }
+
+    case 'restore': {
+      if (backups.length === 0) {
+        console.error(colors.error(`${icons.cross} No backups to restore`));
+        process.exit(1);
+      }
+
+      let backup;
+      if (name) {
+        backup = backups.find((b) => b.name === name || b.timestamp === name);
+        if (!backup) {
+          console.error(colors.error(`${icons.cross} Backup not found: ${name}`));
+          console.log(colors.muted('Run `cc-scaffold backups list` to see available backups'));
+          process.exit(1);
+        }
+      } else {
+        const choices = [];
+        for (const b of backups) {
+          const config = await loadExistingConfig(projectPath, b.path);
+          choices.push({ value: b.name, label: b.name, hint: describeComponents(config) });
+        }
+        const picked = await p.select({ message: 'Select a backup to restore', options: choices });
+        if (p.isCancel(picked)) {
+          cancelled();
+          process.exit(0);
+        }
+        backup = backups.find((b) => b.name === picked);
+      }
+
+      const config = await loadExistingConfig(projectPath, backup.path);
+      const current = await loadExistingConfig(projectPath);
+      infoBox(
+        `Restore ${backup.name}`,
+        `${describeComponents(config)}\n\n${formatComparison(compareConfigs(config, current))}`
+      );
+
+      if (!options.yes) {
+        const proceed = await p.confirm({
+          message: 'Replace the current .claude/ with this backup? (the current one is backed up first)',
+          initialValue: false,
+        });
+        if (p.isCancel(proceed) || !proceed) {
+          cancelled();
+          process.exit(0);
+        }
+      }
+
+      try {
+        if (current.exists) {
+          await backupExisting(projectPath);
+        }
+        await restoreFromBackup(backup.path, projectPath);
+        successBox('Backup Restored', `.claude/ now matches ${backup.name}`);
+      } catch (error) {
+        console.error(colors.error(`Failed to restore backup: ${error.message}`));
+        process.exit(1);
+      }
+      return;
+    }
+
+    case 'prune': {
+      const keep = Number.parseInt(options.keep, 10);
+      if (!Number.isInteger(keep) || keep < 0) {
+        console.error(colors.error(`${icons.cross} --keep must be a non-negative integer`));
+        process.exit(1);
+      }
+
+      const { removed, kept } = await cleanupBackups(projectPath, keep);
+      successBox('Backups Pruned', `Removed ${removed} backup(s), kept ${kept}`);
+      return;
+    }
+
+    default:
+      console.log(colors.error(`Unknown action: ${action}`));
+      console.log(colors.muted('Valid actions: list, restore, prune'));
+      process.exit(1);
+  }
+}
+
+/**
+ * One-line component summary for a loaded configuration
+ */
+function describeComponents(config) {
+  return ['skills', 'agents', 'hooks', 'commands']
+    .map((type) => `${type.charAt(0).toUpperCase() + type.slice(1)}: ${config[type].length}`)
+    .join(', ');
+}
+
 /**
  * List command - List available components
  */
-function listCommand(type) {
+function listCommand(type, options = {}) {
+  if (options.json) {
+    const lists = {
+      skills: getSkillList,
+      agents: getAgentList,
+      hooks: getHookList,
+      commands: getCommandList,
+      mcp: getMcpServerList,
+    };
+    const types = !type || type === 'all' ? Object.keys(lists) : [type];
+    if (!types.every((t) => lists[t])) {
+      console.log(JSON.stringify({ error: `Unknown type: ${type}` }, null, 2));
+      process.exit(1);
+    }
+    console.log(JSON.stringify(Object.fromEntries(types.map((t) => [t, lists[t]()])), null, 2));
+    return;
+  }
+
   showBanner();
 
   if (!type || type === 'all') {
     componentList('skills', getSkillList());
     componentList('agents', getAgentList());
     componentList('hooks', getHookList());
+    componentList('commands', getCommandList());
+    componentList('mcp', getMcpServerList());
   } else if (type === 'skills') {
     componentList('skills', getSkillList());
   } else if (type === 'agents') {
     componentList('agents', getAgentList());
   } else if (type === 'hooks') {
     componentList('hooks', getHookList());
+  } else if (type === 'commands') {
+    componentList('commands', getCommandList());
+  } else if (type === 'mcp') {
+    componentList('mcp', getMcpServerList());
   } else {
     console.log(colors.error(`Unknown type: ${type}`));
-    console.log(colors.muted('Valid types: skills, agents, hooks, all'));
+    console.log(colors.muted('Valid types: skills, agents, hooks, commands, mcp, all'));
   }
 }
 
 /**
  * Validate command - Validate current configuration
  */
-async function validateCommand() {
+async function validateCommand(options = {}) {
+  // Fixes are applied first so the results describe the fixed files
+  let fixes = [];
+  if (options.fix) {
+    try {
+      fixes = await fixFrontmatter();
+    } catch (error) {
+      console.error(colors.error(`Failed to fix frontmatter: ${error.message}`));
+      process.exit(1);
+    }
+  }
+
+  if (options.format) {
+    const results = await printReport('validate', options.format, async () => (await validateConfiguration()).issues);
+    const count = (severity) => results.filter((i) => i.severity === severity).length;
+    setCheckExitCode(count('error'), count('warning'), options.strict);
+    return;
+  }
+
+  if (options.json) {
+    const results = await printJson(() => validateConfiguration());
+    setCheckExitCode(results.errors.length, results.warnings.length, options.strict);
+    return;
+  }
+
   showBanner();
 
-  const spinner = ora({
-    text: colors.secondary('Validating configuration...'),
-    spinner: 'dots',
-  }).start();
+  const spinner = createSpinner(colors.secondary('Validating configuration...')).start();
 
   try {
     const results = await validateConfiguration();
     spinner.stop();
+    setCheckExitCode(results.errors.length, results.warnings.length, options.strict);
+
+    if (fixes.length > 0) {
+      const total = fixes.reduce((sum, f) => sum + f.fixed.length, 0);
+      console.log(colors.success(`${icons.check} Fixed ${total} frontmatter problem(s) in ${fixes.length} file(s):`));
+      fixes.forEach(({ file, fixed }) => {
+        fixed.forEach((problem) => {
+          console.log(colors.muted(`  ${icons.bullet} .claude/${file}:${problem.line} ${problem.message}`));
+        });
+      });
+      console.log();
+    } else if (options.fix) {
+      console.log(colors.muted('No fixable frontmatter problems found.\n'));
+    }
 
     if (results.valid) {
       successBox(
         'Configuration Valid',
         `${icons.skill} Skills: ${results.summary.skills}\n` +
+          `${icons.star} Official Skills: ${results.summary.officialSkills}\n` +
           `${icons.agent} Agents: ${results.summary.agents}\n` +
-          `${icons.hook} Hooks: ${results.summary.hooks}`
+          `${icons.hook} Hooks: ${results.summary.hooks}\n` +
+          `${icons.command} Commands: ${results.summary.commands}\n` +
+          `${icons.mcp} MCP Servers: ${results.summary.mcp}`
       );
     } else {
       warningBox('Configuration Issues', results.errors.join('\n'));
     }
 
+    const { generatedFiles, editedFiles } = results.summary;
+    if (generatedFiles > 0) {
+      console.log(colors.muted(`\n${icons.file} Generated files: ${generatedFiles} (${editedFiles.length} edited since generation)`));
+      editedFiles.forEach((f) => {
+        console.log(colors.muted(`  ${icons.bullet} .claude/${f}`));
+      });
+    }
+
     if (results.warnings.length > 0) {
       console.log(colors.warning('\nWarnings:'));
       results.warnings.forEach((w) => {
@@ -1064,6 +2084,392 @@ async function validateCommand() {
   }
 }
 
+/**
+ * Print validate/audit issues as a SARIF, JUnit or Markdown report on stdout
+ *
+ * @returns {Object[]} The reported issues
+ */
+async function printReport(command, format, getIssues) {
+  if (!REPORT_FORMATS.includes(format)) {
+    console.error(colors.error(`Unknown format: ${format}`));
+    console.error(colors.muted(`Valid formats: ${REPORT_FORMATS.join(', ')}`));
+    process.exit(1);
+  }
+
+  try {
+    const issues = await getIssues();
+    console.log(formatReport(issues, format, { command, version: program.version() }));
+    return issues;
+  } catch (error) {
+    console.error(colors.error(`${command} failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Set the exit code for a check: EXIT_ERRORS when there are errors,
+ * EXIT_WARNINGS when there are only warnings and --strict is set, otherwise 0
+ */
+function setCheckExitCode(errorCount, warningCount, strict) {
+  if (errorCount > 0) {
+    process.exitCode = EXIT_ERRORS;
+  } else if (strict && warningCount > 0) {
+    process.exitCode = EXIT_WARNINGS;
+  }
+}
+
+/**
+ * Doctor command - Check the tools the installed hooks need
+ */
+async function doctorCommand(options = {}) {
+  const projectDir = process.cwd();
+  // Broken, no-op and missing hooks are errors; partial ones are warnings
+  const setDoctorExitCode = (hooks) => {
+    const failing = hooks.filter((h) => ['missing', 'broken', 'no-op'].includes(h.status)).length;
+    const partial = hooks.filter((h) => h.status === 'partial').length;
+    setCheckExitCode(failing, partial, options.strict);
+  };
+
+  if (options.json) {
+    const results = await printJson(async () => ({
+      ...(await diagnoseProject(projectDir)),
+      node: process.version,
+    }));
+    setDoctorExitCode(results.hooks);
+    return;
+  }
+
+  showBanner();
+
+  const spinner = createSpinner(colors.secondary('Checking tools...')).start();
+  let diagnosis;
+  let bash;
+  try {
+    diagnosis = await diagnoseProject(projectDir);
+    bash = diagnosis.tools.bash || (await checkTool('bash', projectDir));
+    spinner.stop();
+  } catch (error) {
+    spinner.fail(colors.error('Doctor failed'));
+    console.error(colors.error(error.message));
+    process.exit(1);
+  }
+
+  const { hooks, tools, claude } = diagnosis;
+  setDoctorExitCode(hooks);
+
+  const describeTool = (tool, purpose) =>
+    tool.found
+      ? colors.success(`  ${icons.check} ${tool.name.padEnd(8)} ${tool.version || ''}`) + colors.muted(`  ${tool.path}  (${purpose})`)
+      : colors.error(`  ${icons.cross} ${tool.name.padEnd(8)} not found`) + colors.muted(`  (${purpose}) install: ${tool.install}`);
+
+  sectionHeader('Environment', icons.gear);
+  console.log(colors.success(`  ${icons.check} ${'node'.padEnd(8)} ${process.version.replace(/^v/, '')}`) + colors.muted('  (cc-scaffold)'));
+  console.log(describeTool(bash, 'runs every hook'));
+  console.log(describeTool(claude, 'needed by analyze'));
+
+  if (hooks.length === 0) {
+    infoBox('Hooks', 'No hooks installed in .claude/hooks/ or registered in settings.json.');
+    console.log();
+    return;
+  }
+
+  // Readiness table
+  const statusColors = { ready: colors.success, partial: colors.warning, 'no-op': colors.error, broken: colors.error, missing: colors.error };
+  const nameWidth = Math.max(4, ...hooks.map((h) => h.name.length));
+  const eventWidth = Math.max(5, ...hooks.map((h) => (h.events.join(', ') || 'unregistered').length));
+
+  sectionHeader('Hook Readiness', icons.hook);
+  console.log(colors.muted(`  ${'Hook'.padEnd(nameWidth)}  ${'Event'.padEnd(eventWidth)}  ${'Status'.padEnd(8)}  Tools`));
+  for (const hook of hooks) {
+    const toolList = hook.tools
+      .map((use) => {
+        const tool = tools[use.tool];
+        return tool.found ? `${use.tool}${tool.version ? ` ${tool.version}` : ''}` : colors.error(`${icons.cross} ${use.tool}`);
+      })
+      .join(', ');
+    console.log(
+      `  ${colors.white(hook.name.padEnd(nameWidth))}  ${colors.muted((hook.events.join(', ') || 'unregistered').padEnd(eventWidth))}  ` +
+        `${statusColors[hook.status](hook.status.padEnd(8))}  ${toolList || colors.muted('-')}`
+    );
+    if (hook.reason) {
+      console.log(colors.muted(`  ${' '.repeat(nameWidth)}  ${icons.arrow} ${hook.reason}`));
+    }
+  }
+
+  // Install hints for every missing tool, with the hooks that need it
+  const missing = [...new Set(hooks.flatMap((h) => h.missing))];
+  if (missing.length > 0) {
+    sectionHeader('Missing Tools', icons.package);
+    for (const name of missing) {
+      const tool = tools[name];
+      const users = hooks.filter((h) => h.missing.includes(name)).map((h) => h.name);
+      console.log(colors.white(`  ${icons.bullet} ${name}`) + colors.muted(` (needed by ${users.join(', ')})`));
+      console.log(colors.muted(`    install: ${tool.install || `see the ${name} documentation`}`));
+      if (tool.localOnly) {
+        console.log(colors.warning(`    ${icons.warning} Installed in node_modules/.bin, but hooks only see PATH; install it globally`));
+      }
+    }
+  }
+
+  const inactive = hooks.filter((h) => ['missing', 'broken', 'no-op'].includes(h.status));
+  if (inactive.length > 0) {
+    warningBox(
+      'Hooks Not Working',
+      `${inactive.length} hook(s) will not do anything useful on this machine:\n\n` +
+        inactive.map((h) => `${icons.cross} ${h.name}: ${h.status} (${h.reason})`).join('\n')
+    );
+  } else if (hooks.some((h) => h.status === 'partial')) {
+    infoBox('Hooks Partially Ready', 'Every hook runs, but some skip checks whose tools are not installed.');
+  } else {
+    successBox('All Hooks Ready', `${icons.check} Every tool the ${hooks.length} hook(s) need is installed.`);
+  }
+  console.log();
+}
+
+/**
+ * Scan command - Show detected project characteristics
+ */
+async function scanCommand(options = {}) {
+  if (options.json) {
+    await printJson(() => scanProject(process.cwd()));
+    return;
+  }
+
+  showBanner();
+
+  const spinner = createSpinner(colors.secondary('Scanning project...')).start();
+
+  try {
+    const scan = await scanProject(process.cwd());
+    spinner.succeed(colors.success('Project scanned'));
+
+    console.log(
+      boxen(formatScanResults(scan), {
+        title: `${icons.brain} Scan Results`,
+        padding: 1,
+        borderColor: 'cyan',
+        borderStyle: 'round',
+      })
+    );
+    console.log();
+  } catch (error) {
+    spinner.fail(colors.error('Scan failed'));
+    console.error(colors.error(error.message));
+    process.exit(1);
+  }
+}
+
+/**
+ * Hook test command - Run a hook against a simulated event or saved fixtures
+ */
+async function hookTestCommand(name, options = {}) {
+  const projectDir = process.cwd();
+  const fail = (message) => {
+    if (options.json) {
+      console.log(JSON.stringify({ error: message }, null, 2));
+    } else {
+      console.error(colors.error(`${icons.cross} ${message}`));
+    }
+    process.exit(1);
+  };
+
+  const hook = await findHook(projectDir, name);
+  if (!hook) {
+    fail(`Hook not found: .claude/hooks/${name.replace(/\.sh$/, '')}.sh`);
+  }
+
+  const timeout = Number(options.timeout || hook.timeout || DEFAULT_HOOK_TEST_TIMEOUT);
+  if (!Number.isFinite(timeout) || timeout <= 0) {
+    fail(`Invalid timeout: ${options.timeout}`);
+  }
+
+  // Build the cases: saved fixtures, or one payload from the options
+  let cases;
+  try {
+    if (options.fixture || options.fixtures) {
+      const fixturePath = options.fixture || path.join(path.dirname(hook.script), FIXTURES_DIR, path.basename(hook.script, '.sh'));
+      cases = await loadFixtures(path.resolve(fixturePath), projectDir);
+      if (cases.length === 0) {
+        fail(`No fixtures found in ${path.relative(projectDir, fixturePath)}`);
+      }
+    } else {
+      const event = options.event || hook.event;
+      if (!event) {
+        fail(`Cannot tell which event ${name} handles; pass --event`);
+      }
+      // Default to the first tool the matcher names
+      const tool = options.tool || (hook.matcher || '').split('|').find((t) => /^\w+$/.test(t)) || 'Write';
+      const content = options.contentFile ? await fs.readFile(options.contentFile, 'utf-8') : options.content;
+      const payload = await buildHookPayload({
+        event,
+        tool,
+        file: options.file,
+        content,
+        oldString: options.oldString,
+        command: options.command,
+        projectDir,
+      });
+      cases = [{ name: options.save || `${event} ${payload.tool_name || ''}`.trim(), payload, expect: {} }];
+    }
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const results = [];
+  for (const testCase of cases) {
+    let result;
+    try {
+      result = await runHook(hook.script, testCase.payload, { projectDir, timeout });
+    } catch (error) {
+      fail(`Could not run ${path.relative(projectDir, hook.script)}: ${error.message}`);
+    }
+    const failures = checkExpectations(result, testCase.expect);
+    results.push({ name: testCase.name, fixture: testCase.file, payload: testCase.payload, ...result, failures });
+  }
+
+  if (options.save && !options.fixture && !options.fixtures) {
+    const fixtureFile = path.join(path.dirname(hook.script), FIXTURES_DIR, path.basename(hook.script, '.sh'), `${options.save}.json`);
+    await recordFixture(fixtureFile, { name: options.save, payload: results[0].payload, result: results[0] });
+    results[0].fixture = fixtureFile;
+  }
+
+  if (results.some((r) => r.failures.length > 0)) {
+    process.exitCode = EXIT_ERRORS;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results.map(({ payload, ...result }) => result), null, 2));
+    return;
+  }
+
+  showBanner();
+
+  for (const result of results) {
+    const { payload } = result;
+    const outcome = describeOutcome(result);
+    const filePath = payload.tool_input?.file_path;
+    const target = filePath ? path.relative(projectDir, filePath) : payload.tool_input?.command;
+    const content =
+      `${colors.white('Event:')} ${payload.hook_event_name}${payload.tool_name ? ` (${payload.tool_name})` : ''}\n` +
+      (target ? `${colors.white('Input:')} ${target}\n` : '') +
+      `${colors.white('Exit code:')} ${result.exitCode ?? result.signal} (${outcome})\n` +
+      `${colors.white('Time:')} ${result.elapsedMs} ms` +
+      formatHookOutput('stdout', result.stdout) +
+      formatHookOutput('stderr', result.stderr) +
+      result.failures.map((f) => `\n${colors.error(`${icons.cross} ${f}`)}`).join('');
+
+    const title = `${path.basename(hook.script)}: ${result.name}`;
+    if (result.failures.length > 0 || result.timedOut || outcome.startsWith('error')) {
+      errorBox(title, content);
+    } else if (outcome === 'block') {
+      warningBox(title, content);
+    } else {
+      successBox(title, content);
+    }
+
+    if (result.fixture && options.save) {
+      console.log(colors.muted(`${icons.file} Saved fixture: ${path.relative(projectDir, result.fixture)}`));
+    }
+  }
+
+  if (results.length > 1) {
+    const failed = results.filter((r) => r.failures.length > 0).length;
+    const summary = `${results.length - failed}/${results.length} fixture(s) passed`;
+    console.log(failed > 0 ? colors.error(`\n${icons.cross} ${summary}`) : colors.success(`\n${icons.check} ${summary}`));
+  }
+  console.log();
+}
+
+/**
+ * Hook lint command - Static checks for hook scripts
+ */
+async function hookLintCommand(names = [], options = {}) {
+  const hooksDir = path.join(process.cwd(), '.claude', 'hooks');
+
+  if (options.json) {
+    const results = await printJson(async () => {
+      const linted = await lintHooksDir(hooksDir, names);
+      return linted.map(({ file, problems }) => ({ file: path.relative(process.cwd(), file), problems }));
+    });
+    const problems = results.flatMap((r) => r.problems);
+    setCheckExitCode(
+      problems.filter((p) => p.severity === 'error').length,
+      problems.filter((p) => p.severity === 'warning').length,
+      options.strict
+    );
+    return;
+  }
+
+  showBanner();
+
+  let results;
+  try {
+    results = await lintHooksDir(hooksDir, names);
+  } catch (error) {
+    console.error(colors.error(`Hook lint failed: ${error.message}`));
+    process.exit(1);
+  }
+
+  if (results.length === 0) {
+    console.error(colors.error(`${icons.cross} No hook scripts found in .claude/hooks/${names.length > 0 ? ` matching ${names.join(', ')}` : ''}`));
+    process.exit(1);
+  }
+
+  const problems = results.flatMap((r) => r.problems);
+  const errorCount = problems.filter((p) => p.severity === 'error').length;
+  const warningCount = problems.filter((p) => p.severity === 'warning').length;
+  setCheckExitCode(errorCount, warningCount, options.strict);
+
+  const severityIcons = { error: icons.cross, warning: icons.warning, info: icons.info };
+  const severityColors = { error: colors.error, warning: colors.warning, info: colors.muted };
+
+  sectionHeader('Hook Lint', icons.hook);
+  for (const { file, problems: fileProblems } of results) {
+    const name = path.relative(process.cwd(), file);
+    if (fileProblems.length === 0) {
+      console.log(colors.success(`  ${icons.check} ${name}`));
+      continue;
+    }
+    console.log(colors.white(`  ${name}`));
+    for (const problem of fileProblems) {
+      const color = severityColors[problem.severity];
+      console.log(color(`    ${severityIcons[problem.severity]} ${problem.line}: ${problem.message}`) + colors.muted(` (${problem.ruleId})`));
+    }
+  }
+
+  console.log(
+    colors.muted(
+      `\n${results.length} script(s): ${errorCount} error(s), ${warningCount} warning(s)` +
+        ((await isShellcheckAvailable()) ? '' : ' (built-in checks only; install shellcheck for more)')
+    )
+  );
+  console.log();
+}
+
+/**
+ * Indented stdout/stderr section for hook test output
+ */
+function formatHookOutput(label, text) {
+  if (!text.trim()) return '';
+  return `\n\n${colors.white(`${label}:`)}\n${colors.muted(text.trimEnd().split('\n').map((l) => `  ${l}`).join('\n'))}`;
+}
+
+/**
+ * Print the result of a --json command on stdout, or { error } and exit 1 if it throws
+ *
+ * @returns {*} The printed result
+ */
+async function printJson(run) {
+  try {
+    const result = await run();
+    console.log(JSON.stringify(result, null, 2));
+    return result;
+  } catch (error) {
+    console.log(JSON.stringify({ error: error.message }, null, 2));
+    process.exit(1);
+  }
+}
+
 /**
  * Sleep helper
  */
@@ -1076,27 +2482,123 @@ function sleep(ms) {
 program
   .name('cc-scaffold')
   .description('Interactive CLI for scaffolding Claude Code skills, agents, and hooks')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--dry-run', 'Show a diff of every file that would change without writing anything')
+  .option('--no-banner', 'Skip the banner and spinners (automatic when stdout is not a TTY)');
+
+// Every command writes through writer.js, which records instead of writing in dry-run mode
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const options = actionCommand.optsWithGlobals();
+  setDryRun(options.dryRun);
+  setCiMode(!options.banner || !process.stdout.isTTY);
+});
+
+program.hook('postAction', (thisCommand, actionCommand) => {
+  if (isDryRun()) {
+    // JSON and reports own stdout, so the dry-run report goes to stderr
+    const { json, format } = actionCommand.opts();
+    dryRunReport(getDryRunChanges(), { log: json || format ? console.error : console.log });
+  }
+});
 
 program
   .command('init')
   .description('Interactive project setup')
   .option('--scan', 'Auto-detect project characteristics before wizard')
+  .option('--config <file>', 'Read wizard answers from a JSON file instead of prompting')
+  .option('-y, --yes', 'Accept scan-derived defaults and recommendations without prompting')
   .action(initCommand);
 
 program
   .command('add <type>')
-  .description('Add skill/agent/hook to existing project')
+  .description('Add skill/agent/hook/command/mcp to existing project')
+  .option('--enforcement <level>', 'Enforcement for added hooks: strict, suggested or available (default: the project level)')
   .action(addCommand);
 
+program
+  .command('remove <type> <names...>')
+  .description('Remove skill/agent/hook/command/mcp and clean up settings.json and CLAUDE.md')
+  .option('-y, --yes', 'Remove without confirmation')
+  .action(removeCommand);
+
+program
+  .command('backups [action] [name]')
+  .description('List, restore, or prune .claude/ backups (actions: list, restore, prune)')
+  .option('--keep <n>', 'Number of backups to keep when pruning', String(DEFAULT_BACKUP_KEEP))
+  .option('-y, --yes', 'Restore without confirmation')
+  .action(backupsCommand);
+
+program
+  .command('upgrade')
+  .description('Update installed components to the current templates, merging local edits')
+  .option('--force', 'Replace edited files that cannot be merged (custom sections are kept)')
+  .option('-y, --yes', 'Upgrade without confirmation')
+  .action(upgradeCommand);
+
+const hookCommand = program
+  .command('hook')
+  .description('Work with the hook scripts in .claude/hooks/');
+
+hookCommand
+  .command('test <name>')
+  .description('Run a hook against a simulated event and report exit code, output and time')
+  .option('--event <event>', 'Hook event (default: the event the hook is registered for)')
+  .option('--tool <tool>', 'Tool name for tool events: Write, Edit, MultiEdit, Bash, Read, ...')
+  .option('--file <path>', 'File the tool acts on')
+  .option('--content <text>', 'Write content, Edit new text, or prompt text')
+  .option('--content-file <path>', 'Read --content from a file')
+  .option('--old-string <text>', 'Text an Edit or MultiEdit replaces')
+  .option('--command <command>', 'Command for the Bash tool')
+  .option('--timeout <seconds>', 'Kill the hook after this many seconds')
+  .option('--save <name>', `Save the payload and exit code as a fixture in .claude/hooks/${FIXTURES_DIR}/<hook>/`)
+  .option('--fixture <path>', 'Run a fixture file, or every .json fixture in a directory')
+  .option('--fixtures', `Run every saved fixture in .claude/hooks/${FIXTURES_DIR}/<hook>/`)
+  .option('--json', 'Print the results as JSON')
+  .addHelpText('after', EXIT_CODES_HELP)
+  .action(hookTestCommand);
+
+hookCommand
+  .command('lint [names...]')
+  .description('Check hook scripts for common mistakes (uses shellcheck too when installed)')
+  .option('--json', 'Print the problems as JSON')
+  .option('--strict', `Exit with code ${EXIT_WARNINGS} when there are warnings`)
+  .addHelpText('after', EXIT_CODES_HELP)
+  .action(hookLintCommand);
+
+program
+  .command('doctor')
+  .description('Check that the tools the installed hooks need are on PATH')
+  .option('--json', 'Print the diagnosis as JSON')
+  .option('--strict', `Exit with code ${EXIT_WARNINGS} when hooks are only partially ready`)
+  .addHelpText('after', EXIT_CODES_HELP)
+  .action(doctorCommand);
+
+program
+  .command('scan')
+  .description('Detect languages, frameworks, databases and architecture')
+  .option('--json', 'Print the scan result as JSON')
+  .action(scanCommand);
+
 program
   .command('list [type]')
   .description('List all available components')
+  .option('--json', 'Print component metadata as JSON')
   .action(listCommand);
 
+program
+  .command('permissions')
+  .description('Add scan-derived permission rules to .claude/settings.json')
+  .option('-y, --yes', 'Apply the recommended rules without prompting')
+  .action(permissionsCommand);
+
 program
   .command('validate')
   .description('Validate current configuration')
+  .option('--json', 'Print the validation results as JSON')
+  .option('--format <format>', 'Print a report instead: sarif, junit or markdown')
+  .option('--strict', `Exit with code ${EXIT_WARNINGS} when there are warnings`)
+  .option('--fix', 'Fix skill and agent frontmatter problems that have a known fix')
+  .addHelpText('after', EXIT_CODES_HELP)
   .action(validateCommand);
 
 program
@@ -1109,11 +2611,15 @@ program
 program
   .command('audit')
   .description('Quick validation of existing .claude/ configuration')
+  .option('--json', 'Print the audit issues as JSON')
+  .option('--format <format>', 'Print a report instead: sarif, junit or markdown')
+  .option('--strict', `Exit with code ${EXIT_WARNINGS} when there are warnings`)
+  .addHelpText('after', EXIT_CODES_HELP)
   .action(auditCommand);
 
 // Default to init if no command specified
 if (process.argv.length <= 2) {
   initCommand({ scan: false });
 } else {
-  program.parse();
+  await program.parseAsync();
 }
@@ -0,0 +1,203 @@
+/**
+ * Install manifest for CC Scaffold
+ * .claude/.cc-scaffold.json records what cc-scaffold installed so that
+ * validate and audit can check it is still present, and which generated
+ * files have been edited since they were written
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { readFile, writeFile, removePath } from './writer.js';
+
+export const MANIFEST_FILE = '.cc-scaffold.json';
+
+// Copies of generated files as written, used as the merge base by upgrade
+export const BASE_DIR = '.cc-scaffold-base';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Read the manifest, returning null if missing or invalid
+ */
+export async function readManifest(outputDir = './.claude') {
+  try {
+    const content = await readFile(path.join(outputDir, MANIFEST_FILE));
+    const manifest = JSON.parse(content);
+    return manifest && typeof manifest === 'object' ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Merge top-level keys into the manifest and write it
+ *
+ * @param {string} outputDir - .claude directory
+ * @param {Object} updates - Keys to set (e.g. { officialSkills: [...] })
+ * @returns {Object} The written manifest
+ */
+export async function updateManifest(outputDir, updates) {
+  const manifest = {
+    ...(await readManifest(outputDir)),
+    ...updates,
+    manifestVersion: MANIFEST_VERSION,
+    generator: 'cc-scaffold',
+  };
+
+  await writeFile(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+  return manifest;
+}
+
+/**
+ * SHA-256 of file content
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Version identifier of a template: a short hash of its text, so it changes
+ * whenever the template is edited
+ */
+export function getTemplateVersion(templateContent) {
+  return hashContent(templateContent).slice(0, 12);
+}
+
+/**
+ * Manifest key for a file: its path relative to the .claude directory
+ */
+export function getManifestKey(outputDir, filePath) {
+  return path.relative(outputDir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Record generated files in the manifest and keep a base copy of each.
+ * Entries for files that were not regenerated are kept while the file still exists.
+ *
+ * @param {string} outputDir - .claude directory
+ * @param {Object[]} generated - { path, type, name, templateVersion, content }, where
+ *   content is the generated text (which may differ from the file after an upgrade merge)
+ */
+export async function recordGeneratedFiles(outputDir, generated) {
+  const previous = (await readManifest(outputDir))?.files || {};
+  const files = {};
+
+  for (const [key, entry] of Object.entries(previous)) {
+    const exists = await fs.access(path.join(outputDir, key)).then(() => true, () => false);
+    if (exists) {
+      files[key] = entry;
+    } else {
+      await removePath(path.join(outputDir, BASE_DIR, key));
+    }
+  }
+
+  for (const file of generated) {
+    const key = getManifestKey(outputDir, file.path);
+    files[key] = {
+      type: file.type,
+      name: file.name,
+      templateVersion: file.templateVersion,
+      hash: hashContent(file.content),
+    };
+    await writeFile(path.join(outputDir, BASE_DIR, key), file.content);
+  }
+
+  return updateManifest(outputDir, { files: sortKeys(files) });
+}
+
+/**
+ * Drop manifest entries for deleted files or directories
+ *
+ * @param {string} outputDir - .claude directory
+ * @param {string[]} removedPaths - Deleted files or directories
+ */
+export async function forgetGeneratedFiles(outputDir, removedPaths) {
+  const manifest = await readManifest(outputDir);
+  if (!manifest?.files) return;
+
+  const prefixes = removedPaths.map((p) => getManifestKey(outputDir, p));
+  const files = Object.fromEntries(
+    Object.entries(manifest.files).filter(
+      ([key]) => !prefixes.some((prefix) => key === prefix || key.startsWith(`${prefix}/`))
+    )
+  );
+
+  if (Object.keys(files).length !== Object.keys(manifest.files).length) {
+    await updateManifest(outputDir, { files });
+  }
+  for (const prefix of prefixes) {
+    await removePath(path.join(outputDir, BASE_DIR, prefix));
+  }
+}
+
+/**
+ * Read the base copy of a generated file
+ *
+ * @returns {string|null} Content as generated, or null if no copy was kept
+ */
+export async function readBaseCopy(outputDir, key) {
+  try {
+    return await readFile(path.join(outputDir, BASE_DIR, key));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a generated file's content differs from what cc-scaffold wrote
+ *
+ * @returns {boolean|null} null when the file is not in the manifest
+ */
+export function isEditedSinceGeneration(manifest, key, content) {
+  const entry = manifest?.files?.[key];
+  if (!entry) return null;
+  return hashContent(content) !== entry.hash;
+}
+
+/**
+ * Compare generated files on disk with the manifest
+ *
+ * @param {string} outputDir - .claude directory
+ * @returns {Object} { unchanged, edited, missing }: lists of { path, type, name, templateVersion }
+ */
+export async function checkGeneratedFiles(outputDir = './.claude') {
+  const result = { unchanged: [], edited: [], missing: [] };
+  const manifest = await readManifest(outputDir);
+
+  for (const [key, entry] of Object.entries(manifest?.files || {})) {
+    const item = { path: key, type: entry.type, name: entry.name, templateVersion: entry.templateVersion };
+    let content;
+    try {
+      content = await fs.readFile(path.join(outputDir, key), 'utf-8');
+    } catch {
+      result.missing.push(item);
+      continue;
+    }
+    result[isEditedSinceGeneration(manifest, key, content) ? 'edited' : 'unchanged'].push(item);
+  }
+
+  return result;
+}
+
+/**
+ * Copy an object with its keys sorted, so manifest diffs stay stable
+ */
+function sortKeys(obj) {
+  return Object.fromEntries(Object.entries(obj).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export default {
+  MANIFEST_FILE,
+  readManifest,
+  updateManifest,
+  hashContent,
+  getTemplateVersion,
+  getManifestKey,
+  recordGeneratedFiles,
+  forgetGeneratedFiles,
+  readBaseCopy,
+  isEditedSinceGeneration,
+  checkGeneratedFiles,
+};
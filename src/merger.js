@@ -1,5 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { copyPath, removePath, isDryRun } from './writer.js';
+import { readManifest, isEditedSinceGeneration } from './manifest.js';
 
 /**
  * Merge new configuration with existing .claude/ directory
@@ -38,17 +40,29 @@ export async function mergeConfigurations(existing, newConfig, strategy = 'merge
         newConfig.components?.hooks || [],
         'hook'
       ),
+      commands: mergeComponents(
+        existing.commands,
+        newConfig.components?.commands || [],
+        'command'
+      ),
       custom: [
         ...(existing.custom || []),
         ...(newConfig.components?.custom || []),
       ],
     },
     preservedContext: existing.preservedContext,
+    existingSettings: existing.settings,
+    claudeMdCustomSections: extractCustomSections(existing.claudeMd),
   };
 }
 
+// Files outside .claude/ that scaffold commands edit; backups keep a copy of
+// them in this directory so a restore undoes those edits too
+const PROJECT_FILES = ['CLAUDE.md', '.mcp.json'];
+const PROJECT_FILES_DIR = '.cc-scaffold-project';
+
 /**
- * Backup existing .claude/ directory
+ * Backup existing .claude/ directory, with CLAUDE.md and .mcp.json
  */
 export async function backupExisting(projectPath = process.cwd()) {
   const claudeDir = path.join(projectPath, '.claude');
@@ -60,9 +74,16 @@ export async function backupExisting(projectPath = process.cwd()) {
     await fs.access(claudeDir);
 
     // Copy to backup location
-    await copyDir(claudeDir, backupDir);
+    await copyPath(claudeDir, backupDir);
+    for (const file of PROJECT_FILES) {
+      if (await fs.access(path.join(projectPath, file)).then(() => true, () => false)) {
+        await copyPath(path.join(projectPath, file), path.join(backupDir, PROJECT_FILES_DIR, file));
+      }
+    }
 
-    console.log(`Backed up existing .claude/ to ${path.basename(backupDir)}`);
+    if (!isDryRun()) {
+      console.log(`Backed up existing .claude/ to ${path.basename(backupDir)}`);
+    }
     return backupDir;
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -73,37 +94,20 @@ export async function backupExisting(projectPath = process.cwd()) {
   }
 }
 
-/**
- * Recursively copy a directory
- */
-async function copyDir(src, dest) {
-  await fs.mkdir(dest, { recursive: true });
-  const entries = await fs.readdir(src, { withFileTypes: true });
-
-  for (const entry of entries) {
-    const srcPath = path.join(src, entry.name);
-    const destPath = path.join(dest, entry.name);
-
-    if (entry.isDirectory()) {
-      await copyDir(srcPath, destPath);
-    } else {
-      await fs.copyFile(srcPath, destPath);
-    }
-  }
-}
-
 /**
  * Load existing configuration from .claude/ directory
+ *
+ * @param {string} projectPath - Project root (CLAUDE.md is read from here)
+ * @param {string} claudeDir - Directory to load, e.g. a backup (defaults to <projectPath>/.claude)
  */
-export async function loadExistingConfig(projectPath = process.cwd()) {
-  const claudeDir = path.join(projectPath, '.claude');
-
+export async function loadExistingConfig(projectPath = process.cwd(), claudeDir = path.join(projectPath, '.claude')) {
   const config = {
     path: claudeDir,
     exists: false,
     skills: [],
     agents: [],
     hooks: [],
+    commands: [],
     custom: [],
     settings: null,
     claudeMd: null,
@@ -118,6 +122,9 @@ export async function loadExistingConfig(projectPath = process.cwd()) {
     return config;
   }
 
+  // The manifest tells generated files that were edited apart from untouched ones
+  const manifest = await readManifest(claudeDir);
+
   // Load settings.json
   const settingsPath = path.join(claudeDir, 'settings.json');
   try {
@@ -143,6 +150,7 @@ export async function loadExistingConfig(projectPath = process.cwd()) {
             name: dir,
             content,
             customSections: extractCustomSections(content),
+            edited: isEditedSinceGeneration(manifest, `skills/${dir}/SKILL.md`, content),
           });
         } catch {
           // Skill directory without SKILL.md
@@ -165,6 +173,7 @@ export async function loadExistingConfig(projectPath = process.cwd()) {
           name: file.replace('.md', ''),
           content,
           customSections: extractCustomSections(content),
+          edited: isEditedSinceGeneration(manifest, `agents/${file}`, content),
         });
       }
     }
@@ -182,6 +191,7 @@ export async function loadExistingConfig(projectPath = process.cwd()) {
         config.hooks.push({
           name: file.replace('.sh', ''),
           content,
+          edited: isEditedSinceGeneration(manifest, `hooks/${file}`, content),
         });
       }
     }
@@ -189,6 +199,25 @@ export async function loadExistingConfig(projectPath = process.cwd()) {
     // No hooks directory
   }
 
+  // Load slash commands
+  const commandsDir = path.join(claudeDir, 'commands');
+  try {
+    const commandFiles = await fs.readdir(commandsDir);
+    for (const file of commandFiles) {
+      if (file.endsWith('.md')) {
+        const content = await fs.readFile(path.join(commandsDir, file), 'utf-8');
+        config.commands.push({
+          name: file.replace('.md', ''),
+          content,
+          customSections: extractCustomSections(content),
+          edited: isEditedSinceGeneration(manifest, `commands/${file}`, content),
+        });
+      }
+    }
+  } catch {
+    // No commands directory
+  }
+
   // Load CLAUDE.md from project root
   const claudeMdPath = path.join(projectPath, 'CLAUDE.md');
   try {
@@ -214,26 +243,24 @@ export async function loadExistingConfig(projectPath = process.cwd()) {
   return config;
 }
 
+// Headings of sections that hold project-specific additions to a component
+const CUSTOM_SECTION_MARKERS = [
+  '## Project-Specific',
+  '## Our Rules',
+  '## Custom Rules',
+  '## Project Rules',
+  '## Local Additions',
+  '## Team Conventions',
+  '## Company Standards',
+];
+
 /**
- * Extract custom/project-specific sections from a component.
- * These are sections marked with specific headers that should be preserved.
+ * Find where each custom section starts and ends (up to the next ## heading)
  */
-function extractCustomSections(content) {
-  if (!content) return '';
-
-  const customMarkers = [
-    '## Project-Specific',
-    '## Our Rules',
-    '## Custom Rules',
-    '## Project Rules',
-    '## Local Additions',
-    '## Team Conventions',
-    '## Company Standards',
-  ];
-
-  let customContent = '';
+function findCustomSections(content) {
+  const sections = [];
 
-  for (const marker of customMarkers) {
+  for (const marker of CUSTOM_SECTION_MARKERS) {
     const markerIndex = content.indexOf(marker);
     if (markerIndex !== -1) {
       // Find the next ## heading or end of file
@@ -243,11 +270,41 @@ function extractCustomSections(content) {
         ? markerIndex + marker.length + nextHeadingMatch.index
         : content.length;
 
-      customContent += content.slice(markerIndex, endIndex) + '\n\n';
+      sections.push({ start: markerIndex, end: endIndex });
     }
   }
 
-  return customContent.trim();
+  return sections;
+}
+
+/**
+ * Extract custom/project-specific sections from a component.
+ * These are sections marked with specific headers that should be preserved.
+ */
+export function extractCustomSections(content) {
+  if (!content) return '';
+
+  return findCustomSections(content)
+    .map(({ start, end }) => content.slice(start, end) + '\n\n')
+    .join('')
+    .trim();
+}
+
+/**
+ * Remove custom sections from a component, leaving the template-derived text
+ */
+export function stripCustomSections(content) {
+  if (!content) return '';
+
+  const sections = findCustomSections(content).sort((a, b) => b.start - a.start);
+  let stripped = content;
+  for (const { start, end } of sections) {
+    // Drop the blank line that separated the section from the next heading
+    const next = stripped[end] === '\n' ? end + 1 : end;
+    stripped = stripped.slice(0, start) + stripped.slice(next);
+  }
+
+  return stripped.trimEnd() + '\n';
 }
 
 /**
@@ -266,10 +323,21 @@ function mergeComponents(existing, incoming, type) {
 
   // Process incoming components
   for (const item of incoming) {
-    const name = typeof item === 'string' ? item : item;
+    const name = typeof item === 'string' ? item : item.name;
     const existingItem = existingByName.get(name);
 
-    if (existingItem) {
+    if (existingItem?.edited) {
+      // Generated file edited since generation - keep it as-is rather than
+      // regenerating it and losing edits outside the custom sections
+      merged.push({
+        name,
+        content: existingItem.content,
+        customSections: existingItem.customSections,
+        isExisting: true,
+        isEdited: true,
+      });
+      existingByName.delete(name);
+    } else if (existingItem) {
       // Component exists - preserve custom sections
       merged.push({
         name,
@@ -305,17 +373,27 @@ function mergeComponents(existing, incoming, type) {
 export async function restoreFromBackup(backupPath, projectPath = process.cwd()) {
   const claudeDir = path.join(projectPath, '.claude');
 
-  // Remove current .claude
-  try {
-    await fs.rm(claudeDir, { recursive: true });
-  } catch {
-    // May not exist
+  // Remove current .claude, then copy the backup in its place
+  await removePath(claudeDir);
+  await copyPath(backupPath, claudeDir);
+
+  // Put back the project files; older backups have no copies and leave them alone.
+  // A file missing from the copies did not exist when the backup was made.
+  const copiesDir = path.join(backupPath, PROJECT_FILES_DIR);
+  if (await fs.access(copiesDir).then(() => true, () => false)) {
+    for (const file of PROJECT_FILES) {
+      const copy = path.join(copiesDir, file);
+      await removePath(path.join(projectPath, file));
+      if (await fs.access(copy).then(() => true, () => false)) {
+        await copyPath(copy, path.join(projectPath, file));
+      }
+    }
+    await removePath(path.join(claudeDir, PROJECT_FILES_DIR));
   }
 
-  // Copy backup to .claude
-  await copyDir(backupPath, claudeDir);
-
-  console.log(`Restored .claude/ from ${path.basename(backupPath)}`);
+  if (!isDryRun()) {
+    console.log(`Restored .claude/ from ${path.basename(backupPath)}`);
+  }
 }
 
 /**
@@ -359,7 +437,7 @@ export async function cleanupBackups(projectPath = process.cwd(), keepCount = 5)
 
   for (const backup of toRemove) {
     try {
-      await fs.rm(backup.path, { recursive: true });
+      await removePath(backup.path);
       removed++;
     } catch {
       // Failed to remove, continue
@@ -369,6 +447,61 @@ export async function cleanupBackups(projectPath = process.cwd(), keepCount = 5)
   return { removed, kept: keepCount };
 }
 
+/**
+ * Compare a backup with the current .claude/ configuration
+ *
+ * @param {Object} backup - Config loaded from the backup directory
+ * @param {Object} current - Config loaded from .claude/
+ * @returns {Object} Per type: { onlyInBackup, onlyInCurrent, changed }, plus settingsChanged
+ */
+export function compareConfigs(backup, current) {
+  const comparison = {};
+
+  for (const type of ['skills', 'agents', 'hooks', 'commands']) {
+    const backupItems = new Map((backup[type] || []).map((c) => [c.name, c.content]));
+    const currentItems = new Map((current[type] || []).map((c) => [c.name, c.content]));
+
+    comparison[type] = {
+      onlyInBackup: [...backupItems.keys()].filter((n) => !currentItems.has(n)),
+      onlyInCurrent: [...currentItems.keys()].filter((n) => !backupItems.has(n)),
+      changed: [...backupItems.keys()].filter(
+        (n) => currentItems.has(n) && currentItems.get(n) !== backupItems.get(n)
+      ),
+    };
+  }
+
+  comparison.settingsChanged = JSON.stringify(backup.settings) !== JSON.stringify(current.settings);
+
+  return comparison;
+}
+
+/**
+ * Format a backup comparison for display
+ */
+export function formatComparison(comparison) {
+  const lines = [];
+
+  for (const type of ['skills', 'agents', 'hooks', 'commands']) {
+    const { onlyInBackup, onlyInCurrent, changed } = comparison[type];
+    const label = type.charAt(0).toUpperCase() + type.slice(1);
+    if (onlyInBackup.length > 0) {
+      lines.push(`${label} only in backup: ${onlyInBackup.join(', ')}`);
+    }
+    if (onlyInCurrent.length > 0) {
+      lines.push(`${label} only in current: ${onlyInCurrent.join(', ')}`);
+    }
+    if (changed.length > 0) {
+      lines.push(`${label} changed: ${changed.join(', ')}`);
+    }
+  }
+
+  if (comparison.settingsChanged) {
+    lines.push('settings.json differs');
+  }
+
+  return lines.length > 0 ? lines.join('\n') : 'Identical to current .claude/';
+}
+
 /**
  * Get summary of differences between existing and new configuration
  */
@@ -376,10 +509,12 @@ export function getDiffSummary(existing, newConfig) {
   const existingSkills = new Set(existing.skills.map((s) => s.name));
   const existingAgents = new Set(existing.agents.map((a) => a.name));
   const existingHooks = new Set(existing.hooks.map((h) => h.name));
+  const existingCommands = new Set((existing.commands || []).map((c) => c.name));
 
   const newSkills = new Set(newConfig.components?.skills || []);
   const newAgents = new Set(newConfig.components?.agents || []);
   const newHooks = new Set(newConfig.components?.hooks || []);
+  const newCommands = new Set(newConfig.components?.commands || []);
 
   return {
     skills: {
@@ -397,6 +532,11 @@ export function getDiffSummary(existing, newConfig) {
       removed: [...existingHooks].filter((h) => !newHooks.has(h)),
       kept: [...newHooks].filter((h) => existingHooks.has(h)),
     },
+    commands: {
+      added: [...newCommands].filter((c) => !existingCommands.has(c)),
+      removed: [...existingCommands].filter((c) => !newCommands.has(c)),
+      kept: [...newCommands].filter((c) => existingCommands.has(c)),
+    },
   };
 }
 
@@ -425,6 +565,7 @@ export function formatDiffSummary(diff) {
   formatSection('Skills', diff.skills);
   formatSection('Agents', diff.agents);
   formatSection('Hooks', diff.hooks);
+  formatSection('Commands', diff.commands);
 
   return lines.join('\n');
 }
@@ -0,0 +1,161 @@
+/**
+ * Official Anthropic skills for CC Scaffold
+ * Skills are copied into .claude/skills/ from a local copy of anthropics/skills
+ * when one is available; otherwise the plugin that ships them is enabled in
+ * settings.json and documented in CLAUDE.md.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { officialSkills } from './analyzer.js';
+import { readManifest } from './manifest.js';
+import { copyPath } from './writer.js';
+
+export const OFFICIAL_MARKETPLACE = 'anthropic-agent-skills';
+export const OFFICIAL_REPO = 'anthropics/skills';
+
+/**
+ * Directories searched for a local copy of the official skills, in order.
+ * Each may be a clone of anthropics/skills or a plain folder of skill directories.
+ */
+export function getSkillSources() {
+  return [
+    process.env.CC_SCAFFOLD_SKILLS_DIR,
+    path.join(os.homedir(), '.cache', 'cc-scaffold', 'anthropic-skills'),
+    path.join(os.homedir(), '.claude', 'skills'),
+  ].filter(Boolean);
+}
+
+/**
+ * Find a local copy of an official skill
+ *
+ * @returns {string|null} Directory containing SKILL.md
+ */
+export async function findLocalSkill(name) {
+  for (const root of getSkillSources()) {
+    for (const dir of [path.join(root, name), path.join(root, 'skills', name), path.join(root, 'document-skills', name)]) {
+      try {
+        await fs.access(path.join(dir, 'SKILL.md'));
+        return dir;
+      } catch {
+        // Not in this location
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Install selected official skills into .claude/skills/
+ *
+ * @param {string[]} names - Official skill names
+ * @param {string} outputDir - .claude directory
+ * @returns {Object[]} Manifest entries: { name, source: 'local' | 'plugin', plugin, from? }
+ */
+export async function installOfficialSkills(names, outputDir = './.claude') {
+  const installed = [];
+
+  for (const name of names) {
+    const meta = officialSkills.find((s) => s.name === name);
+    if (!meta) continue;
+
+    const plugin = `${meta.plugin}@${OFFICIAL_MARKETPLACE}`;
+    const targetDir = path.join(outputDir, 'skills', name);
+
+    // Already in the project (e.g. kept by a merge)
+    try {
+      await fs.access(path.join(targetDir, 'SKILL.md'));
+      installed.push({ name, source: 'local', plugin });
+      continue;
+    } catch {
+      // Not installed yet
+    }
+
+    const localCopy = await findLocalSkill(name);
+    if (localCopy) {
+      await copyPath(localCopy, targetDir);
+      installed.push({ name, source: 'local', plugin, from: localCopy });
+    } else {
+      installed.push({ name, source: 'plugin', plugin });
+    }
+  }
+
+  return installed;
+}
+
+/**
+ * Enable the marketplace plugins for skills that could not be copied locally
+ *
+ * @param {Object} settings - Parsed settings.json (modified in place)
+ * @param {Object[]} installed - Entries from installOfficialSkills
+ */
+export function addOfficialSkillPlugins(settings, installed) {
+  const plugins = [...new Set(installed.filter((s) => s.source === 'plugin').map((s) => s.plugin))];
+  if (plugins.length === 0) return;
+
+  settings.extraKnownMarketplaces = {
+    ...settings.extraKnownMarketplaces,
+    [OFFICIAL_MARKETPLACE]: settings.extraKnownMarketplaces?.[OFFICIAL_MARKETPLACE] || {
+      source: { source: 'github', repo: OFFICIAL_REPO },
+    },
+  };
+
+  settings.enabledPlugins = { ...settings.enabledPlugins };
+  for (const plugin of plugins) {
+    if (settings.enabledPlugins[plugin] === undefined) {
+      settings.enabledPlugins[plugin] = true;
+    }
+  }
+}
+
+/**
+ * Check that official skills recorded in the manifest are still available
+ *
+ * @param {string} outputDir - .claude directory
+ * @returns {Object} { present: names, problems: [{ message, file }] }
+ */
+export async function verifyOfficialSkills(outputDir = './.claude') {
+  const result = { present: [], problems: [] };
+  const manifest = await readManifest(outputDir);
+  const entries = manifest?.officialSkills || [];
+  if (entries.length === 0) return result;
+
+  let settings = {};
+  try {
+    settings = JSON.parse(await fs.readFile(path.join(outputDir, 'settings.json'), 'utf-8'));
+  } catch {
+    // Missing settings are reported elsewhere
+  }
+
+  for (const entry of entries) {
+    if (entry.source === 'local') {
+      try {
+        await fs.access(path.join(outputDir, 'skills', entry.name, 'SKILL.md'));
+        result.present.push(entry.name);
+      } catch {
+        result.problems.push({
+          message: `Official skill '${entry.name}' is missing .claude/skills/${entry.name}/SKILL.md`,
+          file: path.join(outputDir, 'skills', entry.name, 'SKILL.md'),
+        });
+      }
+    } else if (settings.enabledPlugins?.[entry.plugin] === true) {
+      result.present.push(entry.name);
+    } else {
+      result.problems.push({
+        message: `Official skill '${entry.name}' needs plugin ${entry.plugin} enabled in settings.json`,
+        file: path.join(outputDir, 'settings.json'),
+      });
+    }
+  }
+
+  return result;
+}
+
+export default {
+  getSkillSources,
+  findLocalSkill,
+  installOfficialSkills,
+  addOfficialSkillPlugins,
+  verifyOfficialSkills,
+};
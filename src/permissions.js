@@ -0,0 +1,235 @@
+/**
+ * Permission rule recommendations for CC Scaffold
+ * Derives settings.json permissions.allow / ask / deny lists from a project scan
+ */
+
+/**
+ * Rules that are always denied, regardless of the project
+ */
+export const baselineDeny = [
+  'Read(./.env)',
+  'Read(./.env.*)',
+  'Bash(rm -rf:*)',
+];
+
+/**
+ * Package.json scripts that are safe to run without asking
+ */
+const safeScripts = ['build', 'lint', 'format', 'typecheck', 'type-check', 'check'];
+
+/**
+ * Permission rules based on project context
+ */
+const permissionRules = [
+  // Read-only git commands
+  {
+    condition: () => true,
+    allow: ['Bash(git status:*)', 'Bash(git diff:*)', 'Bash(git log:*)'],
+    ask: ['Bash(git push:*)'],
+  },
+
+  // Node.js - only scripts the project actually defines
+  {
+    condition: (ctx) => ctx.techStack?.includes('nodejs'),
+    allow: (ctx) => {
+      const pm = ctx.packageManager || 'npm';
+      const scripts = ctx.scripts || [];
+      const rules = [];
+      if (scripts.includes('test')) {
+        rules.push(`Bash(${pm} test:*)`);
+      }
+      for (const script of safeScripts.filter((s) => scripts.includes(s))) {
+        rules.push(`Bash(${pm} run ${script}:*)`);
+      }
+      return rules;
+    },
+    ask: (ctx) => [`Bash(${ctx.packageManager || 'npm'} install:*)`],
+  },
+
+  // .NET
+  {
+    condition: (ctx) => ctx.techStack?.includes('dotnet'),
+    allow: (ctx) => [
+      'Bash(dotnet build:*)',
+      'Bash(dotnet format:*)',
+      ...(ctx.hasTests ? ['Bash(dotnet test:*)'] : []),
+    ],
+    ask: ['Bash(dotnet add package:*)'],
+  },
+
+  // EF Core migrations change the database
+  {
+    condition: (ctx) => ctx.techStack?.includes('ef-core'),
+    ask: ['Bash(dotnet ef database update:*)'],
+  },
+
+  // Python
+  {
+    condition: (ctx) => ctx.techStack?.includes('python'),
+    allow: (ctx) => (ctx.hasTests ? ['Bash(pytest:*)', 'Bash(python -m pytest:*)'] : []),
+    ask: ['Bash(pip install:*)'],
+  },
+
+  // Go
+  {
+    condition: (ctx) => ctx.techStack?.includes('go'),
+    allow: ['Bash(go build:*)', 'Bash(go test:*)', 'Bash(go vet:*)'],
+  },
+
+  // Rust
+  {
+    condition: (ctx) => ctx.techStack?.includes('rust'),
+    allow: ['Bash(cargo build:*)', 'Bash(cargo test:*)', 'Bash(cargo clippy:*)'],
+  },
+
+  // Ruby
+  {
+    condition: (ctx) => ctx.techStack?.includes('ruby'),
+    allow: (ctx) => (ctx.hasTests ? ['Bash(bundle exec rspec:*)', 'Bash(bundle exec rake test:*)'] : []),
+    ask: ['Bash(bundle install:*)', 'Bash(bundle add:*)'],
+  },
+
+  // PHP
+  {
+    condition: (ctx) => ctx.techStack?.includes('php'),
+    allow: (ctx) => ['Bash(php -l:*)', ...(ctx.hasTests ? ['Bash(vendor/bin/phpunit:*)'] : [])],
+    ask: ['Bash(composer install:*)', 'Bash(composer require:*)'],
+  },
+
+  // Kotlin
+  {
+    condition: (ctx) => ctx.techStack?.includes('kotlin'),
+    allow: ['Bash(./gradlew build:*)', 'Bash(./gradlew test:*)'],
+  },
+
+  // Swift
+  {
+    condition: (ctx) => ctx.techStack?.includes('swift'),
+    allow: ['Bash(swift build:*)', 'Bash(swift test:*)'],
+  },
+
+  // Elixir
+  {
+    condition: (ctx) => ctx.techStack?.includes('elixir'),
+    allow: ['Bash(mix compile:*)', 'Bash(mix test:*)', 'Bash(mix format:*)'],
+    ask: ['Bash(mix deps.get:*)'],
+  },
+
+  // Dart / Flutter
+  {
+    condition: (ctx) => ctx.techStack?.includes('dart'),
+    allow: (ctx) => {
+      const tool = ctx.techStack.includes('flutter') ? 'flutter' : 'dart';
+      return [`Bash(${tool} analyze:*)`, `Bash(${tool} test:*)`, 'Bash(dart format:*)'];
+    },
+    ask: (ctx) => [`Bash(${ctx.techStack.includes('flutter') ? 'flutter' : 'dart'} pub add:*)`],
+  },
+
+  // Framework migrations change the database
+  {
+    condition: (ctx) => ctx.techStack?.includes('rails'),
+    ask: ['Bash(bin/rails db:migrate:*)'],
+  },
+  {
+    condition: (ctx) => ctx.techStack?.includes('laravel'),
+    ask: ['Bash(php artisan migrate:*)'],
+  },
+  {
+    condition: (ctx) => ctx.techStack?.includes('symfony'),
+    ask: ['Bash(php bin/console doctrine:migrations:migrate:*)'],
+  },
+  {
+    condition: (ctx) => ctx.techStack?.includes('phoenix'),
+    ask: ['Bash(mix ecto.migrate:*)'],
+  },
+
+  // Docker
+  {
+    condition: (ctx) => ctx.techStack?.includes('docker'),
+    ask: ['Bash(docker compose up:*)', 'Bash(docker run:*)'],
+  },
+];
+
+/**
+ * Build recommended permission rules for a project
+ *
+ * @param {Object} context - Scan results (techStack, scripts, packageManager, hasTests, ...)
+ * @returns {Object} { allow, ask, deny } rule lists
+ */
+export function recommendPermissions(context) {
+  const permissions = {
+    allow: new Set(),
+    ask: new Set(),
+    deny: new Set(baselineDeny),
+  };
+
+  for (const rule of permissionRules) {
+    try {
+      if (!rule.condition(context)) continue;
+
+      for (const list of ['allow', 'ask', 'deny']) {
+        const rules = typeof rule[list] === 'function' ? rule[list](context) : rule[list];
+        (rules || []).forEach((r) => permissions[list].add(r));
+      }
+    } catch {
+      // Skip rules that fail (e.g., missing properties)
+      continue;
+    }
+  }
+
+  return {
+    allow: [...permissions.allow],
+    ask: [...permissions.ask],
+    deny: [...permissions.deny],
+  };
+}
+
+/**
+ * Merge permission rules into a settings object without duplicates.
+ * A rule already present in any list keeps its existing placement.
+ *
+ * @param {Object} settings - Parsed settings.json (modified in place)
+ * @param {Object} permissions - { allow, ask, deny } rule lists to add
+ * @returns {Object} Rules that were added, by list
+ */
+export function mergePermissions(settings, permissions = {}) {
+  const added = { allow: [], ask: [], deny: [] };
+
+  if (!settings.permissions) {
+    settings.permissions = {};
+  }
+
+  const existing = new Set(
+    ['allow', 'ask', 'deny'].flatMap((list) => settings.permissions[list] || [])
+  );
+
+  // Deny first so a rule requested in several lists lands in the strictest one
+  for (const list of ['deny', 'ask', 'allow']) {
+    for (const rule of permissions[list] || []) {
+      if (existing.has(rule)) continue;
+
+      if (!Array.isArray(settings.permissions[list])) {
+        settings.permissions[list] = [];
+      }
+      settings.permissions[list].push(rule);
+      existing.add(rule);
+      added[list].push(rule);
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Check a rule string against the Tool or Tool(specifier) syntax
+ */
+export function isValidPermissionRule(rule) {
+  return typeof rule === 'string' && /^[A-Za-z][\w-]*(\(.+\))?$/.test(rule);
+}
+
+export default {
+  baselineDeny,
+  recommendPermissions,
+  mergePermissions,
+  isValidPermissionRule,
+};
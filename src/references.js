@@ -0,0 +1,285 @@
+/**
+ * Reference integrity checks for CC Scaffold
+ * Cross-checks CLAUDE.md imports, settings.json hook registrations and the
+ * scripts in .claude/hooks/, so renamed or removed files do not leave
+ * references that silently stop working.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { CLAUDE_CODE_TOOLS } from './frontmatter.js';
+import { readManifest } from './manifest.js';
+import { resolveHookEnforcement } from './templates/hooks.js';
+
+// Settings files that can register hooks, relative to the project root
+const SETTINGS_FILES = ['.claude/settings.json', '.claude/settings.local.json'];
+
+// Events whose matcher is a tool name pattern
+const TOOL_EVENTS = ['PreToolUse', 'PostToolUse', 'PermissionRequest'];
+
+// Commands that run a script given as their argument, so it need not be executable
+const INTERPRETERS = ['bash', 'sh', 'zsh', 'node', 'python', 'python3', 'ruby', 'perl', 'deno', 'bun'];
+
+/**
+ * Check references between CLAUDE.md, settings files and hook scripts
+ *
+ * @param {string} projectDir - Project root
+ * @returns {Object[]} Issues: { ruleId, severity, message, file (absolute), line? }
+ */
+export async function checkReferences(projectPath = process.cwd()) {
+  const projectDir = path.resolve(projectPath);
+  const issues = [];
+  const registered = new Set();
+
+  issues.push(...(await checkClaudeMdImports(projectDir)));
+
+  for (const settingsFile of SETTINGS_FILES) {
+    const settingsPath = path.join(projectDir, settingsFile);
+    let text;
+    let settings;
+    try {
+      text = await fs.readFile(settingsPath, 'utf-8');
+      settings = JSON.parse(text);
+    } catch {
+      // Missing or invalid settings are reported by the settings checks
+      continue;
+    }
+    issues.push(...(await checkHookRegistrations(projectDir, settingsPath, text, settings, registered)));
+  }
+
+  issues.push(...(await checkOrphanHooks(projectDir, registered)));
+
+  return issues;
+}
+
+/**
+ * Report @path imports in CLAUDE.md that do not resolve
+ */
+async function checkClaudeMdImports(projectDir) {
+  const claudeMdPath = path.join(projectDir, 'CLAUDE.md');
+  let content;
+  try {
+    content = await fs.readFile(claudeMdPath, 'utf-8');
+  } catch {
+    return [];
+  }
+
+  const issues = [];
+  let inCodeBlock = false;
+
+  for (const [index, line] of content.split('\n').entries()) {
+    // Imports are not evaluated inside code blocks or code spans
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    if (inCodeBlock) continue;
+
+    const text = line.replace(/`[^`]*`/g, '');
+    for (const match of text.matchAll(/(?:^|\s)@((?:~\/|\.{0,2}\/)?[\w.-]+(?:\/[\w.-]+)*)/g)) {
+      const ref = match[1].replace(/[.,;:]+$/, '');
+      // Only paths look like imports; "@team" style mentions are left alone
+      if (!ref.includes('/') && !/\.\w+$/.test(ref)) continue;
+
+      const target = ref.startsWith('~/') ? path.join(os.homedir(), ref.slice(2)) : path.resolve(projectDir, ref);
+      try {
+        await fs.access(target);
+      } catch {
+        issues.push({
+          ruleId: 'reference-dangling',
+          severity: 'warning',
+          message: `Import @${ref} does not exist`,
+          file: claudeMdPath,
+          line: index + 1,
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check the hook commands and matchers registered in one settings file
+ *
+ * @param {Set} registered - Collects the absolute paths of registered scripts
+ */
+async function checkHookRegistrations(projectDir, settingsPath, text, settings, registered) {
+  const issues = [];
+  const hooksDir = path.join(projectDir, '.claude', 'hooks');
+  // Occurrences of each command so far, to find the line of this one
+  const occurrences = new Map();
+
+  for (const [event, entries] of Object.entries(settings?.hooks || {})) {
+    if (!Array.isArray(entries)) continue;
+    const seen = new Map();
+
+    for (const entry of entries) {
+      if (!entry || typeof entry !== 'object') continue;
+
+      // Matcher groups, or legacy flat entries (reported by the settings checks)
+      const commands = Array.isArray(entry.hooks) ? entry.hooks : [entry];
+      const matcher = entry.matcher;
+
+      if (TOOL_EVENTS.includes(event) && typeof matcher === 'string') {
+        const problem = checkMatcher(matcher);
+        if (problem) {
+          issues.push({
+            ruleId: 'hook-invalid-matcher',
+            severity: problem.severity,
+            message: `${event} matcher '${matcher}' ${problem.message}`,
+            file: settingsPath,
+            line: lineOf(text, `"matcher": ${JSON.stringify(matcher)}`),
+          });
+        }
+      }
+
+      for (const hook of commands) {
+        if (typeof hook?.command !== 'string') continue;
+        const occurrence = (occurrences.get(hook.command) || 0) + 1;
+        occurrences.set(hook.command, occurrence);
+        const line = lineOf(text, JSON.stringify(hook.command), occurrence);
+
+        const previous = seen.get(hook.command);
+        if (previous !== undefined) {
+          issues.push({
+            ruleId: 'hook-duplicate-registration',
+            severity: 'warning',
+            message: `${event} registers '${hook.command}' more than once (matchers '${previous || '*'}' and '${matcher || '*'}')`,
+            file: settingsPath,
+            line,
+          });
+        } else {
+          seen.set(hook.command, matcher);
+        }
+
+        const script = resolveHookScript(projectDir, hook.command);
+        if (!script) continue;
+        registered.add(script.path);
+
+        let stats;
+        try {
+          stats = await fs.stat(script.path);
+        } catch {
+          issues.push({
+            ruleId: 'hook-command-missing',
+            severity: 'error',
+            message: `${event} hook runs ${path.relative(projectDir, script.path)}, which does not exist`,
+            file: settingsPath,
+            line,
+          });
+          continue;
+        }
+
+        // Scripts in .claude/hooks/ are covered by the hook permission check
+        if (script.direct && !(stats.mode & 0o111) && path.dirname(script.path) !== hooksDir) {
+          issues.push({
+            ruleId: 'hook-command-not-executable',
+            severity: 'error',
+            message: `${event} hook runs ${path.relative(projectDir, script.path)}, which is not executable`,
+            file: settingsPath,
+            line,
+          });
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Report scripts in .claude/hooks/ that no settings file registers.
+ * Scripts named by another hook script (sourced helpers) and hooks installed
+ * with available-only enforcement are not orphans.
+ */
+async function checkOrphanHooks(projectDir, registered) {
+  const hooksDir = path.join(projectDir, '.claude', 'hooks');
+  let files;
+  try {
+    files = (await fs.readdir(hooksDir)).filter((f) => f.endsWith('.sh'));
+  } catch {
+    return [];
+  }
+
+  const contents = await Promise.all(
+    files.map((f) => fs.readFile(path.join(hooksDir, f), 'utf-8').catch(() => ''))
+  );
+  const enforcement = (await readManifest(path.join(projectDir, '.claude')))?.enforcement;
+
+  return files
+    .filter((file) => !registered.has(path.join(hooksDir, file)))
+    .filter((file) => !enforcement || resolveHookEnforcement(path.basename(file, '.sh'), enforcement) !== 'available')
+    .filter((file) => !contents.some((content, i) => files[i] !== file && content.includes(file)))
+    .map((file) => ({
+      ruleId: 'hook-orphan-script',
+      severity: 'warning',
+      message: `Hook script ${file} is not registered in settings.json, so it never runs`,
+      file: path.join(hooksDir, file),
+    }));
+}
+
+/**
+ * Check a tool matcher: it must be a valid regex, and plain tool names in it
+ * must be Claude Code tools or MCP tools
+ *
+ * @returns {Object|null} { severity, message } or null when the matcher is fine
+ */
+function checkMatcher(matcher) {
+  if (matcher === '' || matcher === '*') return null;
+
+  try {
+    new RegExp(matcher);
+  } catch {
+    return { severity: 'error', message: 'is not a valid regular expression' };
+  }
+
+  const unknown = matcher
+    .split('|')
+    .filter((name) => /^\w+$/.test(name))
+    .filter((name) => !CLAUDE_CODE_TOOLS.includes(name) && !name.startsWith('mcp__'));
+
+  if (unknown.length > 0) {
+    return { severity: 'warning', message: `names unknown tool(s): ${unknown.join(', ')}` };
+  }
+  return null;
+}
+
+/**
+ * Find the script a hook command runs
+ *
+ * @returns {Object|null} { path, direct: run without an interpreter } or null for
+ *   commands that do not run a project script
+ */
+function resolveHookScript(projectDir, command) {
+  const words = command
+    .replace(/\$\{?CLAUDE_PROJECT_DIR\}?/g, projectDir)
+    .replace(/["']/g, '')
+    .trim()
+    .split(/\s+/);
+
+  const interpreted = INTERPRETERS.includes(path.basename(words[0]));
+  const candidate = interpreted ? words.slice(1).find((w) => !w.startsWith('-')) : words[0];
+
+  // Bare commands (jq, npx ...) are looked up on PATH, not in the project
+  if (!candidate || !candidate.includes('/') || candidate.startsWith('~')) return null;
+
+  return { path: path.resolve(projectDir, candidate), direct: !interpreted };
+}
+
+/**
+ * Line number of the nth occurrence of a string, or undefined
+ */
+function lineOf(text, needle, occurrence = 1) {
+  let index = -1;
+  for (let i = 0; i < occurrence; i++) {
+    index = text.indexOf(needle, index + 1);
+    if (index === -1) return undefined;
+  }
+  return text.slice(0, index).split('\n').length;
+}
+
+export default {
+  checkReferences,
+};
@@ -0,0 +1,203 @@
+/**
+ * Report formats for CC Scaffold
+ * Turns validate/audit issues into SARIF (code scanning), JUnit XML
+ * (test report viewers) or Markdown (PR comments, job summaries)
+ */
+
+export const REPORT_FORMATS = ['sarif', 'junit', 'markdown'];
+
+// Short description of every rule id validate and audit can report
+export const RULES = {
+  'claude-dir-missing': 'The .claude/ directory does not exist',
+  'settings-missing': 'settings.json is missing',
+  'settings-invalid-json': 'settings.json is not valid JSON',
+  'settings-legacy-hooks': 'settings.json has hook entries in the legacy flat format',
+  'claude-md-missing': 'CLAUDE.md is missing from the project root',
+  'mcp-invalid-json': '.mcp.json is not valid JSON',
+  'mcp-literal-secret': '.mcp.json has a literal secret in env or args instead of a ${VAR} placeholder',
+  'skill-missing-skill-md': 'A skill directory has no SKILL.md',
+  'skills-dir-missing': 'The skills directory does not exist',
+  'official-skill-unavailable': 'An official skill recorded in the manifest is not installed',
+  'generated-file-missing': 'A file recorded in the manifest no longer exists',
+  'command-missing-description': 'A slash command has no description frontmatter',
+  'hook-not-executable': 'A hook script is not executable',
+  'hooks-dir-missing': 'The hooks directory does not exist',
+  'frontmatter-missing': 'A skill or agent file has no frontmatter block',
+  'frontmatter-unterminated': 'A frontmatter block is not closed with ---',
+  'frontmatter-missing-name': "Frontmatter has no 'name'",
+  'frontmatter-name-mismatch': 'Frontmatter name does not match the directory or file name',
+  'frontmatter-invalid-name': 'Skill name is not lowercase letters, numbers and hyphens',
+  'frontmatter-missing-description': "Frontmatter has no 'description'",
+  'frontmatter-description-too-long': 'Description is longer than Claude Code keeps',
+  'frontmatter-unknown-tool': 'An agent lists a tool Claude Code does not have',
+  'frontmatter-invalid-model': 'An agent model is not an accepted alias',
+  'reference-dangling': 'CLAUDE.md imports a file that does not exist',
+  'hook-command-missing': 'A hook registered in settings runs a script that does not exist',
+  'hook-command-not-executable': 'A hook registered in settings runs a script that is not executable',
+  'hook-orphan-script': 'A script in .claude/hooks/ is not registered in settings',
+  'hook-duplicate-registration': 'The same hook command is registered more than once for an event',
+  'hook-invalid-matcher': 'A hook matcher is not a valid regex or names an unknown tool',
+  'hook-missing-shebang': 'A hook script has no shebang line',
+  'hook-unguarded-pipeline': 'A command in a pipeline under set -e can fail unnoticed, or stop the hook under pipefail',
+  'hook-stdin-read-twice': 'A hook script reads stdin more than once',
+  'hook-nonblocking-exit-code': 'A hook exits with a code other than 0 or 2',
+  'hook-unquoted-file-path': '$FILE_PATH is used without double quotes',
+  'hook-unchecked-dependency': 'A hook runs a tool without checking it is installed',
+  'hook-config-invalid-json': 'cc-scaffold.config.json is not valid JSON',
+  'hook-config-invalid-value': 'A hook setting has the wrong type',
+  'hook-config-unknown-setting': 'A hook setting is not a parameter of that hook',
+};
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+/**
+ * Format issues as a report
+ *
+ * @param {Object[]} issues - { ruleId, severity: 'error' | 'warning' | 'info', message, file, line? }
+ * @param {string} format - sarif, junit or markdown
+ * @param {Object} options - { command: 'validate' | 'audit', version: tool version }
+ * @returns {string} Report text
+ */
+export function formatReport(issues, format, { command, version }) {
+  switch (format) {
+    case 'sarif':
+      return formatSarif(issues, version);
+    case 'junit':
+      return formatJunit(issues, command);
+    case 'markdown':
+      return formatMarkdown(issues, command);
+    default:
+      throw new Error(`Unknown format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * SARIF 2.1.0 log with one result per issue
+ */
+function formatSarif(issues, version) {
+  const ruleIds = [...new Set(issues.map((i) => i.ruleId))];
+
+  const log = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'cc-scaffold',
+            version,
+            rules: ruleIds.map((id) => ({
+              id,
+              shortDescription: { text: RULES[id] || id },
+            })),
+          },
+        },
+        results: issues.map((issue) => ({
+          ruleId: issue.ruleId,
+          ruleIndex: ruleIds.indexOf(issue.ruleId),
+          level: SARIF_LEVELS[issue.severity] || 'warning',
+          message: { text: issue.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: issue.file },
+                ...(issue.line ? { region: { startLine: issue.line } } : {}),
+              },
+            },
+          ],
+        })),
+      },
+    ],
+  };
+
+  return JSON.stringify(log, null, 2);
+}
+
+/**
+ * JUnit XML with one test case per issue; errors and warnings are failures
+ * (with type set to the severity), info issues pass with the message as output.
+ * A clean run produces a single passing test case.
+ */
+function formatJunit(issues, command) {
+  const suite = `cc-scaffold ${command}`;
+  const failures = issues.filter((i) => i.severity !== 'info').length;
+
+  const cases = issues.map((issue) => {
+    const name = escapeXml(`${issue.ruleId}: ${location(issue)}`);
+    const open = `    <testcase classname="cc-scaffold.${command}" name="${name}" file="${escapeXml(issue.file)}">`;
+    if (issue.severity === 'info') {
+      return `${open}\n      <system-out>${escapeXml(issue.message)}</system-out>\n    </testcase>`;
+    }
+    return (
+      `${open}\n` +
+      `      <failure type="${issue.severity}" message="${escapeXml(issue.message)}">${escapeXml(`${issue.severity}: ${issue.message}`)}</failure>\n` +
+      '    </testcase>'
+    );
+  });
+
+  if (cases.length === 0) {
+    cases.push(`    <testcase classname="cc-scaffold.${command}" name="configuration"/>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${suite}" tests="${cases.length}" failures="${failures}">`,
+    `  <testsuite name="${suite}" tests="${cases.length}" failures="${failures}" errors="0" skipped="0">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+  ].join('\n');
+}
+
+/**
+ * Markdown table of issues, most severe first
+ */
+function formatMarkdown(issues, command) {
+  const order = { error: 0, warning: 1, info: 2 };
+  const count = (severity) => issues.filter((i) => i.severity === severity).length;
+
+  const lines = [
+    `## cc-scaffold ${command}`,
+    '',
+    `${count('error')} error(s), ${count('warning')} warning(s), ${count('info')} info`,
+  ];
+
+  if (issues.length === 0) {
+    lines.push('', 'No issues found.');
+    return lines.join('\n');
+  }
+
+  lines.push('', '| Severity | Rule | File | Message |', '|----------|------|------|---------|');
+  for (const issue of [...issues].sort((a, b) => order[a.severity] - order[b.severity])) {
+    const cells = [issue.severity, `\`${issue.ruleId}\``, `\`${location(issue)}\``, issue.message].map((cell) =>
+      cell.replace(/\|/g, '\\|').replace(/\n/g, ' ')
+    );
+    lines.push(`| ${cells.join(' | ')} |`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * File of an issue, with its line when known
+ */
+function location(issue) {
+  return issue.line ? `${issue.file}:${issue.line}` : issue.file;
+}
+
+/**
+ * Escape text for an XML attribute or element
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default {
+  REPORT_FORMATS,
+  RULES,
+  formatReport,
+};
@@ -18,11 +18,16 @@ export async function scanProject(projectPath = process.cwd()) {
     hasDocker: false,
     hasCI: false,
     hasApi: false,
+    packageManager: null,
+    scripts: [],
+    testRunner: null,
+    commands: { test: null, testChanged: null, lint: null },
     existingClaude: false,
     existingClaudeComponents: {
       skills: [],
       agents: [],
       hooks: [],
+      commands: [],
     },
   };
 
@@ -38,6 +43,22 @@ export async function scanProject(projectPath = process.cwd()) {
     const pkg = await readJson(projectPath, 'package.json');
     detected.name = pkg.name || detected.name;
 
+    // Package manager and scripts (used for permission rules and the quality gate);
+    // the packageManager field ("pnpm@9.1.0") wins over lockfiles
+    detected.scripts = Object.keys(pkg.scripts || {});
+    const declaredManager = (pkg.packageManager || '').split('@')[0];
+    if (['npm', 'pnpm', 'yarn', 'bun'].includes(declaredManager)) {
+      detected.packageManager = declaredManager;
+    } else if (await fileExists(projectPath, 'pnpm-lock.yaml')) {
+      detected.packageManager = 'pnpm';
+    } else if (await fileExists(projectPath, 'yarn.lock')) {
+      detected.packageManager = 'yarn';
+    } else if (await fileExists(projectPath, 'bun.lockb') || await fileExists(projectPath, 'bun.lock')) {
+      detected.packageManager = 'bun';
+    } else {
+      detected.packageManager = 'npm';
+    }
+
     // Detect frameworks from dependencies
     const allDeps = { ...pkg.dependencies, ...pkg.devDependencies };
 
@@ -242,6 +263,153 @@ export async function scanProject(projectPath = process.cwd()) {
     }
   }
 
+  // Ruby
+  if (await fileExists(projectPath, 'Gemfile')) {
+    detected.languages.push('ruby');
+    detected.techStack.push('ruby');
+
+    const gemfileContent = await readFile(projectPath, 'Gemfile').catch(() => '');
+
+    if (/gem ['"]rails['"]/.test(gemfileContent)) {
+      detected.frameworks.push('rails');
+      detected.techStack.push('rails');
+      detected.projectType = 'api-service';
+      detected.hasApi = true;
+    }
+    if (/gem ['"]sinatra['"]/.test(gemfileContent)) {
+      detected.frameworks.push('sinatra');
+      detected.projectType = 'api-service';
+      detected.hasApi = true;
+    }
+    if (gemfileContent.includes('rspec') || await fileExists(projectPath, '.rspec')) {
+      detected.frameworks.push('rspec');
+      detected.techStack.push('rspec');
+      detected.hasTests = true;
+    }
+    if (gemfileContent.includes('minitest')) {
+      detected.hasTests = true;
+    }
+  }
+
+  // PHP
+  if (await fileExists(projectPath, 'composer.json')) {
+    detected.languages.push('php');
+    detected.techStack.push('php');
+
+    const composer = await readJson(projectPath, 'composer.json').catch(() => ({}));
+    const allDeps = { ...composer.require, ...composer['require-dev'] };
+
+    if (allDeps['laravel/framework']) {
+      detected.frameworks.push('laravel');
+      detected.techStack.push('laravel');
+      detected.projectType = 'api-service';
+      detected.hasApi = true;
+    }
+    if (allDeps['symfony/framework-bundle'] || allDeps['symfony/symfony']) {
+      detected.frameworks.push('symfony');
+      detected.techStack.push('symfony');
+      detected.projectType = 'api-service';
+      detected.hasApi = true;
+    }
+    if (allDeps['phpunit/phpunit'] || await fileExists(projectPath, 'phpunit.xml') ||
+        await fileExists(projectPath, 'phpunit.xml.dist')) {
+      detected.frameworks.push('phpunit');
+      detected.techStack.push('phpunit');
+      detected.hasTests = true;
+    }
+    if (allDeps['pestphp/pest']) {
+      detected.hasTests = true;
+    }
+  }
+
+  // Kotlin / Android (Kotlin build scripts, or the Kotlin plugin in a Groovy one)
+  const gradleKtsContent = await readFile(projectPath, 'build.gradle.kts').catch(() => null);
+  const gradleGroovyContent = await readFile(projectPath, 'build.gradle').catch(() => '');
+  if (gradleKtsContent !== null || gradleGroovyContent.includes('org.jetbrains.kotlin')) {
+    detected.languages.push('kotlin');
+    detected.techStack.push('kotlin');
+
+    const combined = (gradleKtsContent || '') + gradleGroovyContent;
+
+    if (combined.includes('com.android.application') || combined.includes('com.android.library') ||
+        await fileExists(projectPath, 'app/src/main/AndroidManifest.xml')) {
+      detected.frameworks.push('android');
+      detected.techStack.push('android');
+    }
+    if (combined.includes('io.ktor')) {
+      detected.frameworks.push('ktor');
+      detected.projectType = 'api-service';
+      detected.hasApi = true;
+    }
+    if (combined.includes('org.springframework.boot')) {
+      detected.frameworks.push('spring-boot');
+      detected.projectType = 'api-service';
+      detected.hasApi = true;
+    }
+    if (combined.includes('junit') || combined.includes('kotest') || await dirExists(projectPath, 'src/test')) {
+      detected.hasTests = true;
+    }
+  }
+
+  // Swift (Swift packages and Xcode projects)
+  const xcodeProjects = await glob(projectPath, '*.{xcodeproj,xcworkspace}/*', 1);
+  if (await fileExists(projectPath, 'Package.swift') || xcodeProjects.length > 0) {
+    detected.languages.push('swift');
+    detected.techStack.push('swift');
+
+    const packageContent = await readFile(projectPath, 'Package.swift').catch(() => '');
+
+    if (packageContent.includes('vapor/vapor')) {
+      detected.frameworks.push('vapor');
+      detected.projectType = 'api-service';
+      detected.hasApi = true;
+    }
+    if (xcodeProjects.length > 0) {
+      detected.frameworks.push('xcode');
+    }
+    if (packageContent.includes('.testTarget') || await dirExists(projectPath, 'Tests')) {
+      detected.hasTests = true;
+    }
+  }
+
+  // Elixir
+  if (await fileExists(projectPath, 'mix.exs')) {
+    detected.languages.push('elixir');
+    detected.techStack.push('elixir');
+
+    const mixContent = await readFile(projectPath, 'mix.exs').catch(() => '');
+
+    if (mixContent.includes(':phoenix')) {
+      detected.frameworks.push('phoenix');
+      detected.techStack.push('phoenix');
+      detected.projectType = 'api-service';
+      detected.hasApi = true;
+    }
+    if (mixContent.includes(':ecto')) {
+      detected.frameworks.push('ecto');
+    }
+    // ExUnit ships with Elixir
+    if (await dirExists(projectPath, 'test')) {
+      detected.hasTests = true;
+    }
+  }
+
+  // Dart / Flutter
+  if (await fileExists(projectPath, 'pubspec.yaml')) {
+    detected.languages.push('dart');
+    detected.techStack.push('dart');
+
+    const pubspecContent = await readFile(projectPath, 'pubspec.yaml').catch(() => '');
+
+    if (/sdk:\s*flutter/.test(pubspecContent)) {
+      detected.frameworks.push('flutter');
+      detected.techStack.push('flutter');
+    }
+    if (pubspecContent.includes('flutter_test') || /^\s+test:/m.test(pubspecContent)) {
+      detected.hasTests = true;
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // DETECT ARCHITECTURE PATTERNS
   // ─────────────────────────────────────────────────────────────────────────
@@ -361,6 +529,12 @@ export async function scanProject(projectPath = process.cwd()) {
     }
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // DETECT TEST AND LINT COMMANDS
+  // ─────────────────────────────────────────────────────────────────────────
+
+  Object.assign(detected, await detectQualityCommands(projectPath, detected));
+
   // ─────────────────────────────────────────────────────────────────────────
   // DETECT EXISTING .claude/ CONFIGURATION
   // ─────────────────────────────────────────────────────────────────────────
@@ -409,6 +583,19 @@ export async function scanProject(projectPath = process.cwd()) {
         // Directory might not exist or be accessible
       }
     }
+
+    // List existing slash commands
+    const commandsDir = path.join(projectPath, '.claude', 'commands');
+    if (await dirExists(projectPath, '.claude/commands')) {
+      try {
+        const commandFiles = await fs.readdir(commandsDir);
+        detected.existingClaudeComponents.commands = commandFiles
+          .filter(f => f.endsWith('.md'))
+          .map(f => f.replace('.md', ''));
+      } catch {
+        // Directory might not exist or be accessible
+      }
+    }
   }
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -428,6 +615,260 @@ export async function scanProject(projectPath = process.cwd()) {
 // HELPER FUNCTIONS
 // ─────────────────────────────────────────────────────────────────────────────
 
+// npm init's placeholder test script, which always fails
+const PLACEHOLDER_TEST = /no test specified/;
+
+// Test runners recognized in the test script or dependencies, with the flag
+// that limits a run to changed files (null when the runner has none)
+const NODE_TEST_RUNNERS = [
+  { name: 'vitest', packages: ['vitest'], changedFlag: '--changed' },
+  { name: 'jest', packages: ['jest'], changedFlag: '--onlyChanged' },
+  { name: 'mocha', packages: ['mocha'], changedFlag: null },
+  { name: 'ava', packages: ['ava'], changedFlag: null },
+  { name: 'playwright', packages: ['@playwright/test'], changedFlag: '--only-changed' },
+];
+
+/**
+ * Work out the commands that run the project's tests and linter, the way the
+ * project itself runs them: package scripts through the detected package
+ * manager, then Makefile targets, then each language's own tooling
+ *
+ * @returns {Object} { testRunner, commands: { test, testChanged, lint } }
+ */
+async function detectQualityCommands(projectPath, detected) {
+  const commands = { test: null, testChanged: null, lint: null };
+  let testRunner = null;
+
+  // Package scripts
+  if (detected.packageManager) {
+    const pkg = await readJson(projectPath, 'package.json').catch(() => ({}));
+    const scripts = pkg.scripts || {};
+    const pm = detected.packageManager;
+    const run = (script) => (pm === 'npm' || pm === 'bun' ? `${pm} run ${script}` : `${pm} ${script}`);
+    // npm needs -- before arguments meant for the script
+    const withArgs = (command, args) => (pm === 'npm' ? `${command} -- ${args}` : `${command} ${args}`);
+
+    if (scripts.test && !PLACEHOLDER_TEST.test(scripts.test)) {
+      // "bun test" is bun's own runner, not the test script
+      commands.test = pm === 'bun' ? 'bun run test' : `${pm} test`;
+
+      const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+      const runner =
+        NODE_TEST_RUNNERS.find((r) => new RegExp(`\\b${r.name}\\b`).test(scripts.test)) ||
+        NODE_TEST_RUNNERS.find((r) => r.packages.some((name) => deps[name]));
+      if (runner) {
+        testRunner = runner.name;
+        if (runner.changedFlag) {
+          commands.testChanged = withArgs(commands.test, runner.changedFlag);
+        }
+      } else if (/node\s+--test\b/.test(scripts.test)) {
+        testRunner = 'node';
+      }
+    }
+    if (scripts.lint) {
+      commands.lint = run('lint');
+    }
+  }
+
+  // Makefile targets
+  const makefile = await readFile(projectPath, 'Makefile').catch(() => '');
+  const hasTarget = (target) => new RegExp(`^${target}\\s*:`, 'm').test(makefile);
+  if (!commands.test && hasTarget('test')) {
+    commands.test = 'make test';
+    testRunner = 'make';
+  }
+  if (!commands.lint && hasTarget('lint')) {
+    commands.lint = 'make lint';
+  }
+
+  // Python: tox and nox drive their own environments, otherwise pytest
+  // through the project's environment manager
+  if (detected.languages.includes('python')) {
+    const prefix = (await fileExists(projectPath, 'uv.lock'))
+      ? 'uv run '
+      : (await fileExists(projectPath, 'poetry.lock'))
+        ? 'poetry run '
+        : '';
+    const pyproject = await readFile(projectPath, 'pyproject.toml').catch(() => '');
+
+    if (!commands.test) {
+      if (await fileExists(projectPath, 'tox.ini')) {
+        commands.test = 'tox';
+        testRunner = 'tox';
+      } else if (await fileExists(projectPath, 'noxfile.py')) {
+        commands.test = 'nox';
+        testRunner = 'nox';
+      } else if (
+        detected.hasTests ||
+        (await fileExists(projectPath, 'pytest.ini')) ||
+        (await fileExists(projectPath, 'conftest.py')) ||
+        (await dirExists(projectPath, 'tests'))
+      ) {
+        commands.test = `${prefix}pytest`;
+        testRunner = 'pytest';
+      }
+    }
+    if (!commands.lint) {
+      if (pyproject.includes('[tool.ruff') || (await fileExists(projectPath, 'ruff.toml'))) {
+        commands.lint = `${prefix}ruff check .`;
+      } else if (await fileExists(projectPath, '.flake8')) {
+        commands.lint = `${prefix}flake8`;
+      }
+    }
+  }
+
+  // Rust
+  if (detected.languages.includes('rust')) {
+    if (!commands.test) {
+      commands.test = 'cargo test';
+      testRunner = 'cargo';
+    }
+    if (!commands.lint) {
+      commands.lint = 'cargo clippy --quiet';
+    }
+  }
+
+  // Go
+  if (detected.languages.includes('go')) {
+    if (!commands.test) {
+      commands.test = 'go test ./...';
+      testRunner = 'go';
+    }
+    if (!commands.lint) {
+      const golangci =
+        (await fileExists(projectPath, '.golangci.yml')) || (await fileExists(projectPath, '.golangci.yaml'));
+      commands.lint = golangci ? 'golangci-lint run' : 'go vet ./...';
+    }
+  }
+
+  // .NET
+  if (!commands.test && detected.languages.includes('csharp')) {
+    commands.test = 'dotnet test';
+    testRunner = 'dotnet';
+  }
+
+  // Ruby, through Bundler: RSpec, or Minitest through Rails or Rake
+  if (detected.languages.includes('ruby')) {
+    const gemfile = await readFile(projectPath, 'Gemfile').catch(() => '');
+    if (!commands.test) {
+      if (detected.frameworks.includes('rspec') || (await dirExists(projectPath, 'spec'))) {
+        commands.test = 'bundle exec rspec';
+        testRunner = 'rspec';
+      } else if (detected.frameworks.includes('rails')) {
+        commands.test = 'bin/rails test';
+        testRunner = 'minitest';
+      } else if (await dirExists(projectPath, 'test')) {
+        commands.test = 'bundle exec rake test';
+        testRunner = 'minitest';
+      }
+    }
+    if (!commands.lint && (gemfile.includes('rubocop') || (await fileExists(projectPath, '.rubocop.yml')))) {
+      commands.lint = 'bundle exec rubocop';
+    }
+  }
+
+  // PHP: composer scripts, then the tools Composer installs in vendor/bin
+  if (detected.languages.includes('php')) {
+    const composer = await readJson(projectPath, 'composer.json').catch(() => ({}));
+    const scripts = composer.scripts || {};
+    const deps = { ...composer.require, ...composer['require-dev'] };
+    const phpRunner = deps['pestphp/pest']
+      ? 'pest'
+      : deps['phpunit/phpunit'] ||
+          (await fileExists(projectPath, 'phpunit.xml')) ||
+          (await fileExists(projectPath, 'phpunit.xml.dist'))
+        ? 'phpunit'
+        : null;
+    if (!commands.test) {
+      if (scripts.test) {
+        commands.test = 'composer test';
+      } else if (detected.frameworks.includes('laravel')) {
+        commands.test = 'php artisan test';
+      } else if (phpRunner) {
+        commands.test = `vendor/bin/${phpRunner}`;
+      }
+      if (commands.test) {
+        testRunner = phpRunner;
+      }
+    }
+    if (!commands.lint) {
+      if (scripts.lint) {
+        commands.lint = 'composer lint';
+      } else if (deps['phpstan/phpstan']) {
+        commands.lint = 'vendor/bin/phpstan analyse --no-progress';
+      } else if (deps['laravel/pint']) {
+        commands.lint = 'vendor/bin/pint --test';
+      } else if (deps['friendsofphp/php-cs-fixer']) {
+        commands.lint = 'vendor/bin/php-cs-fixer fix --dry-run --diff';
+      }
+    }
+  }
+
+  // Elixir: --stale runs only the tests of modules that changed
+  if (detected.languages.includes('elixir')) {
+    const mix = await readFile(projectPath, 'mix.exs').catch(() => '');
+    if (!commands.test) {
+      commands.test = 'mix test';
+      commands.testChanged = 'mix test --stale';
+      testRunner = 'exunit';
+    }
+    if (!commands.lint) {
+      commands.lint = mix.includes(':credo') ? 'mix credo' : 'mix format --check-formatted';
+    }
+  }
+
+  // Dart and Flutter
+  if (detected.languages.includes('dart')) {
+    const tool = detected.frameworks.includes('flutter') ? 'flutter' : 'dart';
+    if (!commands.test && detected.hasTests) {
+      commands.test = `${tool} test`;
+      testRunner = `${tool}-test`;
+    }
+    if (!commands.lint) {
+      commands.lint = `${tool} analyze`;
+    }
+  }
+
+  // Swift packages (Xcode projects need a scheme, so their tests are left to the user)
+  if (detected.languages.includes('swift')) {
+    if (!commands.test && (await fileExists(projectPath, 'Package.swift'))) {
+      commands.test = 'swift test';
+      testRunner = 'xctest';
+    }
+    if (!commands.lint && (await fileExists(projectPath, '.swiftlint.yml'))) {
+      commands.lint = 'swiftlint lint --quiet';
+    }
+  }
+
+  // Gradle and Maven, through their wrappers when the project has them
+  const gradle = (await fileExists(projectPath, 'gradlew')) ? './gradlew' : 'gradle';
+  if (!commands.test) {
+    if (await fileExists(projectPath, 'build.gradle') || await fileExists(projectPath, 'build.gradle.kts')) {
+      commands.test = `${gradle} test`;
+      testRunner = 'gradle';
+    } else if (await fileExists(projectPath, 'pom.xml')) {
+      commands.test = (await fileExists(projectPath, 'mvnw')) ? './mvnw test' : 'mvn test';
+      testRunner = 'maven';
+    }
+  }
+
+  // Kotlin linters run as Gradle tasks; Android Lint covers Android projects
+  if (!commands.lint && detected.languages.includes('kotlin')) {
+    const build =
+      (await readFile(projectPath, 'build.gradle.kts').catch(() => '')) +
+      (await readFile(projectPath, 'build.gradle').catch(() => ''));
+    if (build.includes('ktlint')) {
+      commands.lint = `${gradle} ktlintCheck`;
+    } else if (build.includes('detekt')) {
+      commands.lint = `${gradle} detekt`;
+    } else if (detected.frameworks.includes('android')) {
+      commands.lint = `${gradle} lint`;
+    }
+  }
+
+  return { testRunner, commands };
+}
+
 async function fileExists(basePath, relativePath) {
   try {
     await fs.access(path.join(basePath, relativePath));
@@ -457,7 +898,7 @@ async function readJson(basePath, relativePath) {
 
 async function glob(basePath, pattern, limit = 100) {
   try {
-    const { glob: fastGlob } = await import('fast-glob');
+    const { default: fastGlob } = await import('fast-glob');
     const results = await fastGlob(pattern, {
       cwd: basePath,
       ignore: [
@@ -516,6 +957,13 @@ export function formatScanResults(scan) {
     lines.push(`Features: ${features.join(', ')}`);
   }
 
+  if (scan.commands?.test) {
+    lines.push(`Tests: ${scan.commands.test}${scan.testRunner ? ` (${scan.testRunner})` : ''}`);
+  }
+  if (scan.commands?.lint) {
+    lines.push(`Lint: ${scan.commands.lint}`);
+  }
+
   if (scan.existingClaude) {
     lines.push('');
     lines.push('Existing .claude/ configuration:');
@@ -528,6 +976,9 @@ export function formatScanResults(scan) {
     if (scan.existingClaudeComponents.hooks.length > 0) {
       lines.push(`  Hooks: ${scan.existingClaudeComponents.hooks.join(', ')}`);
     }
+    if (scan.existingClaudeComponents.commands.length > 0) {
+      lines.push(`  Commands: ${scan.existingClaudeComponents.commands.join(', ')}`);
+    }
   }
 
   return lines.join('\n');
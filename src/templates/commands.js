@@ -0,0 +1,262 @@
+/**
+ * Slash command templates for CC Scaffold
+ * Each command is a .claude/commands/<name>.md prompt with frontmatter.
+ * $ARGUMENTS is replaced with whatever follows the command, and !`cmd`
+ * lines run before the prompt is sent (they need a matching allowed-tools entry).
+ */
+
+export const commands = {
+  'review-pr': {
+    name: 'review-pr',
+    description: 'Review a pull request or the current branch diff',
+    argumentHint: '[pr-number]',
+    content: `---
+description: Review a pull request or the current branch diff
+argument-hint: [pr-number]
+allowed-tools: Bash(git diff:*), Bash(git log:*), Bash(gh pr view:*), Bash(gh pr diff:*), Read, Grep, Glob
+---
+
+# Review Pull Request
+
+Review pull request $ARGUMENTS. If no number was given, review the current branch against the default branch.
+
+## Context
+
+- Current branch: !\`git branch --show-current\`
+- Recent commits: !\`git log --oneline -10\`
+
+## Steps
+
+1. Get the change set:
+   - With a PR number: \`gh pr view $ARGUMENTS\` and \`gh pr diff $ARGUMENTS\`
+   - Without: \`git diff origin/HEAD...HEAD\`
+2. Read the surrounding code for every changed file, not just the diff hunks
+3. Check each change for:
+   - Correctness and edge cases
+   - Security issues (input validation, secrets, injection)
+   - Missing or weak tests
+   - Consistency with the conventions in CLAUDE.md and the required skills
+4. Do not modify any files
+
+## Output Format
+
+\`\`\`
+## Summary
+[One paragraph on what the change does]
+
+## Blocking
+- file:line - issue and suggested fix
+
+## Suggestions
+- file:line - improvement
+
+## Verdict
+Approve | Request changes
+\`\`\`
+`,
+  },
+
+  'write-tests': {
+    name: 'write-tests',
+    description: 'Write tests for a file or function',
+    argumentHint: '<file-or-function>',
+    content: `---
+description: Write tests for a file or function
+argument-hint: <file-or-function>
+allowed-tools: Read, Write, Edit, Grep, Glob, Bash
+---
+
+# Write Tests
+
+Write tests for: $ARGUMENTS
+
+## Steps
+
+1. Read the code under test and find its existing test file, if any
+2. Match the project's test framework, file layout, and naming
+3. Cover:
+   - The main success path
+   - Boundary values and empty inputs
+   - Error handling and invalid input
+   - Any bug-prone branches you find while reading
+4. Follow the Arrange-Act-Assert pattern; one behavior per test
+5. Run the tests and fix failures in the tests (not the code under test) until they pass
+6. If a test exposes a real bug, stop and report it instead of changing the code
+
+## Output
+
+- The test file(s) created or updated
+- The command used to run them and the result
+- Any bugs found
+`,
+  },
+
+  'fix-issue': {
+    name: 'fix-issue',
+    description: 'Investigate and fix a GitHub issue',
+    argumentHint: '<issue-number>',
+    content: `---
+description: Investigate and fix a GitHub issue
+argument-hint: <issue-number>
+allowed-tools: Bash(gh issue view:*), Bash(git status:*), Bash(git diff:*), Read, Write, Edit, Grep, Glob, Bash
+---
+
+# Fix Issue
+
+Fix GitHub issue #$ARGUMENTS.
+
+## Steps
+
+1. Read the issue: \`gh issue view $ARGUMENTS --comments\`
+2. Reproduce the problem, or explain why it cannot be reproduced
+3. Find the root cause; do not patch symptoms
+4. Write a failing test that captures the bug
+5. Make the smallest change that fixes it
+6. Run the test suite and linters
+7. Summarize the root cause and the fix; do not commit or push
+
+## Output
+
+\`\`\`
+## Root Cause
+[What was wrong and why]
+
+## Fix
+[What changed]
+
+## Verification
+[Tests added and commands run]
+\`\`\`
+`,
+  },
+
+  'release-notes': {
+    name: 'release-notes',
+    description: 'Draft release notes from commits since a tag',
+    argumentHint: '[since-tag]',
+    content: `---
+description: Draft release notes from commits since a tag
+argument-hint: [since-tag]
+allowed-tools: Bash(git describe:*), Bash(git log:*), Bash(git tag:*), Read
+---
+
+# Release Notes
+
+Draft release notes for the changes since $ARGUMENTS. If no tag was given, use the latest tag.
+
+## Steps
+
+1. Find the latest tag (\`git describe --tags --abbrev=0\`) and list the commits: \`git log --oneline <tag>..HEAD\`
+2. Group them by type (features, fixes, breaking changes, other)
+3. Rewrite each entry for users: describe the effect, not the implementation
+4. Call out breaking changes and required migration steps first
+5. Skip merge commits, version bumps, and internal-only changes
+6. Match the format of the existing CHANGELOG.md if there is one
+
+## Output Format
+
+\`\`\`markdown
+## [Unreleased]
+
+### Breaking Changes
+- ...
+
+### Added
+- ...
+
+### Fixed
+- ...
+\`\`\`
+`,
+  },
+
+  'explain': {
+    name: 'explain',
+    description: 'Explain how a file, module, or flow works',
+    argumentHint: '<path-or-topic>',
+    content: `---
+description: Explain how a file, module, or flow works
+argument-hint: <path-or-topic>
+allowed-tools: Read, Grep, Glob
+---
+
+# Explain
+
+Explain: $ARGUMENTS
+
+## Steps
+
+1. Find the relevant entry points and read them
+2. Follow the main flow through the code, noting the files involved
+3. Identify the key data structures and where state changes
+4. Note anything surprising: side effects, hidden coupling, known TODOs
+
+## Output
+
+- A short overview (2-3 sentences)
+- The flow as a numbered list with file:line references
+- Gotchas a new contributor should know
+`,
+  },
+
+  'add-migration': {
+    name: 'add-migration',
+    description: 'Create a database migration for a schema change',
+    argumentHint: '<change-description>',
+    content: `---
+description: Create a database migration for a schema change
+argument-hint: <change-description>
+allowed-tools: Read, Write, Edit, Grep, Glob, Bash
+---
+
+# Add Migration
+
+Create a migration for: $ARGUMENTS
+
+## Steps
+
+1. Find the project's migration tool and existing migrations
+2. Generate the migration with the project's own tooling (do not hand-number files)
+3. Write both the up and the down step
+4. For existing data:
+   - Add columns as nullable or with a default
+   - Backfill in a separate step from constraint changes
+   - Never drop a column that running code still reads
+5. Update models/entities to match
+6. Do not apply the migration to any shared database
+
+## Output
+
+- The migration file(s)
+- Whether it is safe to deploy before the code change
+- Rollback steps
+`,
+  },
+};
+
+/**
+ * Get command template by name
+ */
+export function getCommand(name) {
+  return commands[name];
+}
+
+/**
+ * Get all command names
+ */
+export function getCommandNames() {
+  return Object.keys(commands);
+}
+
+/**
+ * Get command list with metadata
+ */
+export function getCommandList() {
+  return Object.values(commands).map(command => ({
+    name: command.name,
+    description: command.description,
+    argumentHint: command.argumentHint,
+  }));
+}
+
+export default commands;
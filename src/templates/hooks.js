@@ -1,31 +1,251 @@
 /**
  * Hook templates for CC Scaffold
  * Each hook is a bash script with proper exit codes (0 = pass, 2 = block with message)
+ *
+ * Claude Code sends the hook input as JSON on stdin:
+ *   { session_id, transcript_path, cwd, hook_event_name, tool_name, tool_input, ... }
+ * Write passes tool_input.content, Edit passes tool_input.old_string/new_string/replace_all
+ * and MultiEdit passes tool_input.edits[] of the same shape. On exit 2, stderr is fed
+ * back to Claude, so blocking messages are written there.
  */
 
+// Read stdin once for tool events; every field lookup needs jq
+const readToolInput = `# Read the hook payload (JSON on stdin) exactly once
+INPUT=$(cat)
+
+if ! command -v jq >/dev/null 2>&1; then
+  echo "jq not found; skipping hook" >&2
+  exit 0
+fi
+
+TOOL_NAME=$(printf '%s' "$INPUT" | jq -r '.tool_name // empty')
+FILE_PATH=$(printf '%s' "$INPUT" | jq -r '.tool_input.file_path // empty')
+PROJECT_DIR="\${CLAUDE_PROJECT_DIR:-$(printf '%s' "$INPUT" | jq -r '.cwd // empty')}"
+cd "\${PROJECT_DIR:-.}"`;
+
+// Read stdin once for session/stop events; jq is optional here
+const readEventInput = `# Read the hook payload (JSON on stdin) exactly once
+INPUT=$(cat)
+
+PROJECT_DIR="\${CLAUDE_PROJECT_DIR:-}"
+STOP_HOOK_ACTIVE=false
+if command -v jq >/dev/null 2>&1; then
+  PROJECT_DIR="\${PROJECT_DIR:-$(printf '%s' "$INPUT" | jq -r '.cwd // empty')}"
+  STOP_HOOK_ACTIVE=$(printf '%s' "$INPUT" | jq -r '.stop_hook_active // false')
+fi
+cd "\${PROJECT_DIR:-.}"`;
+
+// Only the text a Write/Edit/MultiEdit call introduces
+const extractNewText = `# Text being introduced: Write content, Edit new_string, MultiEdit edits[].new_string
+NEW_TEXT=$(printf '%s' "$INPUT" | jq -r '
+  if .tool_name == "Write" then .tool_input.content // ""
+  elif .tool_name == "Edit" then .tool_input.new_string // ""
+  elif .tool_name == "MultiEdit" then [.tool_input.edits[]?.new_string // ""] | join("\\n")
+  else "" end')`;
+
+// The whole file as it will look once a Write/Edit/MultiEdit call is applied
+const extractProposedContent = `# File content after the change: Write replaces it, Edit/MultiEdit patch the current file
+CURRENT_FILE=/dev/null
+if [ -f "$FILE_PATH" ]; then
+  CURRENT_FILE="$FILE_PATH"
+fi
+PROPOSED=$(printf '%s' "$INPUT" | jq -r --rawfile current "$CURRENT_FILE" '
+  def apply_edit($e):
+    if ($e.old_string // "") == "" then $e.new_string // ""
+    elif ($e.replace_all // false) then split($e.old_string) | join($e.new_string)
+    else split($e.old_string) as $parts
+      | if ($parts | length) > 1
+        then $parts[0] + $e.new_string + ($parts[1:] | join($e.old_string))
+        else $parts | join($e.old_string) end
+    end;
+  . as $in
+  | if $in.tool_name == "Write" then $in.tool_input.content // ""
+    elif $in.tool_name == "Edit" then $current | apply_edit($in.tool_input)
+    elif $in.tool_name == "MultiEdit" then reduce ($in.tool_input.edits // [])[] as $e ($current; apply_edit($e))
+    else "" end')`;
+
+// Typed parameters: { key, variable, type: number | string | boolean | list, default, description }.
+// Values come from .claude/cc-scaffold.config.json (see hook-config.js).
+const hookParams = {
+  'quality-gate': [
+    {
+      key: 'testCommand',
+      variable: 'TEST_COMMAND',
+      type: 'string',
+      default: '',
+      description: 'Command that runs the tests',
+    },
+    {
+      key: 'lintCommand',
+      variable: 'LINT_COMMAND',
+      type: 'string',
+      default: '',
+      description: 'Command that runs the linter',
+    },
+    {
+      key: 'changedTestCommand',
+      variable: 'CHANGED_TEST_COMMAND',
+      type: 'string',
+      default: '',
+      description: 'Command that tests only what changed, used in changed-only mode',
+    },
+    {
+      key: 'changedOnly',
+      variable: 'CHANGED_ONLY',
+      type: 'boolean',
+      default: false,
+      description: 'Skip the gate when nothing changed, and run the changed-files test command',
+    },
+    {
+      key: 'timeBudget',
+      variable: 'TIME_BUDGET',
+      type: 'number',
+      default: 0,
+      description: 'Seconds the checks may take before they are stopped without blocking (0: no limit)',
+    },
+    {
+      key: 'logLines',
+      variable: 'LOG_LINES',
+      type: 'number',
+      default: 40,
+      description: 'Lines of failure output shown to Claude',
+    },
+  ],
+  'layer-violation-blocker': [
+    {
+      key: 'domainPattern',
+      variable: 'DOMAIN_PATTERN',
+      type: 'string',
+      default: '(domain|entities|core)/|Domain|Entities|Core',
+      description: 'Extended regex matching Domain layer paths and imports',
+    },
+    {
+      key: 'applicationPattern',
+      variable: 'APPLICATION_PATTERN',
+      type: 'string',
+      default: '(application|usecases|services)/|Application|UseCases|Services',
+      description: 'Extended regex matching Application layer paths and imports',
+    },
+    {
+      key: 'infrastructurePattern',
+      variable: 'INFRASTRUCTURE_PATTERN',
+      type: 'string',
+      default: '(infrastructure|data|repositories|persistence)/|Infrastructure|Data|Repositories',
+      description: 'Extended regex matching Infrastructure layer paths and imports',
+    },
+    {
+      key: 'presentationPattern',
+      variable: 'PRESENTATION_PATTERN',
+      type: 'string',
+      default: '(presentation|ui|api|controllers|web)/|Presentation|Controllers|Api|Web',
+      description: 'Extended regex matching Presentation layer paths and imports',
+    },
+  ],
+  'large-file-warning': [
+    { key: 'warnLines', variable: 'WARN_LINES', type: 'number', default: 500, description: 'Warn above this many lines' },
+    { key: 'blockLines', variable: 'BLOCK_LINES', type: 'number', default: 1000, description: 'Block above this many lines' },
+  ],
+  'branch-protection': [
+    {
+      key: 'protectedBranches',
+      variable: 'PROTECTED_BRANCHES',
+      type: 'list',
+      default: ['main', 'master', 'production', 'prod', 'release'],
+      description: 'Branches that cannot be committed or pushed to directly',
+    },
+  ],
+};
+
+/**
+ * Quote a value for bash
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * A parameter value as a bash assignment right-hand side
+ */
+function shellValue(param, value) {
+  if (param.type === 'list') return `(${value.map(shellQuote).join(' ')})`;
+  if (param.type === 'string') return shellQuote(value);
+  return String(value);
+}
+
+/**
+ * Bash that sets a hook's parameters: first the defaults (rewritten by
+ * renderHook with the project's values), then whatever
+ * .claude/cc-scaffold.config.json says when it is readable with jq. Runs
+ * after the input snippet has changed into the project directory.
+ */
+function readSettings(name) {
+  const params = hookParams[name];
+  const lines = [
+    '# Settings: the values below are the defaults; hooks["' + name + '"] in',
+    '# .claude/cc-scaffold.config.json overrides them',
+    ...params.map((param) => `${param.variable}=${shellValue(param, param.default)}`),
+    '',
+    'HOOK_CONFIG=".claude/cc-scaffold.config.json"',
+    '# Succeeds when the config sets key $1 to a value of JSON type $2 (false and "" included)',
+    'has_setting() {',
+    '  [ -f "$HOOK_CONFIG" ] && command -v jq >/dev/null 2>&1 &&',
+    `    jq -e --arg key "$1" --arg type "$2" '.hooks["${name}"] | type == "object" and has($key) and (.[$key] | type) == $type' "$HOOK_CONFIG" >/dev/null 2>&1`,
+    '}',
+    'hook_setting() {',
+    `  jq -r --arg key "$1" '.hooks["${name}"][$key] | if type == "array" then .[] else . end' "$HOOK_CONFIG" 2>/dev/null || true`,
+    '}',
+    '',
+  ];
+
+  // Configured values of the wrong type are ignored
+  for (const { key, variable, type } of params) {
+    if (type === 'list') {
+      lines.push(
+        `if has_setting ${key} array; then`,
+        `  ${variable}=()`,
+        `  while IFS= read -r value; do ${variable}+=("$value"); done < <(hook_setting ${key})`,
+        'fi'
+      );
+    } else if (type === 'number') {
+      lines.push(
+        `if has_setting ${key} number; then`,
+        `  value=$(hook_setting ${key})`,
+        '  case "$value" in',
+        "    ''|*[!0-9]*) ;;",
+        `    *) ${variable}="$value" ;;`,
+        '  esac',
+        'fi'
+      );
+    } else {
+      lines.push(`if has_setting ${key} ${type}; then`, `  ${variable}=$(hook_setting ${key})`, 'fi');
+    }
+  }
+
+  return lines.join('\n');
+}
+
 export const hooks = {
   'pre-commit-lint': {
     name: 'pre-commit-lint',
     description: 'Run linter before file writes',
     event: 'PreToolUse',
-    matcher: 'Write|Edit',
+    matcher: 'Write|Edit|MultiEdit',
     content: `#!/bin/bash
 # Pre-commit Linting Hook
-# Event: PreToolUse (Write|Edit)
-# Purpose: Run linter on files before allowing writes
+# Event: PreToolUse (Write|Edit|MultiEdit)
+# Purpose: Lint the file content a write would produce before allowing it
 # Exit codes: 0 = pass, 2 = block with message
 
 set -e
 
-# Get the file path from the tool input (passed via stdin as JSON)
-INPUT=$(cat)
-FILE_PATH=$(echo "$INPUT" | jq -r '.file_path // .path // empty')
+${readToolInput}
 
 if [ -z "$FILE_PATH" ]; then
-  echo "No file path provided"
   exit 0
 fi
 
+${extractProposedContent}
+
 # Get file extension
 EXT="\${FILE_PATH##*.}"
 
@@ -34,45 +254,112 @@ command_exists() {
   command -v "$1" >/dev/null 2>&1
 }
 
-# Run appropriate linter based on file type
+# Report lint output to Claude and block
+block() {
+  echo "$1 in $FILE_PATH" >&2
+  echo "$2" | head -n 40 >&2
+  exit 2
+}
+
+# Run appropriate linter on the proposed content (linters read it from stdin)
 case "$EXT" in
   js|jsx|ts|tsx|mjs|cjs)
     if command_exists eslint; then
-      if ! eslint "$FILE_PATH" --quiet 2>/dev/null; then
-        echo "ESLint errors found in $FILE_PATH"
-        echo "Run 'npx eslint $FILE_PATH --fix' to auto-fix"
-        exit 2
+      STATUS=0
+      OUTPUT=$(printf '%s\\n' "$PROPOSED" | eslint --stdin --stdin-filename "$FILE_PATH" --quiet 2>&1) || STATUS=$?
+      # 1 = lint errors; 2 = ESLint configuration problem, not the file's fault
+      if [ "$STATUS" -eq 1 ]; then
+        block "ESLint errors found" "$OUTPUT"
       fi
     fi
     ;;
   py)
     if command_exists ruff; then
-      if ! ruff check "$FILE_PATH" --quiet 2>/dev/null; then
-        echo "Ruff errors found in $FILE_PATH"
-        echo "Run 'ruff check $FILE_PATH --fix' to auto-fix"
-        exit 2
+      STATUS=0
+      OUTPUT=$(printf '%s\\n' "$PROPOSED" | ruff check --quiet --stdin-filename "$FILE_PATH" - 2>&1) || STATUS=$?
+      if [ "$STATUS" -eq 1 ]; then
+        block "Ruff errors found" "$OUTPUT"
       fi
     elif command_exists flake8; then
-      if ! flake8 "$FILE_PATH" --quiet 2>/dev/null; then
-        echo "Flake8 errors found in $FILE_PATH"
-        exit 2
+      STATUS=0
+      OUTPUT=$(printf '%s\\n' "$PROPOSED" | flake8 --stdin-display-name "$FILE_PATH" - 2>&1) || STATUS=$?
+      if [ "$STATUS" -eq 1 ]; then
+        block "Flake8 errors found" "$OUTPUT"
       fi
     fi
     ;;
   cs)
     if command_exists dotnet; then
-      if ! dotnet format --verify-no-changes "$FILE_PATH" 2>/dev/null; then
-        echo "C# formatting issues found in $FILE_PATH"
-        echo "Run 'dotnet format' to fix"
-        exit 2
+      # dotnet format has no stdin mode; check a copy in a scratch folder
+      SCRATCH=$(mktemp -d)
+      trap 'rm -rf "$SCRATCH"' EXIT
+      printf '%s\\n' "$PROPOSED" > "$SCRATCH/$(basename "$FILE_PATH")"
+      if ! OUTPUT=$(dotnet format whitespace "$SCRATCH" --folder --verify-no-changes 2>&1); then
+        block "C# formatting issues found" "$OUTPUT"
       fi
     fi
     ;;
   go)
-    if command_exists golangci-lint; then
-      if ! golangci-lint run "$FILE_PATH" 2>/dev/null; then
-        echo "Go lint errors found in $FILE_PATH"
-        exit 2
+    if command_exists gofmt; then
+      if ! OUTPUT=$(printf '%s\\n' "$PROPOSED" | gofmt -e 2>&1 >/dev/null); then
+        block "Go syntax errors found" "$OUTPUT"
+      fi
+    fi
+    ;;
+  rb|rake)
+    if command_exists rubocop; then
+      STATUS=0
+      OUTPUT=$(printf '%s\\n' "$PROPOSED" | rubocop --stdin "$FILE_PATH" --format simple --fail-level error --display-only-fail-level-offenses 2>&1) || STATUS=$?
+      # 1 = offenses; 2 = RuboCop itself failed
+      if [ "$STATUS" -eq 1 ]; then
+        block "RuboCop errors found" "$OUTPUT"
+      fi
+    elif command_exists ruby; then
+      if ! OUTPUT=$(printf '%s\\n' "$PROPOSED" | ruby -c 2>&1 >/dev/null); then
+        block "Ruby syntax errors found" "$OUTPUT"
+      fi
+    fi
+    ;;
+  php)
+    if command_exists php; then
+      if ! OUTPUT=$(printf '%s\\n' "$PROPOSED" | php -l 2>&1); then
+        block "PHP syntax errors found" "$OUTPUT"
+      fi
+    fi
+    ;;
+  kt|kts)
+    if command_exists ktlint; then
+      STATUS=0
+      OUTPUT=$(printf '%s\\n' "$PROPOSED" | ktlint --stdin 2>&1) || STATUS=$?
+      if [ "$STATUS" -eq 1 ]; then
+        block "ktlint errors found" "$OUTPUT"
+      fi
+    fi
+    ;;
+  swift)
+    if command_exists swiftlint; then
+      STATUS=0
+      OUTPUT=$(printf '%s\\n' "$PROPOSED" | swiftlint lint --use-stdin --quiet 2>&1) || STATUS=$?
+      # 2 = error-level violations; 1 = SwiftLint itself failed
+      if [ "$STATUS" -eq 2 ]; then
+        block "SwiftLint errors found" "$OUTPUT"
+      fi
+    fi
+    ;;
+  ex|exs)
+    if command_exists elixir; then
+      if ! OUTPUT=$(printf '%s\\n' "$PROPOSED" | elixir -e 'Code.string_to_quoted!(IO.read(:stdio, :eof))' 2>&1 >/dev/null); then
+        block "Elixir syntax errors found" "$OUTPUT"
+      fi
+    fi
+    ;;
+  dart)
+    if command_exists dart; then
+      STATUS=0
+      OUTPUT=$(printf '%s\\n' "$PROPOSED" | dart format --output=none --stdin-name "$FILE_PATH" 2>&1) || STATUS=$?
+      # 65 = the file does not parse; formatting is left to post-edit-format
+      if [ "$STATUS" -eq 65 ]; then
+        block "Dart syntax errors found" "$OUTPUT"
       fi
     fi
     ;;
@@ -90,18 +377,16 @@ exit 0
     name: 'post-edit-format',
     description: 'Auto-format files after editing',
     event: 'PostToolUse',
-    matcher: 'Write|Edit',
+    matcher: 'Write|Edit|MultiEdit',
     content: `#!/bin/bash
 # Post-edit Formatting Hook
-# Event: PostToolUse (Write|Edit)
+# Event: PostToolUse (Write|Edit|MultiEdit)
 # Purpose: Auto-format files after writing
 # Exit codes: 0 = success
 
 set -e
 
-# Get the file path from the tool input
-INPUT=$(cat)
-FILE_PATH=$(echo "$INPUT" | jq -r '.file_path // .path // empty')
+${readToolInput}
 
 if [ -z "$FILE_PATH" ]; then
   exit 0
@@ -155,6 +440,48 @@ case "$EXT" in
       echo "Formatted $FILE_PATH with rustfmt"
     fi
     ;;
+  rb|rake)
+    if command_exists rubocop; then
+      rubocop -a "$FILE_PATH" >/dev/null 2>&1 || true
+      echo "Formatted $FILE_PATH with RuboCop"
+    fi
+    ;;
+  php)
+    if command_exists php-cs-fixer; then
+      php-cs-fixer fix "$FILE_PATH" --quiet 2>/dev/null || true
+      echo "Formatted $FILE_PATH with PHP CS Fixer"
+    elif command_exists pint; then
+      pint "$FILE_PATH" --quiet 2>/dev/null || true
+      echo "Formatted $FILE_PATH with Pint"
+    fi
+    ;;
+  kt|kts)
+    if command_exists ktlint; then
+      ktlint --format "$FILE_PATH" >/dev/null 2>&1 || true
+      echo "Formatted $FILE_PATH with ktlint"
+    fi
+    ;;
+  swift)
+    if command_exists swiftformat; then
+      swiftformat "$FILE_PATH" --quiet 2>/dev/null || true
+      echo "Formatted $FILE_PATH with SwiftFormat"
+    elif command_exists swift-format; then
+      swift-format format -i "$FILE_PATH" 2>/dev/null || true
+      echo "Formatted $FILE_PATH with swift-format"
+    fi
+    ;;
+  ex|exs|heex)
+    if command_exists mix; then
+      mix format "$FILE_PATH" 2>/dev/null || true
+      echo "Formatted $FILE_PATH with mix format"
+    fi
+    ;;
+  dart)
+    if command_exists dart; then
+      dart format "$FILE_PATH" >/dev/null 2>&1 || true
+      echo "Formatted $FILE_PATH with dart format"
+    fi
+    ;;
 esac
 
 exit 0
@@ -174,6 +501,8 @@ exit 0
 
 set -e
 
+${readEventInput}
+
 CLAUDE_DIR=".claude"
 
 echo ""
@@ -216,7 +545,7 @@ fi
 if [ -f "$CLAUDE_DIR/settings.json" ]; then
   echo "🪝 Active Hooks:"
   if command -v jq >/dev/null 2>&1; then
-    jq -r '.hooks | to_entries[] | "   • \\(.key): \\(.value | length) hook(s)"' "$CLAUDE_DIR/settings.json" 2>/dev/null || true
+    jq -r '.hooks | to_entries[] | "   • \\(.key): \\([.value[].hooks[]?] | length) hook(s)"' "$CLAUDE_DIR/settings.json" 2>/dev/null || true
   else
     echo "   • (install jq for detailed hook info)"
   fi
@@ -238,98 +567,138 @@ exit 0
 
   'quality-gate': {
     name: 'quality-gate',
-    description: 'Verify tests pass before session completion',
+    description: "Run the project's tests and linter before session completion",
     event: 'Stop',
     matcher: '*',
+    timeout: 300,
+    params: hookParams['quality-gate'],
     content: `#!/bin/bash
 # Quality Gate Hook
 # Event: Stop
-# Purpose: Verify tests pass before allowing session to complete
+# Purpose: Verify the project's tests and linter pass before the session completes
 # Exit codes: 0 = pass, 2 = block with message
+# Arguments: --changed-only (same as the changedOnly setting)
 
 set -e
 
-echo "🔍 Running quality gate checks..."
+${readEventInput}
 
-# Determine project type and run appropriate tests
-run_tests() {
-  # Node.js project
-  if [ -f "package.json" ]; then
-    if command -v npm >/dev/null 2>&1; then
-      if grep -q '"test"' package.json; then
-        echo "Running npm test..."
-        if ! npm test --silent 2>/dev/null; then
-          echo ""
-          echo "❌ Tests failed!"
-          echo ""
-          echo "Please fix failing tests before completing this session."
-          echo "Run 'npm test' to see details."
-          return 1
-        fi
-        echo "✅ npm tests passed"
-      fi
-    fi
-    return 0
+# Claude is already continuing because this gate blocked once; don't loop forever
+if [ "$STOP_HOOK_ACTIVE" = "true" ]; then
+  exit 0
+fi
+
+${readSettings('quality-gate')}
+
+if [ "\${1:-}" = "--changed-only" ]; then
+  CHANGED_ONLY=true
+fi
+
+# Files changed since the last commit, including new untracked files
+changed_files() {
+  if command -v git >/dev/null 2>&1 && git rev-parse --git-dir >/dev/null 2>&1; then
+    git diff --name-only HEAD 2>/dev/null || true
+    git ls-files --others --exclude-standard 2>/dev/null || true
   fi
+}
 
-  # Python project
-  if [ -f "requirements.txt" ] || [ -f "pyproject.toml" ] || [ -f "setup.py" ]; then
-    if command -v pytest >/dev/null 2>&1; then
-      echo "Running pytest..."
-      if ! pytest --quiet 2>/dev/null; then
-        echo ""
-        echo "❌ Tests failed!"
-        echo ""
-        echo "Please fix failing tests before completing this session."
-        echo "Run 'pytest -v' to see details."
-        return 1
-      fi
-      echo "✅ pytest tests passed"
-    fi
-    return 0
+if [ "$CHANGED_ONLY" = "true" ]; then
+  if [ -z "$(changed_files)" ]; then
+    echo "✅ No changed files; quality gate skipped"
+    exit 0
   fi
+  if [ -n "$CHANGED_TEST_COMMAND" ]; then
+    TEST_COMMAND="$CHANGED_TEST_COMMAND"
+  fi
+fi
 
-  # .NET project
-  if ls *.csproj >/dev/null 2>&1 || ls *.sln >/dev/null 2>&1; then
-    if command -v dotnet >/dev/null 2>&1; then
-      echo "Running dotnet test..."
-      if ! dotnet test --verbosity quiet 2>/dev/null; then
-        echo ""
-        echo "❌ Tests failed!"
-        echo ""
-        echo "Please fix failing tests before completing this session."
-        echo "Run 'dotnet test' to see details."
-        return 1
-      fi
-      echo "✅ dotnet tests passed"
-    fi
+if [ -z "$TEST_COMMAND" ] && [ -z "$LINT_COMMAND" ]; then
+  echo "ℹ️  No test or lint command configured (set testCommand in $HOOK_CONFIG)"
+  exit 0
+fi
+
+# The time budget needs timeout (coreutils; gtimeout on macOS)
+TIMEOUT_BIN=""
+if [ "$TIME_BUDGET" -gt 0 ]; then
+  TIMEOUT_BIN=$(command -v timeout || command -v gtimeout || true)
+fi
+
+ESC=$(printf '\\033')
+LOG_FILE=$(mktemp)
+trap 'rm -f "$LOG_FILE"' EXIT
+
+# Run one check, keeping its output to show if it fails
+# Returns 0 = passed or skipped, 1 = failed, 3 = out of time
+run_check() {
+  local label="$1"
+  local command="$2"
+  local status=0
+
+  # A runner that is not installed is skipped, like the tools of other hooks.
+  # The runner is the first word after any VAR=value assignments; commands
+  # that start some other way (a subshell, quotes) are run as they are
+  local program
+  program=$(printf '%s\\n' "$command" | sed -E 's/^[[:space:]]*([A-Za-z_][A-Za-z0-9_]*=[^[:space:]]*[[:space:]]+)*//; s/[[:space:]].*$//')
+  if printf '%s' "$program" | grep -qE '^[A-Za-z0-9_./+-]+$' && ! command -v "$program" >/dev/null 2>&1; then
+    echo "⚠️  $label skipped: $program is not installed (run: $command)"
     return 0
   fi
 
-  # Go project
-  if [ -f "go.mod" ]; then
-    if command -v go >/dev/null 2>&1; then
-      echo "Running go test..."
-      if ! go test ./... -short 2>/dev/null; then
-        echo ""
-        echo "❌ Tests failed!"
-        echo ""
-        echo "Please fix failing tests before completing this session."
-        echo "Run 'go test ./... -v' to see details."
-        return 1
-      fi
-      echo "✅ go tests passed"
+  echo "Running $command..."
+  if [ -n "$TIMEOUT_BIN" ]; then
+    local remaining=$((TIME_BUDGET - SECONDS))
+    if [ "$remaining" -le 0 ]; then
+      return 3
     fi
-    return 0
+    "$TIMEOUT_BIN" "$remaining" bash -c "$command" >"$LOG_FILE" 2>&1 || status=$?
+    if [ "$status" -eq 124 ]; then
+      return 3
+    fi
+  else
+    bash -c "$command" >"$LOG_FILE" 2>&1 || status=$?
   fi
 
-  # No recognized project type
-  echo "ℹ️  No test framework detected"
+  if [ "$status" -ne 0 ]; then
+    # Stderr goes back to Claude: the end of the log, without color codes
+    {
+      echo ""
+      echo "❌ $label failed (exit $status): $command"
+      echo ""
+      echo "Last $LOG_LINES lines of output:"
+      tail -n "$LOG_LINES" "$LOG_FILE" 2>/dev/null | sed "s/$ESC\\[[0-9;]*m//g"
+    } >&2
+    return 1
+  fi
+
+  echo "✅ $label passed"
   return 0
 }
 
-# Run the tests
-if ! run_tests; then
+echo "🔍 Running quality gate checks..."
+
+FAILED=false
+for check in "Tests|$TEST_COMMAND" "Lint|$LINT_COMMAND"; do
+  label="\${check%%|*}"
+  command="\${check#*|}"
+  if [ -z "$command" ]; then
+    continue
+  fi
+
+  status=0
+  run_check "$label" "$command" || status=$?
+  if [ "$status" -eq 3 ]; then
+    # A slow suite should not hold the session hostage
+    echo "⏱️  Time budget of \${TIME_BUDGET}s used up during: $command; not blocking"
+    exit 0
+  fi
+  if [ "$status" -ne 0 ]; then
+    FAILED=true
+  fi
+done
+
+if [ "$FAILED" = "true" ]; then
+  echo "" >&2
+  echo "Please fix these failures before completing this session." >&2
   exit 2
 fi
 
@@ -343,21 +712,20 @@ exit 0
     name: 'secrets-scanner',
     description: 'Block commits containing secrets',
     event: 'PreToolUse',
-    matcher: 'Write',
+    matcher: 'Write|Edit|MultiEdit',
     content: `#!/bin/bash
 # Secrets Scanner Hook
-# Event: PreToolUse (Write)
+# Event: PreToolUse (Write|Edit|MultiEdit)
 # Purpose: Detect and block writes containing potential secrets
 # Exit codes: 0 = pass, 2 = block with message
 
 set -e
 
-# Get the content being written
-INPUT=$(cat)
-CONTENT=$(echo "$INPUT" | jq -r '.content // empty')
-FILE_PATH=$(echo "$INPUT" | jq -r '.file_path // .path // empty')
+${readToolInput}
 
-if [ -z "$CONTENT" ]; then
+${extractNewText}
+
+if [ -z "$NEW_TEXT" ]; then
   exit 0
 fi
 
@@ -372,7 +740,7 @@ esac
 PATTERNS=(
   # AWS
   'AKIA[0-9A-Z]{16}'
-  'aws_secret_access_key\s*=\s*[A-Za-z0-9/+=]{40}'
+  'aws_secret_access_key\\s*=\\s*[A-Za-z0-9/+=]{40}'
 
   # Generic API keys
   'api[_-]?key\\s*[=:]\\s*["'"'"'][A-Za-z0-9_-]{20,}["'"'"']'
@@ -398,40 +766,42 @@ PATTERNS=(
   '(postgres|mysql|mongodb)://[^:]+:[^@]+@'
 
   # JWT tokens (potential)
-  'eyJ[A-Za-z0-9_-]*\.eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]*'
+  'eyJ[A-Za-z0-9_-]*\\.eyJ[A-Za-z0-9_-]*\\.[A-Za-z0-9_-]*'
 )
 
-# Check content against patterns
+# Check new text against patterns (-e: some patterns start with a dash)
 FOUND_SECRETS=()
 
 for pattern in "\${PATTERNS[@]}"; do
-  if echo "$CONTENT" | grep -qE "$pattern" 2>/dev/null; then
-    # Get matching line for context (first match only)
-    MATCH=$(echo "$CONTENT" | grep -oE "$pattern" | head -1)
+  if printf '%s\\n' "$NEW_TEXT" | grep -qE -e "$pattern" 2>/dev/null; then
+    # Get matching text for context (first match only)
+    MATCH=$(printf '%s\\n' "$NEW_TEXT" | grep -oE -e "$pattern" | head -1 || true)
     FOUND_SECRETS+=("$MATCH")
   fi
 done
 
-# If secrets found, block the write
+# If secrets found, block the write (stderr is shown to Claude)
 if [ \${#FOUND_SECRETS[@]} -gt 0 ]; then
-  echo ""
-  echo "🚨 POTENTIAL SECRETS DETECTED!"
-  echo ""
-  echo "File: $FILE_PATH"
-  echo ""
-  echo "Found patterns that may be secrets:"
-  for secret in "\${FOUND_SECRETS[@]}"; do
-    # Partially mask the secret
-    MASKED=$(echo "$secret" | sed 's/\\(.\\{10\\}\\).*\\(.\\{4\\}\\)/\\1***\\2/')
-    echo "  • $MASKED"
-  done
-  echo ""
-  echo "If these are not secrets, consider:"
-  echo "  • Using environment variables"
-  echo "  • Adding to .gitignore"
-  echo "  • Using a secrets manager"
-  echo ""
-  echo "To proceed anyway, remove or replace the sensitive values."
+  {
+    echo ""
+    echo "🚨 POTENTIAL SECRETS DETECTED!"
+    echo ""
+    echo "File: $FILE_PATH ($TOOL_NAME)"
+    echo ""
+    echo "Found patterns that may be secrets:"
+    for secret in "\${FOUND_SECRETS[@]}"; do
+      # Partially mask the secret
+      MASKED=$(echo "$secret" | sed 's/\\(.\\{10\\}\\).*\\(.\\{4\\}\\)/\\1***\\2/')
+      echo "  • $MASKED"
+    done
+    echo ""
+    echo "If these are not secrets, consider:"
+    echo "  • Using environment variables"
+    echo "  • Adding to .gitignore"
+    echo "  • Using a secrets manager"
+    echo ""
+    echo "To proceed anyway, remove or replace the sensitive values."
+  } >&2
   exit 2
 fi
 
@@ -443,59 +813,65 @@ exit 0
     name: 'layer-violation-blocker',
     description: 'Block Clean Architecture layer violations',
     event: 'PreToolUse',
-    matcher: 'Write',
+    matcher: 'Write|Edit|MultiEdit',
+    params: hookParams['layer-violation-blocker'],
     content: `#!/bin/bash
 # Layer Violation Blocker Hook
-# Event: PreToolUse (Write)
+# Event: PreToolUse (Write|Edit|MultiEdit)
 # Purpose: Enforce Clean Architecture layer dependencies
 # Exit codes: 0 = pass, 2 = block with message
 
 set -e
 
-# Get the file path and content
-INPUT=$(cat)
-FILE_PATH=$(echo "$INPUT" | jq -r '.file_path // .path // empty')
-CONTENT=$(echo "$INPUT" | jq -r '.content // empty')
+${readToolInput}
+
+# Only imports being introduced are checked, so existing violations
+# don't block unrelated edits
+${extractNewText}
 
-if [ -z "$FILE_PATH" ] || [ -z "$CONTENT" ]; then
+if [ -z "$FILE_PATH" ] || [ -z "$NEW_TEXT" ]; then
   exit 0
 fi
 
-# Define layer patterns (customize based on your project structure)
+# Match layers on the project-relative path
+REL_PATH="\${FILE_PATH#"$PROJECT_DIR"/}"
+
+# Layer patterns match paths and imports (set them for your project structure)
 # Layer hierarchy: Domain <- Application <- Infrastructure <- Presentation
+${readSettings('layer-violation-blocker')}
 
 is_domain_layer() {
-  echo "$1" | grep -qE '(domain|entities|core)/|Domain|Entities|Core' 2>/dev/null
+  echo "$1" | grep -qE "$DOMAIN_PATTERN" 2>/dev/null
 }
 
 is_application_layer() {
-  echo "$1" | grep -qE '(application|usecases|services)/|Application|UseCases|Services' 2>/dev/null
+  echo "$1" | grep -qE "$APPLICATION_PATTERN" 2>/dev/null
 }
 
 is_infrastructure_layer() {
-  echo "$1" | grep -qE '(infrastructure|data|repositories|persistence)/|Infrastructure|Data|Repositories' 2>/dev/null
+  echo "$1" | grep -qE "$INFRASTRUCTURE_PATTERN" 2>/dev/null
 }
 
 is_presentation_layer() {
-  echo "$1" | grep -qE '(presentation|ui|api|controllers|web)/|Presentation|Controllers|Api|Web' 2>/dev/null
+  echo "$1" | grep -qE "$PRESENTATION_PATTERN" 2>/dev/null
 }
 
 # Function to extract imports from content
 get_imports() {
   # JavaScript/TypeScript imports
-  echo "$1" | grep -oE "from ['\"]([^'\"]+)['\"]" | sed "s/from ['\"]//g" | sed "s/['\"]//g"
+  echo "$1" | grep -oE "from ['\\"][^'\\"]+['\\"]" | sed -E "s/^from ['\\"]//; s/['\\"]$//" || true
   # Python imports
-  echo "$1" | grep -oE "^(from|import) [a-zA-Z0-9_.]+( import)?" | sed 's/from //g' | sed 's/import //g' | sed 's/ //g'
+  echo "$1" | grep -oE "^(from|import) [a-zA-Z0-9_.]+( import)?" | sed 's/from //g' | sed 's/import //g' | sed 's/ //g' || true
   # C# using statements
-  echo "$1" | grep -oE "^using [a-zA-Z0-9_.]+;" | sed 's/using //g' | sed 's/;//g'
+  echo "$1" | grep -oE "^using [a-zA-Z0-9_.]+;" | sed 's/using //g' | sed 's/;//g' || true
 }
 
 # Check for violations
 VIOLATIONS=()
 
-if is_domain_layer "$FILE_PATH"; then
+if is_domain_layer "$REL_PATH"; then
   # Domain layer should not import from any other layer
-  IMPORTS=$(get_imports "$CONTENT")
+  IMPORTS=$(get_imports "$NEW_TEXT")
   for import in $IMPORTS; do
     if is_application_layer "$import" || is_infrastructure_layer "$import" || is_presentation_layer "$import"; then
       VIOLATIONS+=("Domain layer importing from higher layer: $import")
@@ -503,9 +879,9 @@ if is_domain_layer "$FILE_PATH"; then
   done
 fi
 
-if is_application_layer "$FILE_PATH"; then
+if is_application_layer "$REL_PATH"; then
   # Application layer should not import from Infrastructure or Presentation
-  IMPORTS=$(get_imports "$CONTENT")
+  IMPORTS=$(get_imports "$NEW_TEXT")
   for import in $IMPORTS; do
     if is_infrastructure_layer "$import" || is_presentation_layer "$import"; then
       VIOLATIONS+=("Application layer importing from higher layer: $import")
@@ -513,9 +889,9 @@ if is_application_layer "$FILE_PATH"; then
   done
 fi
 
-if is_infrastructure_layer "$FILE_PATH"; then
+if is_infrastructure_layer "$REL_PATH"; then
   # Infrastructure layer should not import from Presentation
-  IMPORTS=$(get_imports "$CONTENT")
+  IMPORTS=$(get_imports "$NEW_TEXT")
   for import in $IMPORTS; do
     if is_presentation_layer "$import"; then
       VIOLATIONS+=("Infrastructure layer importing from Presentation: $import")
@@ -523,26 +899,28 @@ if is_infrastructure_layer "$FILE_PATH"; then
   done
 fi
 
-# Report violations
+# Report violations (stderr is shown to Claude)
 if [ \${#VIOLATIONS[@]} -gt 0 ]; then
-  echo ""
-  echo "🏗️  CLEAN ARCHITECTURE VIOLATION DETECTED!"
-  echo ""
-  echo "File: $FILE_PATH"
-  echo ""
-  echo "Violations:"
-  for violation in "\${VIOLATIONS[@]}"; do
-    echo "  ❌ $violation"
-  done
-  echo ""
-  echo "Clean Architecture Layer Rules:"
-  echo "  • Domain: No dependencies on other layers"
-  echo "  • Application: Can depend on Domain only"
-  echo "  • Infrastructure: Can depend on Domain & Application"
-  echo "  • Presentation: Can depend on all layers"
-  echo ""
-  echo "Consider using dependency injection or interfaces"
-  echo "to invert the dependency direction."
+  {
+    echo ""
+    echo "🏗️  CLEAN ARCHITECTURE VIOLATION DETECTED!"
+    echo ""
+    echo "File: $REL_PATH"
+    echo ""
+    echo "Violations:"
+    for violation in "\${VIOLATIONS[@]}"; do
+      echo "  ❌ $violation"
+    done
+    echo ""
+    echo "Clean Architecture Layer Rules:"
+    echo "  • Domain: No dependencies on other layers"
+    echo "  • Application: Can depend on Domain only"
+    echo "  • Infrastructure: Can depend on Domain & Application"
+    echo "  • Presentation: Can depend on all layers"
+    echo ""
+    echo "Consider using dependency injection or interfaces"
+    echo "to invert the dependency direction."
+  } >&2
   exit 2
 fi
 
@@ -554,25 +932,27 @@ exit 0
     name: 'large-file-warning',
     description: 'Warn when creating files over 500 lines',
     event: 'PreToolUse',
-    matcher: 'Write',
+    matcher: 'Write|Edit|MultiEdit',
+    params: hookParams['large-file-warning'],
     content: `#!/bin/bash
 # Large File Warning Hook
-# Event: PreToolUse (Write)
-# Purpose: Warn when creating large files that may need splitting
+# Event: PreToolUse (Write|Edit|MultiEdit)
+# Purpose: Warn when a write or edit leaves a file large enough to need splitting
 # Exit codes: 0 = pass (with warning), 2 = block for very large files
 
 set -e
 
-# Configuration
-WARN_LINES=500
-BLOCK_LINES=1000
+${readToolInput}
 
-# Get the content being written
-INPUT=$(cat)
-CONTENT=$(echo "$INPUT" | jq -r '.content // empty')
-FILE_PATH=$(echo "$INPUT" | jq -r '.file_path // .path // empty')
+if [ -z "$FILE_PATH" ]; then
+  exit 0
+fi
+
+${readSettings('large-file-warning')}
 
-if [ -z "$CONTENT" ]; then
+${extractProposedContent}
+
+if [ -z "$PROPOSED" ]; then
   exit 0
 fi
 
@@ -584,22 +964,24 @@ case "$FILE_PATH" in
 esac
 
 # Count lines
-LINE_COUNT=$(echo "$CONTENT" | wc -l | tr -d ' ')
+LINE_COUNT=$(printf '%s\\n' "$PROPOSED" | wc -l | tr -d ' ')
 
-# Block if extremely large
+# Block if extremely large (stderr is shown to Claude)
 if [ "$LINE_COUNT" -gt "$BLOCK_LINES" ]; then
-  echo ""
-  echo "🚨 FILE TOO LARGE: $LINE_COUNT lines!"
-  echo ""
-  echo "File: $FILE_PATH"
-  echo ""
-  echo "Files over $BLOCK_LINES lines are blocked."
-  echo ""
-  echo "Consider splitting into smaller, focused modules:"
-  echo "  • Extract related functions into separate files"
-  echo "  • Create utility/helper modules"
-  echo "  • Use composition over large monolithic files"
-  echo ""
+  {
+    echo ""
+    echo "🚨 FILE TOO LARGE: $LINE_COUNT lines!"
+    echo ""
+    echo "File: $FILE_PATH"
+    echo ""
+    echo "Files over $BLOCK_LINES lines are blocked."
+    echo ""
+    echo "Consider splitting into smaller, focused modules:"
+    echo "  • Extract related functions into separate files"
+    echo "  • Create utility/helper modules"
+    echo "  • Use composition over large monolithic files"
+    echo ""
+  } >&2
   exit 2
 fi
 
@@ -628,6 +1010,7 @@ exit 0
     description: 'Prevent direct commits to protected branches',
     event: 'PreToolUse',
     matcher: 'Bash',
+    params: hookParams['branch-protection'],
     content: `#!/bin/bash
 # Branch Protection Hook
 # Event: PreToolUse (Bash)
@@ -636,16 +1019,21 @@ exit 0
 
 set -e
 
+${readToolInput}
+
 # Get the command being run
-INPUT=$(cat)
-COMMAND=$(echo "$INPUT" | jq -r '.command // empty')
+COMMAND=$(printf '%s' "$INPUT" | jq -r '.tool_input.command // empty')
 
 if [ -z "$COMMAND" ]; then
   exit 0
 fi
 
-# Protected branches
-PROTECTED_BRANCHES=("main" "master" "production" "prod" "release")
+# Without git there is no branch to protect
+if ! command -v git >/dev/null 2>&1; then
+  exit 0
+fi
+
+${readSettings('branch-protection')}
 
 # Get current branch
 get_current_branch() {
@@ -666,44 +1054,53 @@ is_protected_branch() {
 # Parse command
 CURRENT_BRANCH=$(get_current_branch)
 
+# Git invocations may be chained (cd app && git commit ...), so match any segment
+GIT_PREFIX='(^|[;&|(]\\s*)git\\s+'
+
 # Check for git commit on protected branch
-if echo "$COMMAND" | grep -qE '^git commit'; then
+if echo "$COMMAND" | grep -qE "\${GIT_PREFIX}commit"; then
   if is_protected_branch "$CURRENT_BRANCH"; then
-    echo ""
-    echo "🚫 PROTECTED BRANCH: Cannot commit directly to '$CURRENT_BRANCH'"
-    echo ""
-    echo "Please create a feature branch and submit a pull request:"
-    echo ""
-    echo "  git checkout -b feature/your-feature"
-    echo "  git commit -m 'your message'"
-    echo "  git push -u origin feature/your-feature"
-    echo ""
+    {
+  echo ""
+      echo "🚫 PROTECTED BRANCH: Cannot commit directly to '$CURRENT_BRANCH'"
+      echo ""
+      echo "Please create a feature branch and submit a pull request:"
+      echo ""
+      echo "  git checkout -b feature/your-feature"
+      echo "  git commit -m 'your message'"
+      echo "  git push -u origin feature/your-feature"
+      echo ""
+    } >&2
     exit 2
   fi
 fi
 
 # Check for git push to protected branch
-if echo "$COMMAND" | grep -qE '^git push'; then
+if echo "$COMMAND" | grep -qE "\${GIT_PREFIX}push"; then
   # Check if pushing to a protected branch
   for protected in "\${PROTECTED_BRANCHES[@]}"; do
-    if echo "$COMMAND" | grep -qE "(origin|upstream)\s+$protected(\s|$)"; then
-      echo ""
-      echo "🚫 PROTECTED BRANCH: Cannot push directly to '$protected'"
-      echo ""
-      echo "Please create a pull request instead."
-      echo ""
+    if echo "$COMMAND" | grep -qE "(origin|upstream)\\s+$protected(\\s|$)"; then
+      {
+  echo ""
+        echo "🚫 PROTECTED BRANCH: Cannot push directly to '$protected'"
+        echo ""
+        echo "Please create a pull request instead."
+        echo ""
+      } >&2
       exit 2
     fi
   done
 
   # Check if on protected branch with no explicit target
   if is_protected_branch "$CURRENT_BRANCH"; then
-    if ! echo "$COMMAND" | grep -qE 'origin\s+[a-zA-Z]'; then
-      echo ""
-      echo "🚫 PROTECTED BRANCH: Cannot push from '$CURRENT_BRANCH'"
-      echo ""
-      echo "Please create a feature branch first."
-      echo ""
+    if ! echo "$COMMAND" | grep -qE 'origin\\s+[a-zA-Z]'; then
+      {
+  echo ""
+        echo "🚫 PROTECTED BRANCH: Cannot push from '$CURRENT_BRANCH'"
+        echo ""
+        echo "Please create a feature branch first."
+        echo ""
+      } >&2
       exit 2
     fi
   fi
@@ -712,11 +1109,13 @@ fi
 # Check for force push
 if echo "$COMMAND" | grep -qE 'git push.*(-f|--force)'; then
   if is_protected_branch "$CURRENT_BRANCH"; then
-    echo ""
-    echo "🚨 FORCE PUSH BLOCKED on protected branch '$CURRENT_BRANCH'!"
-    echo ""
-    echo "Force pushing to protected branches is not allowed."
-    echo ""
+    {
+  echo ""
+      echo "🚨 FORCE PUSH BLOCKED on protected branch '$CURRENT_BRANCH'!"
+      echo ""
+      echo "Force pushing to protected branches is not allowed."
+      echo ""
+    } >&2
     exit 2
   fi
 
@@ -742,6 +1141,13 @@ exit 0
 
 set -e
 
+${readEventInput}
+
+# Only remind once per stop; a blocking Stop hook may already have resumed Claude
+if [ "$STOP_HOOK_ACTIVE" = "true" ]; then
+  exit 0
+fi
+
 # Look for changelog file (various names)
 CHANGELOG=""
 for name in CHANGELOG.md CHANGELOG changelog.md changelog CHANGES.md CHANGES HISTORY.md HISTORY; do
@@ -751,6 +1157,11 @@ for name in CHANGELOG.md CHANGELOG changelog.md changelog CHANGES.md CHANGES HIS
   fi
 done
 
+# Without git there are no staged or unpushed changes to check
+if ! command -v git >/dev/null 2>&1; then
+  exit 0
+fi
+
 # Check if there are staged changes
 if ! git diff --cached --quiet 2>/dev/null; then
   HAS_STAGED=true
@@ -813,23 +1224,24 @@ exit 0
     name: 'todo-collector',
     description: 'Extract TODOs from code to tracking file',
     event: 'PostToolUse',
-    matcher: 'Write|Edit',
+    matcher: 'Write|Edit|MultiEdit',
     content: `#!/bin/bash
 # TODO Collector Hook
-# Event: PostToolUse (Write|Edit)
+# Event: PostToolUse (Write|Edit|MultiEdit)
 # Purpose: Extract TODO/FIXME comments to a tracking file
 # Exit codes: 0 = success
 
 set -e
 
-# Get the file path from the tool input
-INPUT=$(cat)
-FILE_PATH=$(echo "$INPUT" | jq -r '.file_path // .path // empty')
+${readToolInput}
 
 if [ -z "$FILE_PATH" ]; then
   exit 0
 fi
 
+# Record locations relative to the project root
+FILE_PATH="\${FILE_PATH#"$PROJECT_DIR"/}"
+
 # Skip if file doesn't exist or is in excluded paths
 if [ ! -f "$FILE_PATH" ]; then
   exit 0
@@ -853,12 +1265,12 @@ extract_todos() {
   local line_num=0
 
   while IFS= read -r line; do
-    ((line_num++))
+    line_num=$((line_num + 1))
 
     # Match TODO, FIXME, HACK, XXX, BUG patterns
-    if echo "$line" | grep -qE '(TODO|FIXME|HACK|XXX|BUG):?\s'; then
+    if echo "$line" | grep -qE '(TODO|FIXME|HACK|XXX|BUG):?\\s'; then
       # Extract the comment text
-      COMMENT=$(echo "$line" | sed -E 's/.*((TODO|FIXME|HACK|XXX|BUG):?\\s*.*)$/\\1/' | sed 's/\\*\\/$//' | sed 's/-->$//' | xargs)
+      COMMENT=$(echo "$line" | sed -E 's/.*((TODO|FIXME|HACK|XXX|BUG):?\\s*.*)$/\\1/' | sed 's/\\*\\/$//' | sed 's/-->$//' | sed -E 's/^[[:space:]]+|[[:space:]]+$//g')
 
       # Determine priority based on keyword
       case "$COMMENT" in
@@ -873,7 +1285,7 @@ extract_todos() {
           ;;
       esac
 
-      echo "| $PRIORITY | \`$file:$line_num\` | $COMMENT |"
+      echo "| $PRIORITY | \\\`$file:$line_num\\\` | $COMMENT |"
     fi
   done < "$file"
 }
@@ -906,7 +1318,7 @@ EOF
 
   if [ -n "$NEW_TODOS" ]; then
     # Remove old entries for this file
-    grep -v "\`$FILE_PATH:" "$TODO_FILE" > "$TODO_FILE.tmp" 2>/dev/null || cp "$TODO_FILE" "$TODO_FILE.tmp"
+    grep -v "\\\`$FILE_PATH:" "$TODO_FILE" > "$TODO_FILE.tmp" 2>/dev/null || cp "$TODO_FILE" "$TODO_FILE.tmp"
     mv "$TODO_FILE.tmp" "$TODO_FILE"
 
     # Add new entries
@@ -914,8 +1326,8 @@ EOF
 
     # Sort by priority (HIGH first)
     {
-      head -n 10 "$TODO_FILE"  # Keep header
-      tail -n +11 "$TODO_FILE" | sort -t'|' -k2  # Sort entries
+      head -n 13 "$TODO_FILE"  # Keep header
+      tail -n +14 "$TODO_FILE" 2>/dev/null | sort -t'|' -k2  # Sort entries
     } > "$TODO_FILE.tmp"
     mv "$TODO_FILE.tmp" "$TODO_FILE"
 
@@ -930,6 +1342,87 @@ exit 0
   }
 };
 
+// strict hooks block, suggested hooks only warn, available hooks are
+// installed without being registered in settings.json
+export const ENFORCEMENT_LEVELS = ['strict', 'suggested', 'available'];
+
+// Events whose hookSpecificOutput.additionalContext is passed on to Claude
+const CONTEXT_EVENTS = ['PostToolUse', 'UserPromptSubmit', 'SessionStart'];
+
+/**
+ * Wrapper for suggested hooks: the checks run in a child process, and a block
+ * (exit 2) comes back as a warning. Claude Code ignores stderr when a hook
+ * exits 0, so the warning is printed as JSON: systemMessage for the user,
+ * plus additionalContext for Claude on events that read it.
+ */
+function warnOnly(hook) {
+  const context = CONTEXT_EVENTS.includes(hook.event)
+    ? `, hookSpecificOutput: {hookEventName: "${hook.event}", additionalContext: $msg}`
+    : '';
+  return `# Suggested enforcement: report problems without blocking
+json_string() {
+  printf '%s' "$1" | tr -d '\\000-\\010\\013-\\037' |
+    sed -e 's/\\\\/\\\\\\\\/g' -e 's/"/\\\\"/g' -e 's/\\t/\\\\t/g' |
+    awk '{ printf "%s%s", (NR > 1 ? "\\\\n" : ""), $0 }'
+}
+
+if [ -z "\${CC_SCAFFOLD_CHECKING:-}" ]; then
+  STATUS=0
+  OUTPUT=$(CC_SCAFFOLD_CHECKING=1 bash "$0" "$@" 2>&1) || STATUS=$?
+  if [ "$STATUS" -ne 2 ]; then
+    if [ -n "$OUTPUT" ] && [ "$STATUS" -eq 0 ]; then
+      printf '%s\\n' "$OUTPUT"
+    elif [ -n "$OUTPUT" ]; then
+      printf '%s\\n' "$OUTPUT" >&2
+    fi
+    exit "$STATUS"
+  fi
+
+  MESSAGE="${hook.name} (suggested enforcement, not blocking):
+$OUTPUT"
+  if command -v jq >/dev/null 2>&1; then
+    jq -n --arg msg "$MESSAGE" '{systemMessage: $msg${context}}'
+  else
+    printf '{"systemMessage": "%s"}\\n' "$(json_string "$MESSAGE")"
+  fi
+  exit 0
+fi`;
+}
+
+/**
+ * Enforcement level of a hook: its override, else the project level
+ *
+ * @param {string} name - Hook name
+ * @param {Object} enforcement - { level, hooks: { name: level } }, as kept in the manifest
+ */
+export function resolveHookEnforcement(name, enforcement = {}) {
+  return enforcement?.hooks?.[name] || enforcement?.level || 'strict';
+}
+
+/**
+ * Hook script for an enforcement level and settings. Suggested hooks exit 0
+ * where strict ones exit 2, and print the blocking message as a warning. Settings (as in cc-scaffold.config.json) replace
+ * the defaults written into the script, which apply when the config cannot be read.
+ */
+export function renderHook(hook, level = 'strict', settings = {}) {
+  let content = hook.content;
+  for (const param of hook.params || []) {
+    const value = settings[param.key];
+    if (value === undefined || typeof value !== typeof param.default || Array.isArray(value) !== Array.isArray(param.default)) {
+      continue;
+    }
+    const assignment = `${param.variable}=${shellValue(param, value)}`;
+    content = content.replace(new RegExp(`^${param.variable}=.*$`, 'm'), () => assignment);
+  }
+
+  if (level !== 'suggested' || !/^\s*exit 2$/m.test(content)) {
+    return content;
+  }
+  return content
+    .replace(/^# Exit codes: .*$/m, '# Exit codes: 0 = pass (enforcement: suggested, so problems are warnings and never block)')
+    .replace(/^(set -e\n)/m, () => `set -e\n\n${warnOnly(hook)}\n`);
+}
+
 /**
  * Get hook template by name
  */
@@ -952,7 +1445,8 @@ export function getHookList() {
     name: hook.name,
     description: hook.description,
     event: hook.event,
-    matcher: hook.matcher
+    matcher: hook.matcher,
+    params: hook.params || []
   }));
 }
 
@@ -0,0 +1,150 @@
+/**
+ * MCP server templates for CC Scaffold
+ * Each server is an entry for the project .mcp.json "mcpServers" map.
+ * Secrets and connection strings are ${VAR} placeholders that Claude Code
+ * expands from the environment, so .mcp.json can be committed safely.
+ */
+
+export const mcpServers = {
+  filesystem: {
+    name: 'filesystem',
+    description: 'Read and write files in the project directory',
+    config: {
+      command: 'npx',
+      args: ['-y', '@modelcontextprotocol/server-filesystem', '.'],
+    },
+  },
+
+  git: {
+    name: 'git',
+    description: 'Inspect git history, diffs, and branches',
+    config: {
+      command: 'uvx',
+      args: ['mcp-server-git', '--repository', '.'],
+    },
+  },
+
+  github: {
+    name: 'github',
+    description: 'Work with GitHub issues, pull requests, and repositories',
+    config: {
+      command: 'npx',
+      args: ['-y', '@modelcontextprotocol/server-github'],
+      env: {
+        GITHUB_PERSONAL_ACCESS_TOKEN: '${GITHUB_PERSONAL_ACCESS_TOKEN}',
+      },
+    },
+  },
+
+  postgres: {
+    name: 'postgres',
+    description: 'Read-only PostgreSQL schema inspection and queries',
+    config: {
+      command: 'npx',
+      args: ['-y', '@modelcontextprotocol/server-postgres', '${DATABASE_URL}'],
+    },
+  },
+
+  sqlite: {
+    name: 'sqlite',
+    description: 'Query and inspect a SQLite database',
+    config: {
+      command: 'uvx',
+      args: ['mcp-server-sqlite', '--db-path', '${SQLITE_DB_PATH}'],
+    },
+  },
+
+  mongodb: {
+    name: 'mongodb',
+    description: 'Query MongoDB collections and inspect schemas',
+    config: {
+      command: 'npx',
+      args: ['-y', 'mongodb-mcp-server', '--readOnly'],
+      env: {
+        MDB_MCP_CONNECTION_STRING: '${MONGODB_URI}',
+      },
+    },
+  },
+
+  redis: {
+    name: 'redis',
+    description: 'Inspect Redis keys and data structures',
+    config: {
+      command: 'uvx',
+      args: ['--from', 'redis-mcp-server@latest', 'redis-mcp-server', '--url', '${REDIS_URL}'],
+    },
+  },
+
+  fetch: {
+    name: 'fetch',
+    description: 'Fetch web pages and API responses as markdown',
+    config: {
+      command: 'uvx',
+      args: ['mcp-server-fetch'],
+    },
+  },
+
+  playwright: {
+    name: 'playwright',
+    description: 'Drive a browser to test and inspect the running UI',
+    config: {
+      command: 'npx',
+      args: ['-y', '@playwright/mcp@latest'],
+    },
+  },
+
+  memory: {
+    name: 'memory',
+    description: 'Persistent knowledge graph memory across sessions',
+    config: {
+      command: 'npx',
+      args: ['-y', '@modelcontextprotocol/server-memory'],
+    },
+  },
+
+  'sequential-thinking': {
+    name: 'sequential-thinking',
+    description: 'Structured step-by-step problem solving',
+    config: {
+      command: 'npx',
+      args: ['-y', '@modelcontextprotocol/server-sequential-thinking'],
+    },
+  },
+};
+
+/**
+ * Get MCP server template by name
+ */
+export function getMcpServer(name) {
+  return mcpServers[name];
+}
+
+/**
+ * Get all MCP server names
+ */
+export function getMcpServerNames() {
+  return Object.keys(mcpServers);
+}
+
+/**
+ * Get MCP server list with metadata
+ */
+export function getMcpServerList() {
+  return Object.values(mcpServers).map(server => ({
+    name: server.name,
+    description: server.description,
+    envVars: getMcpEnvVars(server.name),
+  }));
+}
+
+/**
+ * Get the environment variables a server's placeholders refer to
+ */
+export function getMcpEnvVars(name) {
+  const server = mcpServers[name];
+  if (!server) return [];
+  const matches = JSON.stringify(server.config).matchAll(/\$\{([A-Z0-9_]+)(?::-[^}]*)?\}/g);
+  return [...new Set([...matches].map(m => m[1]))];
+}
+
+export default mcpServers;
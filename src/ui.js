@@ -2,6 +2,7 @@ import chalk from 'chalk';
 import boxen from 'boxen';
 import figlet from 'figlet';
 import gradient from 'gradient-string';
+import ora from 'ora';
 
 // Color palette
 export const colors = {
@@ -53,15 +54,40 @@ export const icons = {
   error: '🚨',
   log: '📋',
   name: '🏷️',
+  mcp: '🔌',
+  command: '⌨️',
 };
 
 // Custom gradient for the banner
 const ccGradient = gradient(['#7C3AED', '#06B6D4', '#10B981']);
 
+// CI mode drops the banner and spinners (--no-banner, or stdout is not a TTY)
+let ciMode = false;
+
+/**
+ * Enable or disable CI mode
+ */
+export function setCiMode(enabled) {
+  ciMode = Boolean(enabled);
+}
+
+/**
+ * Create a spinner (silent in CI mode)
+ */
+export function createSpinner(text) {
+  return ora({
+    text,
+    spinner: 'dots',
+    isSilent: ciMode,
+  });
+}
+
 /**
  * Display the main banner
  */
 export function showBanner() {
+  if (ciMode) return;
+
   const banner = figlet.textSync('CC Scaffold', {
     font: 'Standard',
     horizontalLayout: 'default',
@@ -87,11 +113,11 @@ export function showBanner() {
 /**
  * Display a section header
  */
-export function sectionHeader(title, icon = '') {
+export function sectionHeader(title, icon = '', log = console.log) {
   const header = `\n${icon ? icon + ' ' : ''}${colors.primary.bold(title)}`;
   const line = colors.muted('─'.repeat(50));
-  console.log(header);
-  console.log(line);
+  log(header);
+  log(line);
 }
 
 /**
@@ -112,7 +138,7 @@ export function successBox(title, content) {
 /**
  * Display an info box
  */
-export function infoBox(title, content) {
+export function infoBox(title, content, log = console.log) {
   const box = boxen(
     colors.secondary.bold(title) + '\n\n' + content,
     {
@@ -121,7 +147,7 @@ export function infoBox(title, content) {
       borderStyle: 'round',
     }
   );
-  console.log('\n' + box);
+  log('\n' + box);
 }
 
 /**
@@ -158,7 +184,7 @@ export function errorBox(title, content) {
  * Display recommendations in a styled box
  */
 export function recommendationsBox(recommendations) {
-  const { skills, agents, hooks, reasons } = recommendations;
+  const { skills, agents, hooks, mcp = [], commands = [], reasons } = recommendations;
 
   let content = '';
 
@@ -186,6 +212,22 @@ export function recommendationsBox(recommendations) {
     content += '\n';
   }
 
+  if (commands.length > 0) {
+    content += colors.primary.bold(`${icons.command} Recommended Commands:\n`);
+    commands.forEach(c => {
+      content += colors.white(`   ${icons.bullet} /${c}\n`);
+    });
+    content += '\n';
+  }
+
+  if (mcp.length > 0) {
+    content += colors.primary.bold(`${icons.mcp} Recommended MCP Servers:\n`);
+    mcp.forEach(m => {
+      content += colors.white(`   ${icons.bullet} ${m}\n`);
+    });
+    content += '\n';
+  }
+
   if (reasons.length > 0) {
     content += colors.muted.bold('Reasons:\n');
     reasons.forEach(r => {
@@ -209,7 +251,7 @@ export function recommendationsBox(recommendations) {
  * Display generation summary
  */
 export function generationSummary(config) {
-  const { outputDir, skills, agents, hooks } = config;
+  const { outputDir, skills, agents, hooks, commands = [], mcp = [] } = config;
 
   let content = '';
   content += colors.white(`${icons.folder} Output: ${colors.secondary(outputDir)}\n\n`);
@@ -217,11 +259,16 @@ export function generationSummary(config) {
   content += colors.primary.bold('Generated Components:\n');
   content += colors.white(`   ${icons.skill} Skills: ${skills.length}\n`);
   content += colors.white(`   ${icons.agent} Agents: ${agents.length}\n`);
-  content += colors.white(`   ${icons.hook} Hooks: ${hooks.length}\n\n`);
+  content += colors.white(`   ${icons.hook} Hooks: ${hooks.length}\n`);
+  content += colors.white(`   ${icons.command} Commands: ${commands.length}\n`);
+  content += colors.white(`   ${icons.mcp} MCP Servers: ${mcp.length}\n\n`);
 
   content += colors.primary.bold('Files Created:\n');
   content += colors.muted(`   ${icons.file} CLAUDE.md\n`);
   content += colors.muted(`   ${icons.file} .claude/settings.json\n`);
+  if (mcp.length > 0) {
+    content += colors.muted(`   ${icons.file} .mcp.json\n`);
+  }
 
   if (skills.length > 0) {
     content += colors.muted(`   ${icons.folder} .claude/skills/ (${skills.length} skills)\n`);
@@ -232,6 +279,9 @@ export function generationSummary(config) {
   if (hooks.length > 0) {
     content += colors.muted(`   ${icons.folder} .claude/hooks/ (${hooks.length} hooks)\n`);
   }
+  if (commands.length > 0) {
+    content += colors.muted(`   ${icons.folder} .claude/commands/ (${commands.length} commands)\n`);
+  }
 
   const box = boxen(
     colors.success.bold(`${icons.rocket} Configuration Generated Successfully!\n\n`) + content.trim(),
@@ -245,6 +295,62 @@ export function generationSummary(config) {
   console.log('\n' + box);
 }
 
+/**
+ * Display the changes recorded by --dry-run
+ *
+ * @param {Object} changes - From getDryRunChanges()
+ * @param {Object} options - { log: where lines go, console.error to keep stdout for JSON }
+ */
+export function dryRunReport(changes, { log = console.log } = {}) {
+  const { files, operations } = changes;
+  sectionHeader('Dry Run', icons.info, log);
+
+  for (const file of files) {
+    if (file.status === 'unchanged') continue;
+
+    for (const line of file.diff.split('\n')) {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        log(colors.white.bold(line));
+      } else if (line.startsWith('@@')) {
+        log(colors.secondary(line));
+      } else if (line.startsWith('+')) {
+        log(colors.success(line));
+      } else if (line.startsWith('-')) {
+        log(colors.error(line));
+      } else {
+        log(colors.muted(line));
+      }
+    }
+    log();
+  }
+
+  for (const op of operations) {
+    if (op.type === 'copy') {
+      log(colors.white(`  ${icons.folder} copy ${op.from} ${icons.arrow} ${op.path}`));
+    } else {
+      log(colors.error(`  ${icons.cross} delete ${op.path}`));
+    }
+  }
+  if (operations.length > 0) {
+    log();
+  }
+
+  const count = (status) => files.filter((f) => f.status === status).length;
+  let content = '';
+  content += colors.white(`Created:   ${count('created')}\n`);
+  content += colors.white(`Modified:  ${count('modified')}\n`);
+  content += colors.white(`Unchanged: ${count('unchanged')}\n`);
+  if (count('deleted') > 0) {
+    content += colors.white(`Deleted:   ${count('deleted')}\n`);
+  }
+  if (operations.length > 0) {
+    content += colors.white(`Copies/removals: ${operations.length}\n`);
+  }
+  content += '\n' + colors.muted('No files were written.');
+
+  infoBox('Dry Run Summary', content, log);
+}
+
 /**
  * Display a list of components
  */
@@ -253,15 +359,22 @@ export function componentList(type, components) {
     skills: icons.skill,
     agents: icons.agent,
     hooks: icons.hook,
+    mcp: icons.mcp,
+    commands: icons.command,
   };
 
   const icon = iconMap[type] || icons.package;
 
-  sectionHeader(`Available ${type.charAt(0).toUpperCase() + type.slice(1)}`, icon);
+  const title = type === 'mcp' ? 'MCP Servers' : type.charAt(0).toUpperCase() + type.slice(1);
+  sectionHeader(`Available ${title}`, icon);
 
   components.forEach(comp => {
-    console.log(colors.white(`  ${icons.bullet} ${colors.secondary(comp.name)}`));
+    const label = type === 'commands' ? `/${comp.name}${comp.argumentHint ? ` ${comp.argumentHint}` : ''}` : comp.name;
+    console.log(colors.white(`  ${icons.bullet} ${colors.secondary(label)}`));
     console.log(colors.muted(`    ${comp.description}`));
+    if (comp.envVars?.length > 0) {
+      console.log(colors.muted(`    Env: ${comp.envVars.join(', ')}`));
+    }
     console.log();
   });
 }
@@ -291,6 +404,8 @@ export function listItem(text, checked = false) {
 export default {
   colors,
   icons,
+  setCiMode,
+  createSpinner,
   showBanner,
   sectionHeader,
   successBox,
@@ -299,6 +414,7 @@ export default {
   errorBox,
   recommendationsBox,
   generationSummary,
+  dryRunReport,
   componentList,
   cancelled,
   divider,
@@ -0,0 +1,181 @@
+/**
+ * Template upgrades for CC Scaffold
+ * Brings installed skills, agents, hooks and commands up to the current
+ * template registry. Files untouched since generation are replaced; edited
+ * files get a three-way merge against the copy kept when they were generated.
+ */
+
+import path from 'path';
+import { getSkill } from './templates/skills.js';
+import { getAgent } from './templates/agents.js';
+import { getHook, renderHook, resolveHookEnforcement } from './templates/hooks.js';
+import { readHookConfig } from './hook-config.js';
+import { getCommand } from './templates/commands.js';
+import { appendCustomSections } from './generator.js';
+import {
+  loadExistingConfig,
+  extractCustomSections,
+  stripCustomSections,
+  backupExisting,
+} from './merger.js';
+import {
+  readManifest,
+  hashContent,
+  getTemplateVersion,
+  recordGeneratedFiles,
+  readBaseCopy,
+} from './manifest.js';
+import { writeFile } from './writer.js';
+import { diffLines, mergeThreeWay } from './diff.js';
+
+// Component types, the registry lookup and the file path under .claude/
+const componentTypes = [
+  { type: 'skill', key: 'skills', getTemplate: getSkill, file: (name) => `skills/${name}/SKILL.md` },
+  { type: 'agent', key: 'agents', getTemplate: getAgent, file: (name) => `agents/${name}.md` },
+  { type: 'hook', key: 'hooks', getTemplate: getHook, file: (name) => `hooks/${name}.sh` },
+  { type: 'command', key: 'commands', getTemplate: getCommand, file: (name) => `commands/${name}.md` },
+];
+
+/**
+ * Work out how each installed component would be upgraded, without writing
+ *
+ * @param {string} outputDir - .claude directory
+ * @param {Object} options - { force: replace edited files that cannot be merged }
+ * @returns {Object[]} One entry per templated component: { type, name, file, status,
+ *   fromVersion, toVersion, added, removed, conflicts, reason?, content?, generated?, mergeFile? }
+ *   where status is up-to-date, updated, merged, conflict, replaced or skipped. A hook
+ *   with conflicts keeps its script; the merge goes to mergeFile instead
+ */
+export async function planUpgrade(outputDir = './.claude', { force = false } = {}) {
+  const existing = await loadExistingConfig(path.dirname(outputDir), outputDir);
+  const manifest = await readManifest(outputDir);
+  const hookConfig = await readHookConfig(outputDir).catch(() => null);
+  const plan = [];
+
+  for (const { type, key, getTemplate, file } of componentTypes) {
+    for (const item of existing[key]) {
+      const template = getTemplate(item.name);
+      if (!template || item.content === null) continue;
+
+      const manifestKey = file(item.name);
+      const entry = manifest?.files?.[manifestKey];
+      const current = item.content;
+      const toVersion = getTemplateVersion(template.content);
+      // Hooks are rendered for the enforcement level and settings they were installed with
+      const templateContent =
+        type === 'hook'
+          ? renderHook(template, resolveHookEnforcement(item.name, manifest?.enforcement), hookConfig?.hooks?.[item.name])
+          : template.content;
+
+      // Bash hooks have no custom sections to carry over
+      const customSections = type === 'hook' ? '' : extractCustomSections(current);
+      const body = (text) => (type === 'hook' ? text : stripCustomSections(text));
+      const generated = appendCustomSections(templateContent, customSections);
+
+      const result = {
+        type,
+        name: item.name,
+        file: manifestKey,
+        fromVersion: entry?.templateVersion || null,
+        toVersion,
+        added: 0,
+        removed: 0,
+        conflicts: 0,
+      };
+
+      if (current === generated) {
+        result.status = 'up-to-date';
+        // Adopt files that match the template but were never recorded
+        if (entry?.templateVersion !== toVersion || entry?.hash !== hashContent(generated)) {
+          result.generated = generated;
+        }
+      } else if (entry?.templateVersion === toVersion) {
+        // Edited locally, but the template has not changed since
+        result.status = 'up-to-date';
+      } else if (entry && hashContent(current) === entry.hash) {
+        result.status = 'updated';
+        result.content = generated;
+        result.generated = generated;
+      } else {
+        const base = entry ? await readBaseCopy(outputDir, manifestKey) : null;
+        if (base !== null) {
+          const merged = mergeThreeWay(body(base), body(current), templateContent);
+          result.status = merged.conflicts > 0 ? 'conflict' : 'merged';
+          result.conflicts = merged.conflicts;
+          result.content = appendCustomSections(merged.text, customSections);
+          if (type === 'hook' && merged.conflicts > 0) {
+            // Conflict markers would break a script settings.json still runs, so
+            // the script stays as it is (and recorded as before) until resolved
+            result.mergeFile = `${manifestKey}.merge`;
+          } else {
+            result.generated = generated;
+          }
+        } else if (force) {
+          result.status = 'replaced';
+          result.content = generated;
+          result.generated = generated;
+        } else {
+          result.status = 'skipped';
+          result.reason = entry
+            ? 'edited, and no base copy to merge against'
+            : 'not recorded in the manifest, and differs from the template';
+        }
+      }
+
+      if (result.content !== undefined) {
+        for (const op of diffLines(current.split('\n'), result.content.split('\n'))) {
+          if (op.type === '+') result.added++;
+          if (op.type === '-') result.removed++;
+        }
+      }
+
+      plan.push(result);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Write a plan from planUpgrade and record the new template versions.
+ * The .claude/ directory is backed up first when any file changes.
+ *
+ * @param {string} outputDir - .claude directory
+ * @param {Object[]} plan - Entries from planUpgrade
+ * @param {Object} options - { backup: whether to back up .claude/ first }
+ * @returns {Object} { backupDir, written: number of files changed }
+ */
+export async function applyUpgrade(outputDir, plan, { backup = true } = {}) {
+  const changes = plan.filter((item) => item.content !== undefined);
+  const backupDir = backup && changes.length > 0 ? await backupExisting(path.dirname(outputDir)) : null;
+
+  for (const item of changes) {
+    if (item.mergeFile) {
+      await writeFile(path.join(outputDir, item.mergeFile), item.content);
+    } else {
+      await writeFile(path.join(outputDir, item.file), item.content, item.type === 'hook' ? { mode: 0o755 } : {});
+    }
+  }
+
+  // Merged and conflicted files are recorded with the generated text as their
+  // base, so local edits still show as edits afterwards
+  const records = plan
+    .filter((item) => item.generated !== undefined)
+    .map((item) => ({
+      path: path.join(outputDir, item.file),
+      type: item.type,
+      name: item.name,
+      templateVersion: item.toVersion,
+      content: item.generated,
+    }));
+  if (records.length > 0) {
+    await recordGeneratedFiles(outputDir, records);
+  }
+
+  return { backupDir, written: changes.length };
+}
+
+export default {
+  planUpgrade,
+  applyUpgrade,
+};
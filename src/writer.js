@@ -0,0 +1,144 @@
+/**
+ * File writer for CC Scaffold
+ * Every change cc-scaffold makes to a project goes through this module, so
+ * --dry-run can record the change (and diff it later) instead of touching disk.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { unifiedDiff } from './diff.js';
+
+let dryRun = false;
+
+// Dry-run state: file writes keyed by absolute path, plus copies and deletions
+const pendingFiles = new Map();
+const pendingOperations = [];
+
+/**
+ * Enable or disable dry-run mode
+ */
+export function setDryRun(enabled) {
+  dryRun = Boolean(enabled);
+}
+
+/**
+ * Whether writes are currently being recorded instead of applied
+ */
+export function isDryRun() {
+  return dryRun;
+}
+
+/**
+ * Read a text file, seeing writes recorded earlier in a dry run
+ */
+export async function readFile(filePath) {
+  const pending = pendingFiles.get(path.resolve(filePath));
+  if (pending) {
+    if (pending.after === null) {
+      const error = new Error(`ENOENT: no such file or directory, open '${filePath}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    return pending.after;
+  }
+  return fs.readFile(filePath, 'utf-8');
+}
+
+/**
+ * Write a text file, creating parent directories
+ *
+ * @param {string} filePath - Destination
+ * @param {string} content - File content
+ * @param {Object} options - { mode: file mode, applied to existing files too }
+ */
+export async function writeFile(filePath, content, { mode } = {}) {
+  if (dryRun) {
+    const key = path.resolve(filePath);
+    const before = pendingFiles.has(key)
+      ? pendingFiles.get(key).before
+      : await fs.readFile(filePath, 'utf-8').catch(() => null);
+    pendingFiles.set(key, { path: filePath, before, after: content });
+    return;
+  }
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content, mode ? { mode } : undefined);
+  if (mode) {
+    await fs.chmod(filePath, mode);
+  }
+}
+
+/**
+ * Create a directory (and parents) if missing
+ */
+export async function ensureDir(dir) {
+  if (dryRun) return;
+  await fs.mkdir(dir, { recursive: true });
+}
+
+/**
+ * Delete a file or directory tree; missing paths are ignored
+ */
+export async function removePath(target) {
+  if (dryRun) {
+    const key = path.resolve(target);
+    for (const [filePath, pending] of pendingFiles) {
+      if (filePath === key || filePath.startsWith(key + path.sep)) {
+        pending.after = null;
+      }
+    }
+    const exists = await fs.access(target).then(() => true, () => false);
+    if (exists) {
+      pendingOperations.push({ type: 'delete', path: target });
+    }
+    return;
+  }
+
+  await fs.rm(target, { recursive: true, force: true });
+}
+
+/**
+ * Copy a file or directory tree
+ */
+export async function copyPath(src, dest) {
+  if (dryRun) {
+    pendingOperations.push({ type: 'copy', from: src, path: dest });
+    return;
+  }
+
+  await fs.cp(src, dest, { recursive: true });
+}
+
+/**
+ * Changes recorded during a dry run
+ *
+ * @returns {Object} { files: [{ path, status, diff }], operations: [{ type, path, from? }] }
+ */
+export function getDryRunChanges() {
+  const files = [...pendingFiles.values()].map((change) => {
+    let status = 'modified';
+    if (change.after === null) status = 'deleted';
+    else if (change.before === null) status = 'created';
+    else if (change.before === change.after) status = 'unchanged';
+
+    const name = path.relative(process.cwd(), change.path) || change.path;
+    return {
+      path: name,
+      status,
+      diff: unifiedDiff(change.before, change.after, { fromFile: `a/${name}`, toFile: `b/${name}` }),
+    };
+  });
+
+  return { files, operations: [...pendingOperations] };
+}
+
+export default {
+  setDryRun,
+  isDryRun,
+  readFile,
+  writeFile,
+  ensureDir,
+  removePath,
+  copyPath,
+  getDryRunChanges,
+};
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeProject } from '../src/analyzer.js';
+import { recommendPermissions } from '../src/permissions.js';
+
+describe('analyzeProject', () => {
+  it('recommends migrations for frameworks that ship them', () => {
+    for (const framework of ['rails', 'laravel', 'symfony', 'phoenix']) {
+      const result = analyzeProject({ techStack: [framework] });
+      assert.ok(result.commands.includes('add-migration'), framework);
+      assert.ok(result.agents.includes('migrator'), framework);
+    }
+  });
+
+  it('recommends the quality gate and test writing for RSpec and PHPUnit suites', () => {
+    for (const runner of ['rspec', 'phpunit']) {
+      const result = analyzeProject({ techStack: [runner] });
+      assert.ok(result.hooks.includes('quality-gate'), runner);
+      assert.ok(result.agents.includes('test-runner'), runner);
+      assert.ok(result.commands.includes('write-tests'), runner);
+    }
+  });
+
+  it('gives every added stack its own reason', () => {
+    const base = analyzeProject({ techStack: [] }).reasons;
+    for (const stack of ['ruby', 'rails', 'php', 'laravel', 'kotlin', 'android', 'swift', 'elixir', 'phoenix', 'dart', 'flutter']) {
+      const reasons = analyzeProject({ techStack: [stack] }).reasons;
+      assert.ok(reasons.length > base.length, stack);
+    }
+  });
+});
+
+describe('recommendPermissions', () => {
+  it('asks before running framework migrations', () => {
+    assert.ok(recommendPermissions({ techStack: ['laravel'] }).ask.includes('Bash(php artisan migrate:*)'));
+    assert.ok(
+      recommendPermissions({ techStack: ['symfony'] }).ask.includes('Bash(php bin/console doctrine:migrations:migrate:*)')
+    );
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { diagnoseProject, findExecutable } from '../src/doctor.js';
+import { getHook, renderHook } from '../src/templates/hooks.js';
+
+const originalPath = process.env.PATH;
+let projectDir;
+
+/**
+ * Project with the given hook scripts, registered for Stop, plus a
+ * registration whose script does not exist
+ */
+async function createProject(scripts) {
+  const hooksDir = path.join(projectDir, '.claude', 'hooks');
+  await fs.mkdir(hooksDir, { recursive: true });
+  for (const [name, content] of Object.entries(scripts)) {
+    await fs.writeFile(path.join(hooksDir, `${name}.sh`), content);
+  }
+  const commands = [...Object.keys(scripts), 'gone'].map((name) => ({
+    type: 'command',
+    command: `"$CLAUDE_PROJECT_DIR"/.claude/hooks/${name}.sh`,
+  }));
+  await fs.writeFile(
+    path.join(projectDir, '.claude', 'settings.json'),
+    JSON.stringify({ hooks: { Stop: [{ hooks: commands }] } })
+  );
+}
+
+before(async () => {
+  projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-doctor-'));
+
+  // Only bash and jq are on PATH
+  const binDir = path.join(projectDir, 'bin');
+  await fs.mkdir(binDir);
+  for (const tool of ['bash', 'jq']) {
+    await fs.symlink(await findExecutable(tool), path.join(binDir, tool));
+  }
+  process.env.PATH = binDir;
+
+  await createProject({
+    ready: '#!/bin/bash\nINPUT=$(cat)\nif ! command -v jq >/dev/null 2>&1; then\n  exit 0\nfi\necho "$INPUT" | jq .\n',
+    noop: '#!/bin/bash\nif ! command -v ruff >/dev/null 2>&1; then\n  exit 0\nfi\nruff check .\n',
+    broken: '#!/bin/bash\ngolangci-lint run\n',
+    'quality-gate': renderHook(getHook('quality-gate'), 'strict', { testCommand: 'npm test' }),
+    partial: '#!/bin/bash\nif command -v prettier >/dev/null 2>&1; then\n  prettier --write .\nfi\necho done\n',
+  });
+});
+
+after(async () => {
+  process.env.PATH = originalPath;
+  await fs.rm(projectDir, { recursive: true, force: true });
+});
+
+describe('diagnoseProject', () => {
+  it('rates each hook from the tools it needs', async () => {
+    const { hooks } = await diagnoseProject(projectDir);
+    const statuses = Object.fromEntries(hooks.map((hook) => [hook.name, hook.status]));
+    assert.deepEqual(statuses, {
+      broken: 'broken',
+      gone: 'missing',
+      noop: 'no-op',
+      partial: 'partial',
+      'quality-gate': 'partial',
+      ready: 'ready',
+    });
+  });
+
+  it('lists the missing tools and the registered events', async () => {
+    const { hooks } = await diagnoseProject(projectDir);
+    const byName = Object.fromEntries(hooks.map((hook) => [hook.name, hook]));
+    assert.deepEqual(byName.broken.missing, ['golangci-lint']);
+    assert.deepEqual(byName.noop.missing, ['ruff']);
+    assert.deepEqual(byName.ready.missing, []);
+    assert.deepEqual(byName.ready.events, ['Stop']);
+  });
+
+  it('checks the programs of configured commands', async () => {
+    const configPath = path.join(projectDir, '.claude', 'cc-scaffold.config.json');
+    const hookOf = async () => (await diagnoseProject(projectDir)).hooks.find((hook) => hook.name === 'quality-gate');
+
+    // The command written into the script, skipped by the gate when npm is missing
+    let hook = await hookOf();
+    assert.deepEqual(hook.missing, ['git', 'npm']);
+    assert.equal(hook.tools.find((use) => use.tool === 'npm').setting, 'testCommand');
+
+    // The config wins; programs after && run even when they are missing
+    await fs.writeFile(
+      configPath,
+      JSON.stringify({ hooks: { 'quality-gate': { testCommand: 'CI=1 cd app && make test', lintCommand: 'jq . x.json' } } })
+    );
+    hook = await hookOf();
+    assert.deepEqual(hook.missing, ['git', 'make']);
+    assert.equal(hook.status, 'broken');
+    await fs.rm(configPath);
+  });
+
+  it('checks each tool once, with its version and install hint', async () => {
+    const { tools } = await diagnoseProject(projectDir);
+    assert.equal(tools.jq.found, true);
+    assert.match(tools.jq.version, /^\d+\.\d+/);
+    assert.equal(tools.ruff.found, false);
+    assert.equal(tools.ruff.install, 'pip install ruff');
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('../src/index.js', import.meta.url));
+let projectDir;
+
+before(async () => {
+  projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-dry-run-'));
+  await fs.writeFile(path.join(projectDir, 'package.json'), JSON.stringify({ name: 'app', scripts: { test: 'node --test' } }));
+});
+
+after(async () => {
+  await fs.rm(projectDir, { recursive: true, force: true });
+});
+
+function run(...args) {
+  return spawnSync(process.execPath, [cli, ...args], { cwd: projectDir, encoding: 'utf-8', timeout: 60000 });
+}
+
+describe('--dry-run', () => {
+  it('prints the report after the command', () => {
+    const result = run('--dry-run', '--no-banner', 'scan');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Dry Run Summary/);
+  });
+
+  it('keeps JSON output parseable by reporting on stderr', () => {
+    const result = run('--dry-run', 'scan', '--json');
+    assert.equal(result.status, 0);
+    assert.equal(JSON.parse(result.stdout).name, 'app');
+    assert.match(result.stderr, /Dry Run Summary/);
+  });
+});
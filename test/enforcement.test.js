@@ -0,0 +1,68 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { getHook, renderHook } from '../src/templates/hooks.js';
+
+let projectDir;
+
+before(async () => {
+  projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-enforcement-'));
+});
+
+after(async () => {
+  await fs.rm(projectDir, { recursive: true, force: true });
+});
+
+async function runHook(hook, level, input, settings = {}) {
+  const script = path.join(projectDir, `${hook.name}-${level}.sh`);
+  await fs.writeFile(script, renderHook(hook, level, settings));
+  return spawnSync('bash', [script], {
+    cwd: projectDir,
+    env: { ...process.env, CLAUDE_PROJECT_DIR: projectDir },
+    input: JSON.stringify({ cwd: projectDir, ...input }),
+    encoding: 'utf-8',
+    timeout: 30000,
+  });
+}
+
+describe('suggested enforcement', () => {
+  const push = { tool_name: 'Bash', tool_input: { command: 'git push origin main' } };
+
+  it('blocks with the message on stderr when strict', async () => {
+    const result = await runHook(getHook('branch-protection'), 'strict', push);
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /Cannot push directly to 'main'/);
+  });
+
+  it('exits 0 and prints the message as a systemMessage', async () => {
+    const result = await runHook(getHook('branch-protection'), 'suggested', push);
+    assert.equal(result.status, 0);
+    const output = JSON.parse(result.stdout);
+    assert.match(output.systemMessage, /^branch-protection \(suggested enforcement, not blocking\)/);
+    assert.match(output.systemMessage, /Cannot push directly to 'main'/);
+    assert.equal(output.hookSpecificOutput, undefined);
+  });
+
+  it('passes additionalContext on events that read it', async () => {
+    const hook = {
+      name: 'context-check',
+      event: 'PostToolUse',
+      content: '#!/bin/bash\n# Exit codes: 0 = pass, 2 = block\n\nset -e\n\necho "needs a test" >&2\nexit 2\n',
+    };
+    const output = JSON.parse((await runHook(hook, 'suggested', {})).stdout);
+    assert.deepEqual(output.hookSpecificOutput, {
+      hookEventName: 'PostToolUse',
+      additionalContext: output.systemMessage,
+    });
+    assert.match(output.systemMessage, /needs a test/);
+  });
+
+  it('keeps the output of a passing run as plain text', async () => {
+    const result = await runHook(getHook('quality-gate'), 'suggested', {}, { testCommand: 'true' });
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Quality gate passed!/);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('../src/index.js', import.meta.url));
+let projectDir;
+
+beforeEach(async () => {
+  projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-exit-'));
+  await fs.mkdir(path.join(projectDir, '.claude', 'agents'), { recursive: true });
+});
+
+afterEach(async () => {
+  await fs.rm(projectDir, { recursive: true, force: true });
+});
+
+function validate(...args) {
+  return spawnSync(process.execPath, [cli, 'validate', '--json', ...args], {
+    cwd: projectDir,
+    encoding: 'utf-8',
+    timeout: 60000,
+  }).status;
+}
+
+describe('validate exit codes', () => {
+  it('exits 0 with only warnings, and 3 with --strict', () => {
+    assert.equal(validate(), 0);
+    assert.equal(validate('--strict'), 3);
+  });
+
+  it('exits 2 when errors are found', async () => {
+    await fs.writeFile(path.join(projectDir, '.claude', 'agents', 'reviewer.md'), '---\nname: reviewer\n---\nBody\n');
+    assert.equal(validate(), 2);
+  });
+
+  it('exits 1 when the command cannot run', () => {
+    assert.equal(validate('--format', 'bogus'), 1);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  parseFrontmatter,
+  lintSkillFrontmatter,
+  lintAgentFrontmatter,
+  applyFrontmatterFixes,
+  MAX_DESCRIPTION_LENGTH,
+} from '../src/frontmatter.js';
+
+const cli = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+function ruleIds(problems) {
+  return problems.map((p) => p.ruleId);
+}
+
+describe('parseFrontmatter', () => {
+  it('reads scalars, inline lists and item lists with line numbers', () => {
+    const { found, closed, fields } = parseFrontmatter(
+      '---\nname: "reviewer"\ntools: [Read, Grep]\nskills:\n  - a\n  - b\n---\nBody\n'
+    );
+    assert.ok(found && closed);
+    assert.deepEqual(fields.name, { value: 'reviewer', line: 2 });
+    assert.deepEqual(fields.tools.value, [
+      { value: 'Read', line: 3 },
+      { value: 'Grep', line: 3 },
+    ]);
+    assert.deepEqual(fields.skills.value.map((v) => v.line), [5, 6]);
+  });
+
+  it('reports missing and unterminated blocks', () => {
+    assert.equal(parseFrontmatter('# Title\n').found, false);
+    assert.equal(parseFrontmatter('---\nname: x\n').closed, false);
+  });
+});
+
+describe('lintSkillFrontmatter', () => {
+  it('accepts a matching lowercase name with a description', () => {
+    assert.deepEqual(lintSkillFrontmatter('---\nname: api-design\ndescription: Design APIs\n---\n', 'api-design'), []);
+  });
+
+  it('flags missing frontmatter and fields', () => {
+    assert.deepEqual(ruleIds(lintSkillFrontmatter('# Skill\n', 'x')), ['frontmatter-missing']);
+    assert.deepEqual(ruleIds(lintSkillFrontmatter('---\nname: x\n', 'x')), ['frontmatter-unterminated']);
+    assert.deepEqual(ruleIds(lintSkillFrontmatter('---\ndescription: d\n---\n', 'x')), ['frontmatter-missing-name']);
+    assert.deepEqual(ruleIds(lintSkillFrontmatter('---\nname: x\n---\n', 'x')), ['frontmatter-missing-description']);
+  });
+
+  it('flags mismatched, invalid and overlong values', () => {
+    const long = 'd'.repeat(MAX_DESCRIPTION_LENGTH + 1);
+    assert.deepEqual(ruleIds(lintSkillFrontmatter(`---\nname: API_Design\ndescription: ${long}\n---\n`, 'API_Design')), [
+      'frontmatter-description-too-long',
+      'frontmatter-invalid-name',
+    ]);
+    assert.deepEqual(ruleIds(lintSkillFrontmatter('---\nname: other\ndescription: d\n---\n', 'x')), [
+      'frontmatter-name-mismatch',
+    ]);
+  });
+});
+
+describe('lintAgentFrontmatter', () => {
+  const agent = (lines) => `---\nname: reviewer\ndescription: Reviews code\n${lines}\n---\nBody\n`;
+
+  it('accepts known tools, scoped tools and MCP tools', () => {
+    assert.deepEqual(lintAgentFrontmatter(agent('tools: Read, Bash(git:*), mcp__github__create_issue'), 'reviewer'), []);
+  });
+
+  it('flags unknown tools and fixes their case', () => {
+    const problems = lintAgentFrontmatter(agent('tools: [read, Teleport]'), 'reviewer');
+    assert.deepEqual(ruleIds(problems), ['frontmatter-unknown-tool', 'frontmatter-unknown-tool']);
+    assert.match(problems[0].message, /'read' should be written 'Read'/);
+    assert.ok(problems[0].fix);
+    assert.equal(problems[1].fix, undefined);
+  });
+
+  it('accepts model aliases and full model ids', () => {
+    for (const model of ['sonnet', 'inherit', 'claude-sonnet-4-5-20250929', 'claude-3-5-haiku-latest', 'claude-opus-4-1']) {
+      assert.deepEqual(lintAgentFrontmatter(agent(`model: ${model}`), 'reviewer'), [], model);
+    }
+  });
+
+  it('flags other models and maps them onto an alias when it can', () => {
+    const [fixable] = lintAgentFrontmatter(agent('model: Sonnet 4'), 'reviewer');
+    assert.equal(fixable.ruleId, 'frontmatter-invalid-model');
+    assert.equal(fixable.line, 4);
+    assert.ok(fixable.fix);
+    const [unknown] = lintAgentFrontmatter(agent('model: gpt-4'), 'reviewer');
+    assert.equal(unknown.fix, undefined);
+  });
+});
+
+describe('applyFrontmatterFixes', () => {
+  it('applies replacements and insertions bottom-up', () => {
+    const content = '---\ndescription: Reviews code\ntools: [read, grep]\nmodel: Opus\n---\nBody\n';
+    const fixed = applyFrontmatterFixes(content, lintAgentFrontmatter(content, 'reviewer'));
+    assert.equal(fixed, '---\nname: reviewer\ndescription: Reviews code\ntools: [Read, Grep]\nmodel: opus\n---\nBody\n');
+  });
+});
+
+describe('validate --fix', () => {
+  let projectDir;
+  let agentPath;
+
+  before(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-frontmatter-'));
+    agentPath = path.join(projectDir, '.claude', 'agents', 'reviewer.md');
+    await fs.mkdir(path.dirname(agentPath), { recursive: true });
+    await fs.writeFile(agentPath, '---\nname: Reviewer\ndescription: Reviews code\nmodel: Haiku\n---\nBody\n');
+  });
+
+  after(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('rewrites the files and reports what is left', async () => {
+    const result = spawnSync(process.execPath, [cli, 'validate', '--fix', '--json'], {
+      cwd: projectDir,
+      encoding: 'utf-8',
+      timeout: 60000,
+    });
+    const { issues } = JSON.parse(result.stdout);
+    assert.ok(!issues.some((i) => i.ruleId.startsWith('frontmatter-')));
+    assert.equal(
+      await fs.readFile(agentPath, 'utf-8'),
+      '---\nname: reviewer\ndescription: Reviews code\nmodel: haiku\n---\nBody\n'
+    );
+  });
+});
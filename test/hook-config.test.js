@@ -0,0 +1,75 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { updateHookConfig, readHookConfig, getHookDefaults, HOOK_CONFIG_FILE } from '../src/hook-config.js';
+
+let outputDir;
+
+beforeEach(async () => {
+  outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-config-'));
+});
+
+afterEach(async () => {
+  await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+async function writeConfig(config) {
+  await fs.writeFile(path.join(outputDir, HOOK_CONFIG_FILE), JSON.stringify(config));
+}
+
+describe('updateHookConfig', () => {
+  it('writes defaults, then detected values, then given values', async () => {
+    const written = await updateHookConfig(
+      outputDir,
+      ['quality-gate'],
+      { 'quality-gate': { logLines: 10 } },
+      { 'quality-gate': { testCommand: 'npm test', logLines: 80 } }
+    );
+    assert.equal(written, path.join(outputDir, HOOK_CONFIG_FILE));
+    assert.deepEqual((await readHookConfig(outputDir)).hooks['quality-gate'], {
+      ...getHookDefaults('quality-gate'),
+      testCommand: 'npm test',
+      logLines: 10,
+    });
+  });
+
+  it('keeps existing values over detected ones, including false and empty', async () => {
+    await writeConfig({ hooks: { 'quality-gate': { testCommand: '', changedOnly: false } } });
+    await updateHookConfig(outputDir, ['quality-gate'], {}, {
+      'quality-gate': { testCommand: 'npm test', lintCommand: 'npm run lint', changedOnly: true },
+    });
+
+    const settings = (await readHookConfig(outputDir)).hooks['quality-gate'];
+    assert.equal(settings.testCommand, '');
+    assert.equal(settings.changedOnly, false);
+    assert.equal(settings.lintCommand, 'npm run lint');
+  });
+
+  it('lets given values replace existing ones', async () => {
+    await writeConfig({ hooks: { 'quality-gate': { testCommand: 'make test' } } });
+    await updateHookConfig(outputDir, ['quality-gate'], { 'quality-gate': { testCommand: 'npm test' } });
+    assert.equal((await readHookConfig(outputDir)).hooks['quality-gate'].testCommand, 'npm test');
+  });
+
+  it('keeps other hooks and top-level keys', async () => {
+    await writeConfig({ note: 'team', hooks: { 'large-file-warning': { warnLines: 300 } } });
+    await updateHookConfig(outputDir, ['quality-gate']);
+
+    const config = await readHookConfig(outputDir);
+    assert.equal(config.note, 'team');
+    assert.deepEqual(config.hooks['large-file-warning'], { warnLines: 300 });
+    assert.deepEqual(config.hooks['quality-gate'], getHookDefaults('quality-gate'));
+  });
+
+  it('does not write when nothing changes', async () => {
+    await updateHookConfig(outputDir, ['quality-gate']);
+    assert.equal(await updateHookConfig(outputDir, ['quality-gate']), null);
+  });
+
+  it('skips hooks without parameters', async () => {
+    assert.equal(await updateHookConfig(outputDir, ['secrets-scanner']), null);
+    assert.equal(await readHookConfig(outputDir), null);
+  });
+});
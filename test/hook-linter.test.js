@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintHookScript } from '../src/hook-linter.js';
+import { getHookNames, getHook, renderHook } from '../src/templates/hooks.js';
+
+// Lines flagged as a second stdin read
+function stdinReads(body) {
+  return lintHookScript(`#!/bin/bash\n${body}\n`)
+    .filter((problem) => problem.ruleId === 'hook-stdin-read-twice')
+    .map((problem) => problem.line);
+}
+
+describe('stdin read twice', () => {
+  it('flags a second cat', () => {
+    assert.deepEqual(stdinReads('INPUT=$(cat)\nAGAIN=$(cat)'), [3]);
+  });
+
+  it('flags cat piped into jq', () => {
+    assert.deepEqual(stdinReads("A=$(cat | jq -r '.a')\nB=$(cat | jq -r '.b')"), [3]);
+  });
+
+  it('flags jq reading stdin directly', () => {
+    assert.deepEqual(stdinReads("A=$(jq -r '.a')\nB=$(jq -r '.b')"), [3]);
+  });
+
+  it('flags /dev/stdin and read after cat', () => {
+    assert.deepEqual(stdinReads('INPUT=$(cat)\nX=$(cat /dev/stdin)'), [3]);
+    assert.deepEqual(stdinReads('INPUT=$(cat)\nread -r LINE'), [3]);
+  });
+
+  it('ignores jq and cat fed from a pipe, a here-string or a file', () => {
+    const script = [
+      'INPUT=$(cat)',
+      "TOOL=$(printf '%s' \"$INPUT\" | jq -r '.tool_name')",
+      "CWD=$(jq -r '.cwd' <<< \"$INPUT\")",
+      "NAME=$(jq -r '.name' package.json)",
+      'cat README.md > /dev/null',
+      "EMPTY=$(jq -n '{}')",
+    ].join('\n');
+    assert.deepEqual(stdinReads(script), []);
+  });
+
+  it('ignores jq with a filter file and a file operand', () => {
+    assert.deepEqual(stdinReads('INPUT=$(cat)\nX=$(jq -f filter.jq data.json)'), []);
+  });
+});
+
+describe('hook templates', () => {
+  it('lint clean at every enforcement level', () => {
+    for (const name of getHookNames()) {
+      for (const level of ['strict', 'suggested']) {
+        assert.deepEqual(lintHookScript(renderHook(getHook(name), level)), [], `${name} (${level})`);
+      }
+    }
+  });
+});
+
+// Lines flagged for a pipeline that can fail
+function unguardedPipelines(body) {
+  return lintHookScript(`#!/bin/bash\n${body}\n`)
+    .filter((problem) => problem.ruleId === 'hook-unguarded-pipeline')
+    .map((problem) => problem.line);
+}
+
+describe('unguarded pipelines', () => {
+  it('flags commands that fail on a missing file or no match', () => {
+    assert.deepEqual(unguardedPipelines('set -e\nCOUNT=$(cat "$FILE_PATH" | grep foo | wc -l)'), [3]);
+    assert.deepEqual(unguardedPipelines('set -e\nfind . -name "*.md" | head -1'), [3]);
+  });
+
+  it('flags them under pipefail, where they stop the hook', () => {
+    const [problem] = lintHookScript('#!/bin/bash\nset -euo pipefail\ncat "$FILE_PATH" | grep foo | wc -l\n');
+    assert.equal(problem.ruleId, 'hook-unguarded-pipeline');
+    assert.match(problem.message, /stops the hook with exit 1/);
+    assert.deepEqual(unguardedPipelines('set -euo pipefail\ngrep foo "$F" 2>/dev/null | wc -l'), [3]);
+  });
+
+  it('trusts producers that cannot fail and filters reading the pipe', () => {
+    assert.deepEqual(unguardedPipelines("set -e\nN=$(printf '%s\\n' \"$X\" | wc -l | tr -d ' ')"), []);
+    assert.deepEqual(unguardedPipelines("set -e\necho \"$X\" |\n  sed 's/a/b/' |\n  sort"), []);
+  });
+
+  it('accepts pipelines marked as deliberate', () => {
+    assert.deepEqual(unguardedPipelines('set -e\nif cat "$F" | grep -q foo; then exit 2; fi'), []);
+    assert.deepEqual(unguardedPipelines('set -e\nM=$(echo "$X" | grep -o foo | head -1 || true)'), []);
+    assert.deepEqual(unguardedPipelines('set -e\ngit log 2>/dev/null | wc -l'), []);
+    assert.deepEqual(unguardedPipelines('cat "$F" | grep foo'), []);
+  });
+});
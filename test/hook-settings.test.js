@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { getHook, renderHook } from '../src/templates/hooks.js';
+
+let projectDir;
+
+before(async () => {
+  projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-settings-'));
+  await fs.mkdir(path.join(projectDir, '.claude'));
+});
+
+after(async () => {
+  await fs.rm(projectDir, { recursive: true, force: true });
+});
+
+/**
+ * Run a hook rendered with baked settings against a config file
+ * (null: no config file)
+ */
+async function runHook(name, { baked = {}, config = null, input = {} }) {
+  const configPath = path.join(projectDir, '.claude', 'cc-scaffold.config.json');
+  await fs.rm(configPath, { force: true });
+  if (config) {
+    await fs.writeFile(configPath, JSON.stringify({ hooks: { [name]: config } }));
+  }
+
+  const script = path.join(projectDir, `${name}.sh`);
+  await fs.writeFile(script, renderHook(getHook(name), 'strict', baked));
+  return spawnSync('bash', [script], {
+    cwd: projectDir,
+    env: { ...process.env, CLAUDE_PROJECT_DIR: projectDir },
+    input: JSON.stringify({ cwd: projectDir, ...input }),
+    encoding: 'utf-8',
+    timeout: 30000,
+  });
+}
+
+describe('quality-gate settings', () => {
+  it('uses the baked command without a config file', async () => {
+    const result = await runHook('quality-gate', { baked: { testCommand: 'false' } });
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /Tests failed \(exit 1\): false/);
+  });
+
+  it('lets an empty string clear a baked command', async () => {
+    const result = await runHook('quality-gate', { baked: { testCommand: 'false' }, config: { testCommand: '' } });
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /No test or lint command configured/);
+  });
+
+  it('lets false turn off a baked boolean', async () => {
+    const baked = { testCommand: 'false', changedOnly: true };
+    assert.match((await runHook('quality-gate', { baked })).stdout, /No changed files; quality gate skipped/);
+
+    const result = await runHook('quality-gate', { baked, config: { changedOnly: false } });
+    assert.equal(result.status, 2);
+  });
+
+  it('ignores values of the wrong type', async () => {
+    const result = await runHook('quality-gate', {
+      baked: { testCommand: 'false' },
+      config: { testCommand: 5, changedOnly: 'yes', logLines: 'many' },
+    });
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /Last 40 lines of output/);
+  });
+
+  it('skips a check whose program is not installed', async () => {
+    const result = await runHook('quality-gate', { config: { testCommand: 'cc-scaffold-missing-runner --all' } });
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Tests skipped: cc-scaffold-missing-runner is not installed/);
+  });
+
+  it('runs commands that start with assignments, a builtin or a subshell', async () => {
+    for (const testCommand of ['CI=1 false', 'cd . && false', '(exit 1)']) {
+      const result = await runHook('quality-gate', { config: { testCommand } });
+      assert.equal(result.status, 2, testCommand);
+      assert.match(result.stderr, /Tests failed \(exit 1\)/, testCommand);
+    }
+  });
+
+  it('skips a missing program after VAR=value assignments', async () => {
+    const result = await runHook('quality-gate', { config: { testCommand: 'CI=1 cc-scaffold-missing-runner' } });
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Tests skipped: cc-scaffold-missing-runner is not installed/);
+  });
+
+  it('reads numbers', async () => {
+    const result = await runHook('quality-gate', { baked: { testCommand: 'false' }, config: { logLines: 5 } });
+    assert.match(result.stderr, /Last 5 lines of output/);
+  });
+});
+
+describe('branch-protection settings', () => {
+  const input = { tool_name: 'Bash', tool_input: { command: 'git push origin main' } };
+
+  it('blocks the default branches', async () => {
+    assert.equal((await runHook('branch-protection', { input })).status, 2);
+  });
+
+  it('lets an empty list protect nothing', async () => {
+    assert.equal((await runHook('branch-protection', { input, config: { protectedBranches: [] } })).status, 0);
+  });
+
+  it('replaces the baked list with the configured one', async () => {
+    const config = { protectedBranches: ['trunk'] };
+    assert.equal((await runHook('branch-protection', { input, config })).status, 0);
+    const trunk = { tool_name: 'Bash', tool_input: { command: 'git push origin trunk' } };
+    assert.equal((await runHook('branch-protection', { input: trunk, config })).status, 2);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { appendCustomSections, generateProject } from '../src/generator.js';
+import {
+  extractCustomSections,
+  stripCustomSections,
+  loadExistingConfig,
+  mergeConfigurations,
+} from '../src/merger.js';
+
+const CUSTOM = '## Project-Specific\n\nAlways run migrations in a transaction.';
+
+describe('custom sections', () => {
+  const content = `# Agent\n\nTemplate text.\n\n${CUSTOM}\n\n## Usage\n\nMore template text.\n`;
+
+  it('extracts sections under the custom headings', () => {
+    assert.equal(extractCustomSections(content), CUSTOM);
+    assert.equal(extractCustomSections('# Agent\n\nNo additions.\n'), '');
+  });
+
+  it('strips them back to the template text', () => {
+    assert.equal(stripCustomSections(content), '# Agent\n\nTemplate text.\n\n## Usage\n\nMore template text.\n');
+  });
+
+  it('re-attaches them once', () => {
+    const appended = appendCustomSections('# Agent\n\nNew template text.\n', CUSTOM);
+    assert.equal(appended, `# Agent\n\nNew template text.\n\n${CUSTOM}\n`);
+    assert.equal(appendCustomSections(appended, CUSTOM), appended);
+  });
+});
+
+describe('init with the merge strategy', () => {
+  let projectDir;
+  let outputDir;
+
+  before(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-merge-'));
+    outputDir = path.join(projectDir, '.claude');
+    await fs.mkdir(path.join(outputDir, 'agents'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, 'CLAUDE.md'), `# Old\n\n${CUSTOM}\n`);
+    await fs.writeFile(
+      path.join(outputDir, 'agents', 'code-reviewer.md'),
+      `# Old reviewer\n\n## Our Rules\n\nFlag every TODO.\n`
+    );
+    await fs.writeFile(path.join(outputDir, 'agents', 'my-agent.md'), '# Mine\n');
+    await fs.writeFile(
+      path.join(outputDir, 'settings.json'),
+      JSON.stringify({
+        model: 'sonnet',
+        hooks: { Stop: [{ hooks: [{ type: 'command', command: './scripts/notify.sh' }] }] },
+      })
+    );
+
+    const existing = await loadExistingConfig(projectDir);
+    const merge = await mergeConfigurations(existing, {
+      components: { skills: [], agents: ['code-reviewer'], hooks: ['quality-gate'], commands: [] },
+    });
+    await generateProject({
+      projectName: 'app',
+      outputDir,
+      agents: ['code-reviewer'],
+      hooks: ['quality-gate'],
+      merge,
+    });
+  });
+
+  after(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('keeps custom sections of CLAUDE.md', async () => {
+    const claudeMd = await fs.readFile(path.join(projectDir, 'CLAUDE.md'), 'utf-8');
+    assert.ok(!claudeMd.startsWith('# Old'));
+    assert.ok(claudeMd.includes(CUSTOM));
+  });
+
+  it('regenerates selected components with their custom sections', async () => {
+    const agent = await fs.readFile(path.join(outputDir, 'agents', 'code-reviewer.md'), 'utf-8');
+    assert.ok(!agent.includes('# Old reviewer'));
+    assert.ok(agent.trimEnd().endsWith('## Our Rules\n\nFlag every TODO.'));
+  });
+
+  it('leaves components that were not selected alone', async () => {
+    assert.equal(await fs.readFile(path.join(outputDir, 'agents', 'my-agent.md'), 'utf-8'), '# Mine\n');
+  });
+
+  it('keeps existing settings and hook entries', async () => {
+    const settings = JSON.parse(await fs.readFile(path.join(outputDir, 'settings.json'), 'utf-8'));
+    assert.equal(settings.model, 'sonnet');
+    const commands = settings.hooks.Stop.flatMap((group) => group.hooks.map((h) => h.command));
+    assert.deepEqual(commands, ['./scripts/notify.sh', '.claude/hooks/quality-gate.sh']);
+  });
+});
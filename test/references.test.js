@@ -0,0 +1,146 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { checkReferences } from '../src/references.js';
+
+let projectDir;
+let hooksDir;
+
+beforeEach(async () => {
+  projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-references-'));
+  hooksDir = path.join(projectDir, '.claude', 'hooks');
+  await fs.mkdir(hooksDir, { recursive: true });
+});
+
+afterEach(async () => {
+  await fs.rm(projectDir, { recursive: true, force: true });
+});
+
+async function writeSettings(hooks, file = 'settings.json') {
+  await fs.writeFile(path.join(projectDir, '.claude', file), JSON.stringify({ hooks }, null, 2));
+}
+
+async function writeScript(relativePath, mode = 0o755) {
+  const script = path.join(projectDir, relativePath);
+  await fs.mkdir(path.dirname(script), { recursive: true });
+  await fs.writeFile(script, '#!/bin/bash\nexit 0\n', { mode });
+}
+
+function group(command, matcher) {
+  return { ...(matcher === undefined ? {} : { matcher }), hooks: [{ type: 'command', command }] };
+}
+
+describe('CLAUDE.md imports', () => {
+  it('reports imports that do not resolve, with their line', async () => {
+    await fs.mkdir(path.join(projectDir, 'docs'));
+    await fs.writeFile(path.join(projectDir, 'docs', 'api.md'), '# API\n');
+    await fs.writeFile(
+      path.join(projectDir, 'CLAUDE.md'),
+      '# App\n\nSee @docs/api.md and @docs/gone.md.\nAsk @team.\n\n```\n@docs/example.md\n```\nRun `@docs/code.md`.\n'
+    );
+
+    const issues = await checkReferences(projectDir);
+    assert.deepEqual(issues, [
+      {
+        ruleId: 'reference-dangling',
+        severity: 'warning',
+        message: 'Import @docs/gone.md does not exist',
+        file: path.join(projectDir, 'CLAUDE.md'),
+        line: 3,
+      },
+    ]);
+  });
+});
+
+describe('hook registrations', () => {
+  it('accepts registered scripts, including $CLAUDE_PROJECT_DIR and interpreter commands', async () => {
+    await writeScript('.claude/hooks/a.sh');
+    await writeScript('.claude/hooks/b.sh', 0o644);
+    await writeScript('scripts/c.sh', 0o644);
+    await writeSettings({
+      PreToolUse: [
+        group('"$CLAUDE_PROJECT_DIR"/.claude/hooks/a.sh', 'Bash|Edit'),
+        group('bash scripts/c.sh', 'mcp__github__.*'),
+      ],
+      Stop: [group('.claude/hooks/b.sh'), group('npx prettier --check .')],
+    });
+
+    assert.deepEqual(await checkReferences(projectDir), []);
+  });
+
+  it('reports missing and non-executable scripts', async () => {
+    await writeScript('scripts/check.sh', 0o644);
+    await writeSettings({ Stop: [group('.claude/hooks/gone.sh'), group('./scripts/check.sh')] });
+
+    const issues = await checkReferences(projectDir);
+    assert.deepEqual(
+      issues.map((i) => [i.ruleId, i.severity, i.line]),
+      [
+        ['hook-command-missing', 'error', 8],
+        ['hook-command-not-executable', 'error', 16],
+      ]
+    );
+    assert.match(issues[0].message, /\.claude\/hooks\/gone\.sh, which does not exist/);
+  });
+
+  it('reports a command registered twice for an event', async () => {
+    await writeScript('.claude/hooks/a.sh');
+    await writeSettings({ PreToolUse: [group('.claude/hooks/a.sh', 'Bash'), group('.claude/hooks/a.sh', 'Edit')] });
+
+    const issues = await checkReferences(projectDir);
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].ruleId, 'hook-duplicate-registration');
+    assert.match(issues[0].message, /matchers 'Bash' and 'Edit'/);
+  });
+
+  it('reports invalid regexes and unknown tools in matchers', async () => {
+    await writeScript('.claude/hooks/a.sh');
+    await writeSettings({
+      PreToolUse: [group('.claude/hooks/a.sh', 'Bash(')],
+      PostToolUse: [group('.claude/hooks/a.sh', 'Edit|Shell')],
+    });
+
+    const issues = await checkReferences(projectDir);
+    assert.deepEqual(
+      issues.map((i) => [i.ruleId, i.severity]),
+      [
+        ['hook-invalid-matcher', 'error'],
+        ['hook-invalid-matcher', 'warning'],
+      ]
+    );
+    assert.match(issues[1].message, /unknown tool\(s\): Shell/);
+  });
+
+  it('reads settings.local.json as well', async () => {
+    await writeSettings({});
+    await writeSettings({ Stop: [group('.claude/hooks/gone.sh')] }, 'settings.local.json');
+
+    const [issue] = await checkReferences(projectDir);
+    assert.equal(issue.ruleId, 'hook-command-missing');
+    assert.equal(issue.file, path.join(projectDir, '.claude', 'settings.local.json'));
+  });
+});
+
+describe('orphan hook scripts', () => {
+  it('reports scripts no settings file registers', async () => {
+    await writeScript('.claude/hooks/a.sh');
+    await writeScript('.claude/hooks/orphan.sh');
+    await writeSettings({ Stop: [group('.claude/hooks/a.sh')] });
+
+    const issues = await checkReferences(projectDir);
+    assert.deepEqual(
+      issues.map((i) => [i.ruleId, i.file]),
+      [['hook-orphan-script', path.join(hooksDir, 'orphan.sh')]]
+    );
+  });
+
+  it('leaves helpers sourced by another hook alone', async () => {
+    await fs.writeFile(path.join(hooksDir, 'a.sh'), '#!/bin/bash\nsource "$(dirname "$0")/lib.sh"\n', { mode: 0o755 });
+    await writeScript('.claude/hooks/lib.sh');
+    await writeSettings({ Stop: [group('.claude/hooks/a.sh')] });
+
+    assert.deepEqual(await checkReferences(projectDir), []);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { generateProject, removeComponents } from '../src/generator.js';
+import { restoreFromBackup } from '../src/merger.js';
+import { readManifest } from '../src/manifest.js';
+
+describe('removeComponents', () => {
+  let projectDir;
+  let outputDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-remove-'));
+    outputDir = path.join(projectDir, '.claude');
+    await generateProject({
+      projectName: 'app',
+      outputDir,
+      agents: ['code-reviewer', 'architect'],
+      hooks: ['quality-gate', 'branch-protection'],
+      mcp: ['git'],
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  async function readSettings() {
+    return JSON.parse(await fs.readFile(path.join(outputDir, 'settings.json'), 'utf-8'));
+  }
+
+  function hookCommands(settings) {
+    return Object.values(settings.hooks || {}).flatMap((groups) =>
+      groups.flatMap((group) => group.hooks.map((h) => h.command))
+    );
+  }
+
+  it('deletes a hook script, its settings entries and its CLAUDE.md line', async () => {
+    const settings = await readSettings();
+    settings.hooks.Stop.push({
+      hooks: [{ type: 'command', command: '"$CLAUDE_PROJECT_DIR"/.claude/hooks/quality-gate.sh' }],
+    });
+    await fs.writeFile(path.join(outputDir, 'settings.json'), JSON.stringify(settings));
+
+    const { removed, notFound } = await removeComponents('hook', ['quality-gate'], outputDir, { backup: false });
+
+    assert.deepEqual(notFound, []);
+    assert.equal(removed[0].settingsEntries, 2);
+    await assert.rejects(fs.access(path.join(outputDir, 'hooks', 'quality-gate.sh')));
+    assert.deepEqual(hookCommands(await readSettings()), ['.claude/hooks/branch-protection.sh']);
+    const claudeMd = await fs.readFile(path.join(projectDir, 'CLAUDE.md'), 'utf-8');
+    assert.ok(!claudeMd.includes('**quality-gate**'));
+    assert.ok(claudeMd.includes('**branch-protection**'));
+    const manifest = await readManifest(outputDir);
+    assert.equal(manifest.files['hooks/quality-gate.sh'], undefined);
+  });
+
+  it('drops an emptied CLAUDE.md section', async () => {
+    await removeComponents('hook', ['quality-gate', 'branch-protection'], outputDir, { backup: false });
+    const claudeMd = await fs.readFile(path.join(projectDir, 'CLAUDE.md'), 'utf-8');
+    assert.ok(!claudeMd.includes('## Active Hooks'));
+    assert.deepEqual(hookCommands(await readSettings()), []);
+  });
+
+  it('removes MCP servers from .mcp.json', async () => {
+    await removeComponents('mcp', ['git'], outputDir, { backup: false });
+    const mcpConfig = JSON.parse(await fs.readFile(path.join(projectDir, '.mcp.json'), 'utf-8'));
+    assert.equal(mcpConfig.mcpServers.git, undefined);
+  });
+
+  it('reports unknown names without changing anything', async () => {
+    const before = await fs.readFile(path.join(projectDir, 'CLAUDE.md'), 'utf-8');
+    const result = await removeComponents('agent', ['nope'], outputDir);
+    assert.deepEqual(result, { backupDir: null, removed: [], notFound: ['nope'] });
+    assert.equal(await fs.readFile(path.join(projectDir, 'CLAUDE.md'), 'utf-8'), before);
+  });
+
+  it('backs up CLAUDE.md and .mcp.json so a restore undoes the removal', async () => {
+    const claudeMd = await fs.readFile(path.join(projectDir, 'CLAUDE.md'), 'utf-8');
+    const mcpJson = await fs.readFile(path.join(projectDir, '.mcp.json'), 'utf-8');
+
+    const { backupDir } = await removeComponents('agent', ['architect'], outputDir);
+    await removeComponents('mcp', ['git'], outputDir, { backup: false });
+    await restoreFromBackup(backupDir, projectDir);
+
+    assert.equal(await fs.readFile(path.join(projectDir, 'CLAUDE.md'), 'utf-8'), claudeMd);
+    assert.equal(await fs.readFile(path.join(projectDir, '.mcp.json'), 'utf-8'), mcpJson);
+    await fs.access(path.join(outputDir, 'agents', 'architect.md'));
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { formatReport, RULES } from '../src/report.js';
+
+const cli = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+const issues = [
+  { ruleId: 'hook-not-executable', severity: 'warning', message: 'Not executable', file: '.claude/hooks/a.sh' },
+  { ruleId: 'frontmatter-missing-description', severity: 'error', message: 'Missing "description" <required>', file: '.claude/agents/b.md', line: 2 },
+  { ruleId: 'hook-not-executable', severity: 'info', message: 'Piped | checked', file: '.claude/hooks/c.sh' },
+];
+const options = { command: 'validate', version: '1.2.3' };
+
+describe('SARIF reports', () => {
+  it('lists each rule once and points results at them', () => {
+    const run = JSON.parse(formatReport(issues, 'sarif', options)).runs[0];
+    assert.equal(run.tool.driver.version, '1.2.3');
+    assert.deepEqual(
+      run.tool.driver.rules.map((r) => r.id),
+      ['hook-not-executable', 'frontmatter-missing-description']
+    );
+    assert.equal(run.tool.driver.rules[1].shortDescription.text, RULES['frontmatter-missing-description']);
+    assert.deepEqual(
+      run.results.map((r) => [r.ruleIndex, r.level]),
+      [[0, 'warning'], [1, 'error'], [0, 'note']]
+    );
+  });
+
+  it('adds a region only when the line is known', () => {
+    const [first, second] = JSON.parse(formatReport(issues, 'sarif', options)).runs[0].results;
+    assert.deepEqual(first.locations[0].physicalLocation, { artifactLocation: { uri: '.claude/hooks/a.sh' } });
+    assert.deepEqual(second.locations[0].physicalLocation.region, { startLine: 2 });
+  });
+});
+
+describe('JUnit reports', () => {
+  it('fails a test case per error or warning and escapes XML', () => {
+    const xml = formatReport(issues, 'junit', options);
+    assert.match(xml, /<testsuite name="cc-scaffold validate" tests="3" failures="2"/);
+    assert.match(xml, /name="frontmatter-missing-description: \.claude\/agents\/b\.md:2"/);
+    assert.match(xml, /<failure type="error" message="Missing &quot;description&quot; &lt;required&gt;">/);
+    assert.match(xml, /<system-out>Piped \| checked<\/system-out>/);
+  });
+
+  it('passes a single test case for a clean run', () => {
+    const xml = formatReport([], 'junit', { command: 'audit', version: '1.2.3' });
+    assert.match(xml, /tests="1" failures="0"/);
+    assert.match(xml, /<testcase classname="cc-scaffold\.audit" name="configuration"\/>/);
+  });
+});
+
+describe('Markdown reports', () => {
+  it('sorts by severity and escapes table cells', () => {
+    const lines = formatReport(issues, 'markdown', options).split('\n');
+    assert.equal(lines[2], '1 error(s), 1 warning(s), 1 info');
+    assert.match(lines[6], /^\| error \| `frontmatter-missing-description` \|/);
+    assert.equal(lines[8], '| info | `hook-not-executable` | `.claude/hooks/c.sh` | Piped \\| checked |');
+  });
+});
+
+describe('formatReport', () => {
+  it('rejects unknown formats', () => {
+    assert.throws(() => formatReport([], 'html', options), /Unknown format: html/);
+  });
+});
+
+describe('validate --format', () => {
+  let projectDir;
+
+  before(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-report-'));
+    await fs.mkdir(path.join(projectDir, '.claude', 'agents'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, '.claude', 'agents', 'reviewer.md'), '---\nname: reviewer\n---\nBody\n');
+  });
+
+  after(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('prints a SARIF log that describes every reported rule', () => {
+    const result = spawnSync(process.execPath, [cli, 'validate', '--format', 'sarif'], {
+      cwd: projectDir,
+      encoding: 'utf-8',
+      timeout: 60000,
+    });
+    assert.equal(result.status, 2);
+    const run = JSON.parse(result.stdout).runs[0];
+    const error = run.results.find((r) => r.level === 'error');
+    assert.match(error.locations[0].physicalLocation.artifactLocation.uri, /reviewer\.md$/);
+    for (const rule of run.tool.driver.rules) {
+      assert.ok(RULES[rule.id], `no description for ${rule.id}`);
+    }
+  });
+});
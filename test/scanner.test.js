@@ -0,0 +1,165 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { scanProject } from '../src/scanner.js';
+
+const projects = [];
+
+after(async () => {
+  await Promise.all(projects.map((dir) => fs.rm(dir, { recursive: true, force: true })));
+});
+
+/**
+ * Scan a temporary project made of the given files (path: content;
+ * objects are written as JSON, paths ending in / as directories)
+ */
+async function scan(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-scan-'));
+  projects.push(dir);
+  for (const [file, content] of Object.entries(files)) {
+    const target = path.join(dir, file);
+    if (file.endsWith('/')) {
+      await fs.mkdir(target, { recursive: true });
+      continue;
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return scanProject(dir);
+}
+
+describe('quality commands', () => {
+  it('runs package scripts through npm, with the runner changed-files flag', async () => {
+    const result = await scan({
+      'package.json': { scripts: { test: 'vitest run', lint: 'eslint .' }, devDependencies: { vitest: '^1.0.0' } },
+    });
+    assert.equal(result.testRunner, 'vitest');
+    assert.deepEqual(result.commands, { test: 'npm test', testChanged: 'npm test -- --changed', lint: 'npm run lint' });
+  });
+
+  it('uses the package manager of the lockfile', async () => {
+    const result = await scan({
+      'package.json': { scripts: { test: 'jest' } },
+      'pnpm-lock.yaml': '',
+    });
+    assert.equal(result.testRunner, 'jest');
+    assert.deepEqual(result.commands, { test: 'pnpm test', testChanged: 'pnpm test --onlyChanged', lint: null });
+  });
+
+  it('recognizes the node test runner', async () => {
+    const result = await scan({ 'package.json': { scripts: { test: 'node --test' } } });
+    assert.equal(result.testRunner, 'node');
+    assert.equal(result.commands.test, 'npm test');
+    assert.equal(result.commands.testChanged, null);
+  });
+
+  it('ignores the npm init placeholder test script', async () => {
+    const result = await scan({
+      'package.json': { scripts: { test: 'echo "Error: no test specified" && exit 1' } },
+    });
+    assert.equal(result.commands.test, null);
+    assert.equal(result.testRunner, null);
+  });
+
+  it('falls back to Makefile targets', async () => {
+    const result = await scan({ Makefile: 'test:\n\tgo test ./...\n\nlint:\n\tgolangci-lint run\n' });
+    assert.equal(result.testRunner, 'make');
+    assert.deepEqual(result.commands, { test: 'make test', testChanged: null, lint: 'make lint' });
+  });
+
+  it('runs pytest and ruff through uv', async () => {
+    const result = await scan({
+      'pyproject.toml': '[project]\nname = "app"\n\n[tool.ruff]\nline-length = 100\n',
+      'uv.lock': '',
+      'tests/': '',
+    });
+    assert.equal(result.testRunner, 'pytest');
+    assert.equal(result.commands.test, 'uv run pytest');
+    assert.equal(result.commands.lint, 'uv run ruff check .');
+  });
+
+  it('uses cargo for Rust', async () => {
+    const result = await scan({ 'Cargo.toml': '[package]\nname = "app"\n' });
+    assert.deepEqual(result.commands, { test: 'cargo test', testChanged: null, lint: 'cargo clippy --quiet' });
+  });
+
+  it('runs RSpec and RuboCop through Bundler', async () => {
+    const result = await scan({ Gemfile: "gem 'rspec'\ngem 'rubocop'\n" });
+    assert.equal(result.testRunner, 'rspec');
+    assert.equal(result.commands.test, 'bundle exec rspec');
+    assert.equal(result.commands.lint, 'bundle exec rubocop');
+  });
+
+  it('prefers composer scripts, then vendor/bin tools', async () => {
+    const scripted = await scan({
+      'composer.json': { scripts: { test: 'phpunit' }, 'require-dev': { 'phpunit/phpunit': '^10' } },
+    });
+    assert.equal(scripted.commands.test, 'composer test');
+
+    const result = await scan({
+      'composer.json': { 'require-dev': { 'phpunit/phpunit': '^10', 'phpstan/phpstan': '^1' } },
+    });
+    assert.equal(result.testRunner, 'phpunit');
+    assert.equal(result.commands.test, 'vendor/bin/phpunit');
+    assert.equal(result.commands.lint, 'vendor/bin/phpstan analyse --no-progress');
+  });
+
+  it('leaves the commands empty when nothing runs tests', async () => {
+    const result = await scan({ 'README.md': '# Notes\n' });
+    assert.equal(result.testRunner, null);
+    assert.deepEqual(result.commands, { test: null, testChanged: null, lint: null });
+  });
+});
+
+describe('language detection', () => {
+  it('detects Rails and RSpec from the Gemfile', async () => {
+    const result = await scan({ Gemfile: "gem 'rails'\ngem 'rspec-rails'\n" });
+    assert.deepEqual(result.languages, ['ruby']);
+    assert.deepEqual(result.techStack, ['ruby', 'rails', 'rspec']);
+    assert.equal(result.hasTests, true);
+  });
+
+  it('detects Laravel, Symfony and PHPUnit from composer.json', async () => {
+    const laravel = await scan({ 'composer.json': { require: { 'laravel/framework': '^11' } }, 'phpunit.xml': '' });
+    assert.deepEqual(laravel.techStack, ['php', 'laravel', 'phpunit']);
+
+    const symfony = await scan({
+      'composer.json': { require: { 'symfony/framework-bundle': '^7' }, 'require-dev': { 'phpunit/phpunit': '^10' } },
+    });
+    assert.deepEqual(symfony.techStack, ['php', 'symfony', 'phpunit']);
+    assert.equal(symfony.projectType, 'api-service');
+  });
+
+  it('detects Kotlin and Android from Gradle build scripts', async () => {
+    const result = await scan({ 'build.gradle.kts': 'plugins { id("com.android.application") }\n' });
+    assert.deepEqual(result.techStack, ['kotlin', 'android']);
+    assert.equal(result.commands.test, 'gradle test');
+  });
+
+  it('detects Swift packages and Xcode projects', async () => {
+    const swiftPackage = await scan({ 'Package.swift': 'targets: [.testTarget(name: "AppTests")]\n' });
+    assert.deepEqual(swiftPackage.techStack, ['swift']);
+    assert.equal(swiftPackage.commands.test, 'swift test');
+
+    const xcode = await scan({ 'App.xcodeproj/project.pbxproj': '' });
+    assert.deepEqual(xcode.languages, ['swift']);
+    assert.ok(xcode.frameworks.includes('xcode'));
+    assert.equal(xcode.commands.test, null);
+  });
+
+  it('detects Elixir and Phoenix from mix.exs', async () => {
+    const result = await scan({ 'mix.exs': '{:phoenix, "~> 1.7"},\n{:credo, "~> 1.7"}\n', 'test/': '' });
+    assert.deepEqual(result.techStack, ['elixir', 'phoenix']);
+    assert.deepEqual(result.commands, { test: 'mix test', testChanged: 'mix test --stale', lint: 'mix credo' });
+  });
+
+  it('detects Dart and Flutter from pubspec.yaml', async () => {
+    const result = await scan({
+      'pubspec.yaml': 'dependencies:\n  flutter:\n    sdk: flutter\ndev_dependencies:\n  flutter_test:\n    sdk: flutter\n',
+    });
+    assert.deepEqual(result.techStack, ['dart', 'flutter']);
+    assert.deepEqual(result.commands, { test: 'flutter test', testChanged: null, lint: 'flutter analyze' });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { addComponents, generateSettingsJson, migrateSettingsHooks } from '../src/generator.js';
+
+describe('generateSettingsJson', () => {
+  it('groups hooks by event and matcher in the Claude Code schema', () => {
+    const settings = generateSettingsJson({ hooks: ['branch-protection', 'quality-gate'] });
+    assert.deepEqual(settings.hooks.PreToolUse, [
+      { matcher: 'Bash', hooks: [{ type: 'command', command: '.claude/hooks/branch-protection.sh', timeout: 60 }] },
+    ]);
+    assert.equal(settings.hooks.Stop.length, 1);
+    assert.equal(settings.hooks.Stop[0].matcher, undefined);
+    assert.equal(settings.hooks.Stop[0].hooks[0].command, '.claude/hooks/quality-gate.sh');
+  });
+
+  it('keeps unrelated keys', () => {
+    const settings = generateSettingsJson({ hooks: [], existing: { model: 'sonnet', permissions: { allow: [] } } });
+    assert.equal(settings.model, 'sonnet');
+    assert.deepEqual(settings.permissions, { allow: [] });
+  });
+});
+
+describe('migrateSettingsHooks', () => {
+  it('turns flat entries into matcher groups', () => {
+    const settings = {
+      hooks: {
+        PreToolUse: [
+          { matcher: 'Bash', command: '.claude/hooks/a.sh' },
+          { matcher: 'Bash', command: '.claude/hooks/b.sh', timeout: 10 },
+        ],
+      },
+    };
+    assert.equal(migrateSettingsHooks(settings), 2);
+    assert.deepEqual(settings.hooks.PreToolUse, [
+      {
+        matcher: 'Bash',
+        hooks: [
+          { type: 'command', command: '.claude/hooks/a.sh' },
+          { type: 'command', command: '.claude/hooks/b.sh', timeout: 10 },
+        ],
+      },
+    ]);
+  });
+});
+
+describe('adding a hook to settings.json', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-settings-json-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  async function readCommands() {
+    const settings = JSON.parse(await fs.readFile(path.join(outputDir, 'settings.json'), 'utf-8'));
+    return settings.hooks.PreToolUse.flatMap((group) => group.hooks.map((hook) => hook.command));
+  }
+
+  it('registers a new hook once', async () => {
+    await addComponents('hook', ['branch-protection'], outputDir);
+    await addComponents('hook', ['branch-protection'], outputDir);
+    assert.deepEqual(await readCommands(), ['.claude/hooks/branch-protection.sh']);
+  });
+
+  it('recognizes an existing registration written another way', async () => {
+    const command = '"$CLAUDE_PROJECT_DIR"/.claude/hooks/branch-protection.sh';
+    await fs.writeFile(
+      path.join(outputDir, 'settings.json'),
+      JSON.stringify({ hooks: { PreToolUse: [{ matcher: 'Bash', hooks: [{ type: 'command', command }] }] } })
+    );
+    await addComponents('hook', ['branch-protection'], outputDir);
+    assert.deepEqual(await readCommands(), [command]);
+  });
+});
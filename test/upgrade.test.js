@@ -0,0 +1,121 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { diffLines, mergeThreeWay, unifiedDiff } from '../src/diff.js';
+import { addComponents } from '../src/generator.js';
+import { planUpgrade, applyUpgrade } from '../src/upgrader.js';
+import { MANIFEST_FILE, BASE_DIR } from '../src/manifest.js';
+
+describe('diffLines', () => {
+  it('keeps common lines and marks removals and additions', () => {
+    assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c']), [
+      { type: ' ', line: 'a' },
+      { type: '-', line: 'b' },
+      { type: '+', line: 'x' },
+      { type: ' ', line: 'c' },
+    ]);
+  });
+
+  it('finds the longest common subsequence in the middle', () => {
+    const ops = diffLines(['a', 'b', 'c', 'd'], ['b', 'c', 'e']);
+    assert.deepEqual(
+      ops.map((op) => `${op.type}${op.line}`),
+      ['-a', ' b', ' c', '-d', '+e']
+    );
+  });
+});
+
+describe('unifiedDiff', () => {
+  it('writes hunks with line numbers', () => {
+    assert.equal(
+      unifiedDiff('a\nb\nc\n', 'a\nx\nc\n', { fromFile: 'old', toFile: 'new' }),
+      '--- old\n+++ new\n@@ -1,3 +1,3 @@\n a\n-b\n+x\n c'
+    );
+  });
+
+  it('is empty when nothing changed and marks new files', () => {
+    assert.equal(unifiedDiff('a\n', 'a\n'), '');
+    assert.match(unifiedDiff(null, 'a\n'), /^--- \/dev\/null\n\+\+\+ b\n@@ -0,0 \+1,1 @@\n\+a$/);
+  });
+});
+
+describe('mergeThreeWay', () => {
+  const base = 'one\ntwo\nthree\nfour\n';
+
+  it('applies changes made on either side', () => {
+    const result = mergeThreeWay(base, 'one\nTWO\nthree\nfour\n', 'one\ntwo\nthree\nFOUR\n');
+    assert.deepEqual(result, { text: 'one\nTWO\nthree\nFOUR\n', conflicts: 0 });
+  });
+
+  it('takes identical changes once', () => {
+    const result = mergeThreeWay(base, 'one\n2\nthree\nfour\n', 'one\n2\nthree\nfour\n');
+    assert.deepEqual(result, { text: 'one\n2\nthree\nfour\n', conflicts: 0 });
+  });
+
+  it('marks overlapping changes as conflicts', () => {
+    const result = mergeThreeWay(base, 'one\nmine\nthree\nfour\n', 'one\ntheirs\nthree\nfour\n');
+    assert.equal(result.conflicts, 1);
+    assert.equal(result.text, 'one\n<<<<<<< current\nmine\n=======\ntheirs\n>>>>>>> template\nthree\nfour\n');
+  });
+});
+
+describe('upgrade', () => {
+  const key = 'hooks/branch-protection.sh';
+  let outputDir;
+  let template;
+
+  beforeEach(async () => {
+    outputDir = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'cc-scaffold-upgrade-')), '.claude');
+    await addComponents('hook', ['branch-protection'], outputDir);
+    template = await fs.readFile(path.join(outputDir, key), 'utf-8');
+  });
+
+  afterEach(async () => {
+    await fs.rm(path.dirname(outputDir), { recursive: true, force: true });
+  });
+
+  /**
+   * Pretend the hook was generated from an older template in which `line`
+   * read `oldLine`, then edited locally with `edit` applied to the current file
+   */
+  async function simulate(line, oldLine, edit) {
+    await fs.writeFile(path.join(outputDir, BASE_DIR, key), template.replace(line, oldLine));
+    await fs.writeFile(path.join(outputDir, key), edit(template.replace(line, oldLine)));
+    const manifestPath = path.join(outputDir, MANIFEST_FILE);
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+    manifest.files[key].templateVersion = 'old';
+    manifest.files[key].hash = 'old';
+    await fs.writeFile(manifestPath, JSON.stringify(manifest));
+  }
+
+  it('merges template changes into an edited hook', async () => {
+    await simulate('# Get current branch', '# Current branch', (text) => text.replace('set -e', 'set -e\n# team note'));
+    const plan = await planUpgrade(outputDir);
+    assert.equal(plan[0].status, 'merged');
+
+    await applyUpgrade(outputDir, plan, { backup: false });
+    const content = await fs.readFile(path.join(outputDir, key), 'utf-8');
+    assert.ok(content.includes('# Get current branch'));
+    assert.ok(content.includes('# team note'));
+  });
+
+  it('leaves a conflicted hook script alone and writes the merge beside it', async () => {
+    await simulate('# Get current branch', '# Current branch', (text) => text.replace('# Current branch', '# Our branch'));
+    const edited = await fs.readFile(path.join(outputDir, key), 'utf-8');
+
+    const plan = await planUpgrade(outputDir);
+    assert.equal(plan[0].status, 'conflict');
+    assert.equal(plan[0].mergeFile, `${key}.merge`);
+
+    await applyUpgrade(outputDir, plan, { backup: false });
+    assert.equal(await fs.readFile(path.join(outputDir, key), 'utf-8'), edited);
+    const merge = await fs.readFile(path.join(outputDir, `${key}.merge`), 'utf-8');
+    assert.match(merge, /<<<<<<< current\n# Our branch\n=======\n# Get current branch\n>>>>>>> template/);
+
+    // Still recorded as the old template, so the next upgrade merges again
+    const manifest = JSON.parse(await fs.readFile(path.join(outputDir, MANIFEST_FILE), 'utf-8'));
+    assert.equal(manifest.files[key].templateVersion, 'old');
+  });
+});